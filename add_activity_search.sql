@@ -0,0 +1,20 @@
+-- Tìm kiếm / xuất lịch sử hoạt động: view ghép prompt của ảnh liên quan vào từng hoạt động
+-- Chạy script này trong Supabase SQL Editor
+
+CREATE OR REPLACE VIEW activity_feed AS
+SELECT
+    a.id,
+    a.user_id,
+    a.action,
+    a.image_id,
+    a.timestamp,
+    a.additional_data,
+    i.prompt AS image_prompt,
+    i.image_url,
+    lower(coalesce(a.additional_data::text, '') || ' ' || coalesce(i.prompt, '')) AS search_text
+FROM activities a
+LEFT JOIN images i ON i.id = a.image_id;
+
+-- Lọc theo user + khoảng thời gian (+ action)
+CREATE INDEX IF NOT EXISTS idx_activities_user_timestamp ON activities(user_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_activities_user_action_timestamp ON activities(user_id, action, timestamp DESC);
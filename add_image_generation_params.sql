@@ -0,0 +1,11 @@
+-- Thêm các cột tham số sinh ảnh vào bảng images để có thể tái tạo ảnh
+-- Chạy script này trong Supabase SQL Editor
+
+ALTER TABLE images
+    ADD COLUMN IF NOT EXISTS negative_prompt TEXT,
+    ADD COLUMN IF NOT EXISTS width INTEGER,
+    ADD COLUMN IF NOT EXISTS height INTEGER,
+    ADD COLUMN IF NOT EXISTS seed BIGINT,
+    ADD COLUMN IF NOT EXISTS steps INTEGER,
+    ADD COLUMN IF NOT EXISTS guidance_scale REAL,
+    ADD COLUMN IF NOT EXISTS sampler VARCHAR(30);
@@ -0,0 +1,9 @@
+-- Liên kết ảnh chỉnh sửa (img2img / inpainting) với ảnh gốc
+-- Chạy script này trong Supabase SQL Editor
+
+ALTER TABLE images
+    ADD COLUMN IF NOT EXISTS parent_image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS edit_type VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS strength REAL;
+
+CREATE INDEX IF NOT EXISTS idx_images_parent_image_id ON images(parent_image_id);
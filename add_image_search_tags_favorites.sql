@@ -0,0 +1,38 @@
+-- Tìm kiếm, tag và ảnh yêu thích cho My Creations
+-- Chạy script này trong Supabase SQL Editor
+
+-- Tìm kiếm full-text theo prompt (config 'simple' để không bỏ từ tiếng Việt)
+ALTER TABLE images
+    ADD COLUMN IF NOT EXISTS prompt_tsv TSVECTOR
+        GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(prompt, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_images_prompt_tsv ON images USING GIN (prompt_tsv);
+
+-- Ảnh yêu thích
+ALTER TABLE images
+    ADD COLUMN IF NOT EXISTS is_favorite BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS favorited_at TIMESTAMPTZ;
+
+-- Phân trang bằng cursor theo (cột sắp xếp, id)
+CREATE INDEX IF NOT EXISTS idx_images_user_created ON images(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_images_user_favorite ON images(user_id) WHERE is_favorite;
+
+-- Tag tự do của user trên ảnh (chữ thường, tối đa 40 ký tự)
+CREATE TABLE IF NOT EXISTS image_tags (
+    image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tag VARCHAR(40) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (image_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_tags_user_tag ON image_tags(user_id, tag);
+
+-- Số ảnh theo tag của từng user
+CREATE OR REPLACE VIEW image_tag_counts AS
+SELECT
+    user_id,
+    tag,
+    COUNT(*)::INTEGER AS image_count
+FROM image_tags
+GROUP BY user_id, tag;
@@ -0,0 +1,40 @@
+-- Chia sẻ ảnh: chế độ hiển thị, liên kết chia sẻ và lượt thích
+-- Chạy script này trong Supabase SQL Editor
+
+ALTER TABLE images
+    ADD COLUMN IF NOT EXISTS visibility VARCHAR(10) NOT NULL DEFAULT 'private'
+        CHECK (visibility IN ('private', 'unlisted', 'public')),
+    ADD COLUMN IF NOT EXISTS share_token VARCHAR(64) UNIQUE,
+    ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS like_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_images_gallery_newest ON images(published_at DESC) WHERE visibility = 'public';
+CREATE INDEX IF NOT EXISTS idx_images_gallery_most_liked ON images(like_count DESC, published_at DESC) WHERE visibility = 'public';
+
+CREATE TABLE IF NOT EXISTS image_likes (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, image_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_likes_image_id ON image_likes(image_id);
+
+-- Giữ images.like_count đồng bộ với image_likes
+CREATE OR REPLACE FUNCTION sync_image_like_count() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE images SET like_count = like_count + 1 WHERE id = NEW.image_id;
+    ELSE
+        UPDATE images SET like_count = GREATEST(like_count - 1, 0) WHERE id = OLD.image_id;
+    END IF;
+    RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_sync_image_like_count ON image_likes;
+CREATE TRIGGER trg_sync_image_like_count
+    AFTER INSERT OR DELETE ON image_likes
+    FOR EACH ROW EXECUTE FUNCTION sync_image_like_count();
@@ -0,0 +1,14 @@
+-- Thùng rác ảnh: xoá ảnh chỉ đặt deleted_at, server xoá hẳn sau TRASH_RETENTION_DAYS ngày
+-- Chạy script này trong Supabase SQL Editor
+
+ALTER TABLE images
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Thùng rác của từng user và job dọn ảnh hết hạn
+CREATE INDEX IF NOT EXISTS idx_images_trash ON images(user_id, deleted_at DESC) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_images_trash_expiry ON images(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Lịch sử hoạt động giữ lại sau khi ảnh bị xoá hẳn
+ALTER TABLE activities DROP CONSTRAINT IF EXISTS activities_image_id_fkey;
+ALTER TABLE activities
+    ADD CONSTRAINT activities_image_id_fkey FOREIGN KEY (image_id) REFERENCES images(id) ON DELETE SET NULL;
@@ -0,0 +1,30 @@
+-- Vai trò người dùng: user | moderator | admin
+-- Chạy script này trong Supabase SQL Editor
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+        CHECK (role IN ('user', 'moderator', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- Tài khoản admin cũ (trước đây được nhận diện bằng email cố định)
+UPDATE users SET role = 'admin' WHERE email = 'admin@dreamina.com';
+
+-- Chặn ở tầng DB việc xoá / hạ quyền admin cuối cùng
+CREATE OR REPLACE FUNCTION prevent_last_admin_removal() RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF OLD.role = 'admin'
+        AND (TG_OP = 'DELETE' OR NEW.role <> 'admin')
+        AND (SELECT COUNT(*) FROM users WHERE role = 'admin' AND id <> OLD.id) = 0 THEN
+        RAISE EXCEPTION 'Cannot remove the last admin';
+    END IF;
+    RETURN COALESCE(NEW, OLD);
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_prevent_last_admin_removal ON users;
+CREATE TRIGGER trg_prevent_last_admin_removal
+    BEFORE UPDATE OF role OR DELETE ON users
+    FOR EACH ROW EXECUTE FUNCTION prevent_last_admin_removal();
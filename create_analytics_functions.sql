@@ -0,0 +1,87 @@
+-- Hàm thống kê cho GET /api/admin/analytics (chuỗi thời gian, top user, từ khoá prompt)
+-- Chạy script này trong Supabase SQL Editor
+
+-- Số liệu theo từng khoảng (day | week | month, theo giờ UTC); chỉ trả về các khoảng có dữ liệu
+CREATE OR REPLACE FUNCTION analytics_series(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_bucket TEXT
+) RETURNS TABLE (bucket TIMESTAMP, metric TEXT, value BIGINT)
+LANGUAGE sql STABLE
+AS $$
+    SELECT date_trunc(p_bucket, created_at AT TIME ZONE 'UTC'), 'registrations', COUNT(*)
+    FROM users
+    WHERE created_at >= p_from AND created_at < p_to
+    GROUP BY 1
+
+    UNION ALL
+    SELECT date_trunc(p_bucket, timestamp AT TIME ZONE 'UTC'),
+        CASE action WHEN 'generate' THEN 'generations' WHEN 'delete' THEN 'deletions' ELSE 'downloads' END,
+        COUNT(*)
+    FROM activities
+    WHERE action IN ('generate', 'delete', 'download') AND timestamp >= p_from AND timestamp < p_to
+    GROUP BY 1, 2
+
+    UNION ALL
+    SELECT date_trunc(p_bucket, created_at AT TIME ZONE 'UTC'), 'failed_generations', COUNT(*)
+    FROM generation_jobs
+    WHERE status = 'failed' AND created_at >= p_from AND created_at < p_to
+    GROUP BY 1
+
+    UNION ALL
+    SELECT date_trunc(p_bucket, timestamp AT TIME ZONE 'UTC'), 'active_users', COUNT(DISTINCT user_id)
+    FROM activities
+    WHERE timestamp >= p_from AND timestamp < p_to
+    GROUP BY 1
+
+    UNION ALL
+    SELECT date_trunc('day', timestamp AT TIME ZONE 'UTC'), 'daily_active_users', COUNT(DISTINCT user_id)
+    FROM activities
+    WHERE timestamp >= p_from AND timestamp < p_to
+    GROUP BY 1;
+$$;
+
+-- User sinh nhiều ảnh nhất trong khoảng thời gian
+CREATE OR REPLACE FUNCTION analytics_top_users(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_limit INTEGER DEFAULT 10
+) RETURNS TABLE (user_id UUID, email TEXT, full_name TEXT, generations BIGINT)
+LANGUAGE sql STABLE
+AS $$
+    SELECT a.user_id, u.email::TEXT, u.full_name::TEXT, COUNT(*) AS generations
+    FROM activities a
+    LEFT JOIN users u ON u.id = a.user_id
+    WHERE a.action = 'generate' AND a.timestamp >= p_from AND a.timestamp < p_to
+    GROUP BY a.user_id, u.email, u.full_name
+    ORDER BY generations DESC
+    LIMIT p_limit;
+$$;
+
+-- Từ khoá phổ biến trong prompt của ảnh được tạo trong khoảng thời gian (bỏ từ ngắn và stop word tiếng Anh)
+CREATE OR REPLACE FUNCTION analytics_prompt_keywords(
+    p_from TIMESTAMPTZ,
+    p_to TIMESTAMPTZ,
+    p_limit INTEGER DEFAULT 20
+) RETURNS TABLE (keyword TEXT, uses BIGINT)
+LANGUAGE sql STABLE
+AS $$
+    SELECT word, COUNT(*) AS uses
+    FROM images,
+        LATERAL regexp_split_to_table(lower(prompt), '[^[:alnum:]]+') AS word
+    WHERE created_at >= p_from AND created_at < p_to
+        AND length(word) >= 3
+        AND word !~ '^[0-9]+$'
+        AND word NOT IN (
+            'the', 'and', 'with', 'for', 'from', 'into', 'onto', 'over', 'under', 'this', 'that', 'are', 'was',
+            'his', 'her', 'its', 'their', 'very', 'has', 'have', 'who', 'while'
+        )
+    GROUP BY word
+    ORDER BY uses DESC, word
+    LIMIT p_limit;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_activities_action_timestamp ON activities(action, timestamp);
+CREATE INDEX IF NOT EXISTS idx_activities_timestamp ON activities(timestamp);
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
+CREATE INDEX IF NOT EXISTS idx_images_created_at ON images(created_at);
@@ -0,0 +1,39 @@
+-- API key cá nhân (lưu hash SHA-256) và cột ghi lại key đã dùng cho hoạt động / job (xem server/apiKeys.js)
+-- Chạy script này trong Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    -- Vài ký tự đầu của key để user nhận ra key trong danh sách
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id, created_at DESC);
+
+ALTER TABLE activities ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_activities_api_key_id ON activities(api_key_id) WHERE api_key_id IS NOT NULL;
+
+-- Thêm api_key_id vào view của add_activity_search.sql (cột mới phải nằm cuối)
+CREATE OR REPLACE VIEW activity_feed AS
+SELECT
+    a.id,
+    a.user_id,
+    a.action,
+    a.image_id,
+    a.timestamp,
+    a.additional_data,
+    i.prompt AS image_prompt,
+    i.image_url,
+    lower(coalesce(a.additional_data::text, '') || ' ' || coalesce(i.prompt, '')) AS search_text,
+    a.api_key_id
+FROM activities a
+LEFT JOIN images i ON i.id = a.image_id;
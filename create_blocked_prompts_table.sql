@@ -0,0 +1,25 @@
+-- Prompt bị chặn bởi bộ kiểm duyệt, dùng để admin theo dõi user vi phạm nhiều lần
+-- Chạy script này trong Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS blocked_prompts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    prompt TEXT NOT NULL,
+    normalized_prompt TEXT,
+    categories TEXT[] NOT NULL DEFAULT '{}',
+    -- [{ category, source: blocklist | regex | classifier, rule }]
+    reasons JSONB NOT NULL DEFAULT '[]',
+    endpoint VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_blocked_prompts_user_id ON blocked_prompts(user_id, created_at DESC);
+
+-- Số prompt bị chặn theo user
+CREATE OR REPLACE VIEW blocked_prompt_offenders AS
+SELECT
+    user_id,
+    COUNT(*)::INTEGER AS blocked_count,
+    MAX(created_at) AS last_blocked_at
+FROM blocked_prompts
+GROUP BY user_id;
@@ -0,0 +1,27 @@
+-- Bộ sưu tập (album) ảnh của user
+-- Chạy script này trong Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS collections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    -- NULL: dùng ảnh đầu tiên theo thứ tự làm ảnh bìa
+    cover_image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections(user_id, updated_at DESC);
+
+-- Quan hệ nhiều - nhiều giữa bộ sưu tập và ảnh, kèm thứ tự thủ công
+CREATE TABLE IF NOT EXISTS collection_images (
+    collection_id UUID NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    image_id UUID NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    added_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (collection_id, image_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collection_images_order ON collection_images(collection_id, position);
+CREATE INDEX IF NOT EXISTS idx_collection_images_image_id ON collection_images(image_id);
@@ -0,0 +1,60 @@
+-- Credits, plan và sổ cái giao dịch credits của user
+-- Chạy script này trong Supabase SQL Editor
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS plan VARCHAR(20) NOT NULL DEFAULT 'free',
+    ADD COLUMN IF NOT EXISTS credits INTEGER NOT NULL DEFAULT 0 CHECK (credits >= 0);
+
+CREATE TABLE IF NOT EXISTS credit_ledger (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL,
+    reason VARCHAR(30) NOT NULL, -- signup_grant | generation | refund | admin_grant | admin_deduct
+    job_id UUID,
+    note TEXT,
+    balance_after INTEGER NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user_id ON credit_ledger(user_id, created_at DESC);
+
+-- Mỗi job chỉ được hoàn credits một lần
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_refund_once ON credit_ledger(job_id) WHERE reason = 'refund';
+
+-- Cập nhật số dư và ghi sổ cái trong cùng một transaction
+CREATE OR REPLACE FUNCTION adjust_user_credits(
+    p_user_id UUID,
+    p_amount INTEGER,
+    p_reason VARCHAR,
+    p_job_id UUID DEFAULT NULL,
+    p_note TEXT DEFAULT NULL
+) RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    new_balance INTEGER;
+BEGIN
+    UPDATE users
+    SET credits = credits + p_amount
+    WHERE id = p_user_id AND credits + p_amount >= 0
+    RETURNING credits INTO new_balance;
+
+    IF new_balance IS NULL THEN
+        RAISE EXCEPTION 'INSUFFICIENT_CREDITS';
+    END IF;
+
+    INSERT INTO credit_ledger (user_id, amount, reason, job_id, note, balance_after)
+    VALUES (p_user_id, p_amount, p_reason, p_job_id, p_note, new_balance);
+
+    RETURN new_balance;
+END;
+$$;
+
+-- Tặng credits khởi đầu cho các tài khoản đã có trước khi bật tính năng (chạy lại không bị cộng trùng)
+WITH granted AS (
+    UPDATE users SET credits = credits + 20
+    WHERE NOT EXISTS (SELECT 1 FROM credit_ledger WHERE credit_ledger.user_id = users.id)
+    RETURNING id, credits
+)
+INSERT INTO credit_ledger (user_id, amount, reason, note, balance_after)
+SELECT id, 20, 'signup_grant', 'initial migration', credits FROM granted;
@@ -0,0 +1,25 @@
+-- Bảng lưu job sinh ảnh chạy nền (xem /api/generate-image và /api/jobs)
+-- Chạy script này trong Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS generation_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL DEFAULT 'generate',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'uploading', 'done', 'failed', 'cancelled')),
+    params JSONB NOT NULL DEFAULT '{}',
+    result JSONB,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_user_id ON generation_jobs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status);
+
+ALTER TABLE generation_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own jobs" ON generation_jobs
+    FOR SELECT USING (auth.uid() = user_id);
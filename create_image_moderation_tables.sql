@@ -0,0 +1,47 @@
+-- Hàng đợi kiểm duyệt ảnh: báo cáo của user, cờ của admin, trạng thái ẩn và nhật ký quyết định
+-- Chạy script này trong Supabase SQL Editor
+
+ALTER TABLE images
+    ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'visible'
+        CHECK (moderation_status IN ('visible', 'hidden')),
+    ADD COLUMN IF NOT EXISTS moderation_reason TEXT,
+    ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_images_moderation_status ON images(moderation_status) WHERE moderation_status <> 'visible';
+
+CREATE TABLE IF NOT EXISTS image_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    -- NULL sau khi ảnh bị xoá hẳn
+    image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+    image_owner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    reporter_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(10) NOT NULL CHECK (source IN ('user', 'admin')),
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('nsfw', 'violence', 'hate', 'copyright', 'spam', 'other')),
+    details TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'resolved', 'dismissed')),
+    resolution VARCHAR(20) CHECK (resolution IN ('hidden', 'restored', 'removed')),
+    resolution_reason TEXT,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_reports_status ON image_reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_image_reports_image_id ON image_reports(image_id);
+
+-- Nhật ký quyết định kiểm duyệt, chủ ảnh xem được qua GET /api/moderation/notices
+CREATE TABLE IF NOT EXISTS image_moderation_actions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    image_id UUID REFERENCES images(id) ON DELETE SET NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('hide', 'restore', 'remove')),
+    reason TEXT,
+    moderator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    -- Bản sao để vẫn đọc được sau khi ảnh bị xoá hẳn
+    image_prompt TEXT,
+    image_url TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_image_moderation_actions_user_id ON image_moderation_actions(user_id, created_at DESC);
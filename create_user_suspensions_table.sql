@@ -0,0 +1,18 @@
+-- Lịch sử đình chỉ / cấm tài khoản
+-- Chạy script này trong Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS user_suspensions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    -- NULL: cấm vĩnh viễn cho đến khi được gỡ
+    expires_at TIMESTAMPTZ,
+    suspended_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    lifted_at TIMESTAMPTZ,
+    lifted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    lift_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_suspensions_user_id ON user_suspensions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_suspensions_active ON user_suspensions(user_id) WHERE lifted_at IS NULL;
@@ -1,27 +1,195 @@
 // File: server.js
 
 import 'dotenv/config';
+import crypto from 'crypto';
 import express from 'express';
 import cors from 'cors';
 import { createClient } from '@supabase/supabase-js';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import multer from 'multer';
+import { createImageProvider } from './server/providers/index.js';
+import { createJobQueue, isTerminalStatus } from './server/jobs.js';
+import { openEventStream } from './server/sse.js';
+import {
+    generationParams,
+    generationSizeErrors,
+    editParams,
+    variationParams,
+    paramsFromImage,
+    imageParamColumns,
+    MAX_SEED,
+    MAX_UPSCALE_DIMENSION,
+    GENERATION_PARAMS_SCHEMA,
+    EDIT_PARAMS_SCHEMA,
+    UPSCALE_PARAMS_SCHEMA,
+    VARIATION_PARAMS_SCHEMA
+} from './server/generationParams.js';
+import { readPngSize } from './server/png.js';
+import { createCreditService, creditCost, refundableCredits, getPlan, PLANS, STARTING_CREDITS } from './server/credits.js';
+import { createSlidingWindowLimiter } from './server/rateLimit.js';
+import { createSessionService, hashToken } from './server/sessions.js';
+import { ROLES, DEFAULT_ROLE, isDemotion } from './server/roles.js';
+import { createSuspensionService, describeSuspension } from './server/suspensions.js';
+import { createMailer } from './server/mailer.js';
+import { passwordResetEmail, verificationEmail } from './server/emails.js';
+import { createPromptModerator } from './server/moderation/index.js';
+import {
+    createImageModerationService,
+    REPORT_REASONS,
+    REPORT_STATUSES,
+    MAX_MODERATION_REASON_LENGTH
+} from './server/imageModeration.js';
+import {
+    createCollectionService,
+    MAX_COLLECTIONS_PER_USER,
+    MAX_BULK_IMAGES,
+    MAX_COLLECTION_NAME_LENGTH,
+    MAX_COLLECTION_DESCRIPTION_LENGTH
+} from './server/collections.js';
+import {
+    VISIBILITIES,
+    GALLERY_SORTS,
+    PUBLIC_IMAGE_COLUMNS,
+    PUBLIC_PROFILE_COLUMNS,
+    newShareToken,
+    shareUrl,
+    toPublicImage,
+    toPublicProfile
+} from './server/sharing.js';
+import {
+    createCreationService,
+    CREATION_SORTS,
+    MAX_TAGS_PER_IMAGE,
+    MAX_TAG_LENGTH,
+    MAX_SEARCH_LENGTH,
+    normalizeTag
+} from './server/creations.js';
+import { createTrashService } from './server/trash.js';
+import { createZipWriter } from './server/zip.js';
+import {
+    createActivityService,
+    ACTIVITY_EXPORT_FORMATS,
+    CLIENT_ACTIVITY_ACTIONS,
+    MAX_ACTIVITY_SEARCH_LENGTH,
+    MAX_ACTIVITY_FILTER_ACTIONS
+} from './server/activities.js';
+import {
+    createAnalyticsService,
+    analyticsToCsv,
+    ANALYTICS_BUCKETS,
+    ANALYTICS_SERIES,
+    MAX_ANALYTICS_BUCKETS,
+    DEFAULT_ANALYTICS_DAYS,
+    bucketStarts
+} from './server/analytics.js';
+import {
+    createWebhookService,
+    validateWebhookUrl,
+    newWebhookSecret,
+    toPublicWebhook,
+    WEBHOOK_EVENT_TYPES,
+    DELIVERY_STATUSES,
+    MAX_WEBHOOKS_PER_USER,
+    MAX_WEBHOOK_DESCRIPTION_LENGTH
+} from './server/webhooks.js';
+import { createActivityFeed, readLastEventId, ADMIN_FEED_ACTIONS, FEED_RETRY_MS } from './server/activityFeed.js';
+import {
+    createApiKeyService,
+    apiKeyContext,
+    currentApiKeyId,
+    isApiKey,
+    routeScope,
+    API_KEY_SCOPES,
+    API_KEY_RATE_LIMIT,
+    MAX_API_KEYS_PER_USER,
+    MAX_API_KEY_NAME_LENGTH,
+    MAX_API_KEY_EXPIRY_DAYS,
+    API_KEY_ROUTE_SCOPES
+} from './server/apiKeys.js';
+import {
+    validateRequest,
+    object,
+    string,
+    integer,
+    boolean,
+    array,
+    uuid,
+    oneOf,
+    nonBlank,
+    binary,
+    pagination,
+    sendValidationErrors
+} from './server/validation.js';
+import { buildOpenApiDocument, apiDocsPage } from './server/openapi.js';
+import { createStorage, storagePathFromUrl } from './server/storage/index.js';
 
 // --- KHỞI TẠO ---
 const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+// Nơi lưu file ảnh / avatar (supabase | local), chọn theo STORAGE_DRIVER
+const storage = createStorage({ supabase });
+const sessions = createSessionService({ supabase });
+const suspensions = createSuspensionService({ supabase });
+const imageModeration = createImageModerationService({ supabase });
+const collections = createCollectionService({ supabase });
+const creations = createCreationService({ supabase });
+const trash = createTrashService({ supabase, storage });
+const activityHistory = createActivityService({ supabase });
+const activityFeed = createActivityFeed({ supabase });
+const analytics = createAnalyticsService({ supabase });
+const webhooks = createWebhookService({ supabase });
+const apiKeys = createApiKeyService({ supabase });
+const mailer = createMailer();
 const app = express();
 app.use(cors({ origin: 'http://localhost:5173' }));
 app.use(express.json({ limit: '10mb' }));
 
+// Provider sinh ảnh (colab | stability | openai | replicate | mock), chọn theo PROVIDER / MOCK_MODE
+const imageProvider = createImageProvider();
+console.log(`🎨 Image provider: ${imageProvider.name}`);
+console.log(`🗄️ Storage driver: ${storage.name}${storage.isPrivate('images') ? ' (signed image URLs)' : ''}`);
+
+// Driver local phục vụ file đã lưu tại /storage/<bucket>/<path>
+if (storage.handler) {
+    app.use('/storage', storage.handler);
+}
+
+// URL ảnh trả cho client: `images.image_url` là URL cố định, bucket riêng tư (SIGNED_IMAGE_URLS=1) thì ký URL có hạn
+const resolveImageUrl = (url) => storage.resolveUrl('images', url);
+
+// Thay trường URL ảnh (mặc định `image_url`) của mỗi dòng bằng URL trả cho client
+const withImageUrls = async (rows, field = 'image_url') => {
+    if (!storage.isPrivate('images')) return rows;
+    return Promise.all(rows.map(async (row) => (row?.[field] ? { ...row, [field]: await resolveImageUrl(row[field]) } : row)));
+};
+
+// Bộ sưu tập kèm số ảnh và ảnh bìa, trả cho client
+const presentCollection = async (collection) => {
+    const [summary] = await withImageUrls([await collections.withSummary(collection)], 'cover_image_url');
+    return summary;
+};
+
+// Job trả cho client, ký lại URL ảnh trong kết quả
+const presentJob = async (job) => {
+    if (!job?.result || !storage.isPrivate('images')) return job;
+    const { result } = job;
+    return {
+        ...job,
+        result: {
+            ...result,
+            ...(result.images && { images: await withImageUrls(result.images, 'imageUrl') }),
+            ...(result.imageUrl && { imageUrl: await resolveImageUrl(result.imageUrl) })
+        }
+    };
+};
+
 // --- ACTIVITY TABLE SETUP ---
 // Note: The activities table needs to be created manually in Supabase
 // Run the SQL script in create_activity_table.sql in your Supabase SQL editor
 // The table will be created with proper schema, indexes, and RLS policies
 
 // Cấu hình Multer để lưu file tạm thời trong bộ nhớ
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+const upload = multer({ storage: multer.memoryStorage() });
 
 // Password validation function
 const validatePassword = (password) => {
@@ -39,15 +207,66 @@ const validatePassword = (password) => {
     };
 };
 
+// --- TOKEN DÙNG MỘT LẦN (ĐẶT LẠI MẬT KHẨU, XÁC THỰC EMAIL) ---
+
+// Tạo token ngẫu nhiên và chỉ lưu hash; các token cũ chưa dùng của user bị vô hiệu
+const issueOneTimeToken = async (table, userId, ttlMinutes) => {
+    await supabase
+        .from(table)
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('used_at', null);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const { error } = await supabase
+        .from(table)
+        .insert({
+            user_id: userId,
+            token_hash: hashToken(token),
+            expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+        });
+    if (error) throw error;
+
+    return token;
+};
+
+// Đánh dấu token đã dùng ngay khi tìm thấy: điều kiện used_at IS NULL đảm bảo chỉ dùng được một lần.
+// Trả về user_id nếu token hợp lệ, ngược lại null.
+const consumeOneTimeToken = async (table, token) => {
+    const { data: consumed, error } = await supabase
+        .from(table)
+        .update({ used_at: new Date().toISOString() })
+        .eq('token_hash', hashToken(String(token)))
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .select('user_id');
+    if (error) throw error;
+
+    return consumed?.[0]?.user_id || null;
+};
+
 // --- API XÁC THỰC (AUTH) ---
 
-// API Đăng Ký
-app.post('/api/auth/register', async (req, res) => {
-    const { fullName, email, password } = req.body;
+// Schema dùng chung cho email / mật khẩu trong body
+const EMAIL_FIELD = string({ minLength: 1, maxLength: 254 });
 
-    if (!email || !password || !fullName) {
-        return res.status(400).json({ error: 'Vui lòng cung cấp đầy đủ họ tên, email và mật khẩu.' });
-    }
+// Email được lưu và tra cứu ở dạng chữ thường, bỏ khoảng trắng hai đầu
+const normalizeEmail = (email) => email.trim().toLowerCase();
+const PASSWORD_FIELD = string({ minLength: 1, maxLength: 128 });
+
+// API Đăng Ký
+app.post('/api/auth/register', validateRequest({
+    summary: 'Create an account (a verification email is sent)',
+    tags: ['Auth'],
+    body: object({
+        fullName: nonBlank(100),
+        email: string({ format: 'email', maxLength: 254 }),
+        password: PASSWORD_FIELD
+    }, ['fullName', 'email', 'password']),
+    responses: { 201: 'Account created' }
+}), async (req, res) => {
+    const { fullName, password } = req.body;
+    const email = normalizeEmail(req.body.email);
 
     // Validate password strength
     const passwordValidation = validatePassword(password);
@@ -70,14 +289,28 @@ app.post('/api/auth/register', async (req, res) => {
         const { data: newUser, error } = await supabase
             .from('users')
             .insert({ full_name: fullName, email, hashed_password: hashedPassword })
-            .select('id, email, full_name')
+            .select('id, email, full_name, email_verified_at')
             .single();
 
         if (error) throw error;
+
+        // Tặng credits khởi đầu cho tài khoản mới
+        try {
+            await credits.adjust(newUser.id, STARTING_CREDITS, 'signup_grant');
+        } catch (grantError) {
+            console.error('[/api/auth/register] Failed to grant starting credits:', grantError);
+        }
+
+        // Ghi log hoạt động register (hiện trên kênh admin trực tiếp)
+        await logActivity(newUser.id, 'register', null, { email: newUser.email, fullName: newUser.full_name });
+
+        // Tài khoản mới chưa xác thực: gửi email chứa liên kết xác thực
+        await sendVerificationEmail(newUser);
         
         res.status(201).json({ 
-            message: 'Tài khoản đã được tạo thành công!', 
-            user: newUser 
+            message: 'Tài khoản đã được tạo thành công! Vui lòng kiểm tra email để xác thực tài khoản.', 
+            user: newUser,
+            verificationRequired: true
         });
     } catch (err) {
         console.error('[/api/auth/register] Error:', err);
@@ -86,11 +319,13 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // API Đăng Nhập
-app.post('/api/auth/login', async (req, res) => {
-    const { email, password } = req.body;
-    if (!email || !password) {
-        return res.status(400).json({ error: 'Email and password are required.' });
-    }
+app.post('/api/auth/login', validateRequest({
+    summary: 'Log in and receive an access token and a refresh token',
+    tags: ['Auth'],
+    body: object({ email: EMAIL_FIELD, password: PASSWORD_FIELD }, ['email', 'password'])
+}), async (req, res) => {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
 
     try {
         const { data: user, error } = await supabase.from('users').select('*').eq('email', email).single();
@@ -103,76 +338,513 @@ app.post('/api/auth/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials.' });
         }
 
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET,
-            { expiresIn: '1d' }
-        );
+        const suspension = await suspensions.getActiveSuspension(user.id);
+        if (suspension) {
+            return res.status(403).json(suspendedResponse(suspension));
+        }
+
+        if (!user.email_verified_at) {
+            return res.status(403).json({
+                error: 'Email chưa được xác thực. Vui lòng kiểm tra hộp thư hoặc yêu cầu gửi lại email xác thực.',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        // Access token ngắn hạn + refresh token xoay vòng, gắn với một session phía server
+        const tokens = await sessions.createSession(user, {
+            userAgent: req.headers['user-agent'],
+            ip: req.ip
+        });
         
-        res.json({ token, user: { id: user.id, fullName: user.full_name, email: user.email, avatarUrl: user.avatar_url } });
+        res.json({ ...tokens, user: { id: user.id, fullName: user.full_name, email: user.email, avatarUrl: user.avatar_url } });
     } catch (err) {
         console.error('[/api/auth/login] Error:', err);
         res.status(500).json({ error: 'Server error during login.' });
     }
 });
 
+// --- XÁC THỰC EMAIL ---
+const VERIFY_TOKEN_TTL_HOURS = parseInt(process.env.VERIFY_TOKEN_TTL_HOURS) || 24;
+// Mỗi limiter một độ dài cửa sổ: 1 lần / phút theo email; 3 lần / giờ theo email và 10 lần / giờ theo IP
+const verificationMinuteLimiter = createSlidingWindowLimiter();
+const verificationHourLimiter = createSlidingWindowLimiter();
+
+const sendVerificationEmail = async (user) => {
+    try {
+        const token = await issueOneTimeToken('email_verification_tokens', user.id, VERIFY_TOKEN_TTL_HOURS * 60);
+        const message = verificationEmail({ fullName: user.full_name, token, expiresInHours: VERIFY_TOKEN_TTL_HOURS });
+        await mailer.sendMail({ to: user.email, ...message });
+        console.log(`[Verify Email] Verification email sent to user ${user.id}`);
+    } catch (err) {
+        // Không chặn đăng ký khi gửi email lỗi, user có thể yêu cầu gửi lại
+        console.error('[Verify Email] Failed to send verification email:', err);
+    }
+};
+
+// Xác thực email bằng token: GET cho liên kết trong email, POST cho frontend
+const verifyEmailHandler = async (req, res) => {
+    const token = req.method === 'GET' ? req.query.token : req.body.token;
+
+    try {
+        const userId = await consumeOneTimeToken('email_verification_tokens', token);
+        if (!userId) {
+            return res.status(400).json({ error: 'Liên kết xác thực không hợp lệ hoặc đã hết hạn.' });
+        }
+
+        const { error } = await supabase
+            .from('users')
+            .update({ email_verified_at: new Date().toISOString(), updated_at: new Date() })
+            .eq('id', userId)
+            .is('email_verified_at', null);
+        if (error) throw error;
+
+        await logActivity(userId, 'email_verified', null, { method: 'token' });
+
+        console.log(`[Verify Email] User ${userId} verified email`);
+        res.json({ success: true, message: 'Email đã được xác thực thành công! Bạn có thể đăng nhập.' });
+    } catch (err) {
+        console.error('[/api/auth/verify-email] Error:', err);
+        res.status(500).json({ error: 'Lỗi hệ thống trong quá trình xác thực email.' });
+    }
+};
+
+const VERIFY_TOKEN_FIELDS = object({ token: string({ minLength: 1, maxLength: 200 }) }, ['token']);
+app.get('/api/auth/verify-email', validateRequest({
+    summary: 'Verify the account email (link in the verification email)',
+    tags: ['Auth'],
+    query: VERIFY_TOKEN_FIELDS
+}), verifyEmailHandler);
+app.post('/api/auth/verify-email', validateRequest({
+    summary: 'Verify the account email',
+    tags: ['Auth'],
+    body: VERIFY_TOKEN_FIELDS
+}), verifyEmailHandler);
+
+// API gửi lại email xác thực (giới hạn theo email và IP, không lộ email nào đã đăng ký)
+app.post('/api/auth/resend-verification', validateRequest({
+    summary: 'Send a new verification email',
+    tags: ['Auth'],
+    body: object({ email: EMAIL_FIELD }, ['email'])
+}), async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+
+    const limits = [
+        [verificationMinuteLimiter, `email:${email}`, { limit: 1, windowMs: 60 * 1000 }],
+        [verificationHourLimiter, `email:${email}`, { limit: 3, windowMs: 60 * 60 * 1000 }],
+        [verificationHourLimiter, `ip:${req.ip}`, { limit: 10, windowMs: 60 * 60 * 1000 }]
+    ];
+    // Chỉ tính lượt khi mọi giới hạn đều còn, để request bị chặn không tiêu hết hạn mức của giới hạn khác
+    const blocked = limits
+        .map(([limiter, key, options]) => limiter.check(key, options))
+        .find((check) => !check.allowed);
+    if (blocked) {
+        const retryAfter = Math.ceil(blocked.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Bạn đã yêu cầu quá nhiều lần, vui lòng thử lại sau.', retryAfter });
+    }
+    for (const [limiter, key, options] of limits) limiter.hit(key, options);
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, full_name, email_verified_at')
+            .eq('email', email)
+            .maybeSingle();
+        if (error) throw error;
+
+        if (user && !user.email_verified_at) {
+            await sendVerificationEmail(user);
+        }
+
+        res.json({
+            success: true,
+            message: 'Nếu tài khoản tồn tại và chưa được xác thực, email xác thực mới đã được gửi.'
+        });
+    } catch (err) {
+        console.error('[/api/auth/resend-verification] Error:', err);
+        res.status(500).json({ error: 'Lỗi hệ thống trong quá trình gửi lại email xác thực.' });
+    }
+});
+
+// --- QUÊN / ĐẶT LẠI MẬT KHẨU ---
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+const passwordResetLimiter = createSlidingWindowLimiter();
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueOneTimeToken('password_reset_tokens', user.id, RESET_TOKEN_TTL_MINUTES);
+    console.log(`[Forgot Password] Reset token issued for user ${user.id}`);
+
+    const message = passwordResetEmail({ fullName: user.full_name, token, expiresInMinutes: RESET_TOKEN_TTL_MINUTES });
+    await mailer.sendMail({ to: user.email, ...message });
+};
+
+// API Quên Mật Khẩu: luôn trả về cùng một thông báo để không lộ email nào đã đăng ký
+app.post('/api/auth/forgot-password', validateRequest({
+    summary: 'Email a password reset link',
+    tags: ['Auth'],
+    body: object({ email: EMAIL_FIELD }, ['email'])
+}), async (req, res) => {
+    const email = normalizeEmail(req.body.email);
+
+    const limit = passwordResetLimiter.hit(`ip:${req.ip}`, { limit: 5, windowMs: 60 * 60 * 1000 });
+    if (!limit.allowed) {
+        const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Bạn đã yêu cầu quá nhiều lần, vui lòng thử lại sau.', retryAfter });
+    }
+
+    const genericResponse = {
+        success: true,
+        message: 'Nếu email tồn tại trong hệ thống, bạn sẽ nhận được hướng dẫn đặt lại mật khẩu.'
+    };
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, full_name')
+            .eq('email', email)
+            .maybeSingle();
+        if (error) throw error;
+
+        if (user) {
+            // Không chờ tạo token / gửi email để thời gian phản hồi không phụ thuộc email có tồn tại hay không
+            sendPasswordResetEmail(user)
+                .catch((sendError) => console.error('[/api/auth/forgot-password] Send reset email error:', sendError));
+        }
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error('[/api/auth/forgot-password] Error:', err);
+        res.status(500).json({ error: 'Lỗi hệ thống trong quá trình xử lý yêu cầu.' });
+    }
+});
+
+// API Đặt Lại Mật Khẩu bằng token một lần trong email
+app.post('/api/auth/reset-password', validateRequest({
+    summary: 'Set a new password with the token from the reset email',
+    tags: ['Auth'],
+    body: object({ token: string({ minLength: 1, maxLength: 200 }), newPassword: PASSWORD_FIELD }, ['token', 'newPassword'])
+}), async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    // Validate password strength
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.isValid) {
+        const errorMessages = Object.values(passwordValidation.errors).filter(Boolean);
+        return res.status(400).json({ 
+            error: 'Mật khẩu mới không đáp ứng yêu cầu bảo mật',
+            details: errorMessages
+        });
+    }
+
+    try {
+        const userId = await consumeOneTimeToken('password_reset_tokens', token);
+        if (!userId) {
+            return res.status(400).json({ error: 'Liên kết đặt lại mật khẩu không hợp lệ hoặc đã hết hạn.' });
+        }
+
+        const hashedNewPassword = await bcrypt.hash(newPassword, 12);
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ hashed_password: hashedNewPassword, updated_at: new Date() })
+            .eq('id', userId);
+        if (updateError) throw updateError;
+
+        // Đăng xuất mọi thiết bị sau khi đặt lại mật khẩu
+        await sessions.revokeAllForUser(userId, 'password_reset');
+        await logActivity(userId, 'password_reset', null, { ip: req.ip });
+
+        console.log(`[Reset Password] User ${userId} reset password successfully`);
+        res.json({ success: true, message: 'Mật khẩu đã được đặt lại thành công! Vui lòng đăng nhập lại.' });
+    } catch (err) {
+        console.error('[/api/auth/reset-password] Error:', err);
+        res.status(500).json({ error: 'Lỗi hệ thống trong quá trình đặt lại mật khẩu.' });
+    }
+});
+
 
 // --- MIDDLEWARE BẢO VỆ "NGƯỜI GÁC CỔNG" ---
-const protect = (req, res, next) => {
+
+// Nội dung lỗi 403 cho tài khoản đang bị đình chỉ / cấm, kèm lý do để user biết vì sao
+const suspendedResponse = (suspension) => ({
+    error: suspension.expires_at
+        ? `Tài khoản của bạn bị đình chỉ đến ${new Date(suspension.expires_at).toISOString()}. Lý do: ${suspension.reason}`
+        : `Tài khoản của bạn đã bị cấm. Lý do: ${suspension.reason}`,
+    code: 'ACCOUNT_SUSPENDED',
+    suspension: describeSuspension(suspension)
+});
+
+// Xác thực access token: chữ ký JWT hợp lệ, session tương ứng chưa bị thu hồi và tài khoản không bị đình chỉ
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await sessions.isSessionActive(decoded.sessionId))) {
+        const error = new Error('Session has been revoked.');
+        error.code = 'SESSION_REVOKED';
+        throw error;
+    }
+    await suspensions.assertNotSuspended(decoded.userId);
+    return decoded;
+};
+
+// API key (X-API-Key hoặc Authorization: Bearer dk_...), chỉ dùng được trên route có trong API_KEY_ROUTE_SCOPES
+const readApiKey = (req) => {
+    const header = req.headers['x-api-key'];
+    if (typeof header === 'string' && header) return header;
+    const token = req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.split(' ')[1] : null;
+    return isApiKey(token) ? token : null;
+};
+
+const apiKeyLimiter = createSlidingWindowLimiter();
+
+const protectWithApiKey = async (req, res, next, token) => {
+    // Key không được xuất hiện trong URL (log, lịch sử trình duyệt)
+    if (req.tokenFromQuery) {
+        return res.status(401).json({ error: 'API keys must be sent in the X-API-Key or Authorization header.', code: 'API_KEY_IN_QUERY' });
+    }
+
+    const scope = routeScope(req);
+    if (!scope) {
+        return res.status(403).json({ error: 'This endpoint cannot be used with an API key.', code: 'API_KEY_NOT_ALLOWED' });
+    }
+
+    try {
+        const { key, user } = await apiKeys.authenticate(token);
+        if (!key.scopes.includes(scope)) {
+            return res.status(403).json({ error: `API key is missing the required scope: ${scope}.`, code: 'API_KEY_SCOPE_MISSING', scope });
+        }
+
+        const { allowed, retryAfterMs } = apiKeyLimiter.hit(key.id, API_KEY_RATE_LIMIT);
+        if (!allowed) {
+            res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+            return res.status(429).json({ error: 'API key rate limit exceeded. Please try again later.', code: 'API_KEY_RATE_LIMITED' });
+        }
+
+        await suspensions.assertNotSuspended(user.id);
+        req.user = { userId: user.id, email: user.email, role: user.role || DEFAULT_ROLE, apiKeyId: key.id };
+        // logActivity đọc key đang dùng từ context này
+        apiKeyContext.run({ apiKeyId: key.id }, next);
+    } catch (err) {
+        if (err.code === 'ACCOUNT_SUSPENDED') {
+            return res.status(403).json(suspendedResponse(err.suspension));
+        }
+        if (err.status === 401) {
+            return res.status(401).json({ error: err.message, code: err.code });
+        }
+        console.error('❌ [API key auth] Error:', err);
+        res.status(500).json({ error: 'Failed to verify API key.', details: err.message });
+    }
+};
+
+// Thuộc tính `auth` trên middleware để server/openapi.js biết route cần đăng nhập / vai trò nào
+const protect = async (req, res, next) => {
+    const apiKey = readApiKey(req);
+    if (apiKey) return protectWithApiKey(req, res, next, apiKey);
+
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
         return res.status(401).json({ error: 'Not authenticated, no token provided.' });
     }
     const token = authHeader.split(' ')[1];
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded; // Gắn thông tin người dùng (userId, email) vào request
+        const decoded = await verifyAccessToken(token);
+        req.user = decoded; // Gắn thông tin người dùng (userId, email, sessionId) vào request
         next(); // Cho phép đi tiếp
     } catch (err) {
+        if (err.code === 'ACCOUNT_SUSPENDED') {
+            return res.status(403).json(suspendedResponse(err.suspension));
+        }
+        if (err.code === 'SESSION_REVOKED') {
+            return res.status(401).json({ error: 'Not authenticated, session has been revoked.', code: err.code });
+        }
         res.status(401).json({ error: 'Not authenticated, token is invalid.' });
     }
 };
+protect.auth = { required: true };
 
-// Thêm vào server.js
-
-// Middleware kiểm tra admin
-const adminProtect = (req, res, next) => {
-    console.log('=== 🔐 ADMIN MIDDLEWARE CHECK ===');
+// Cho phép cả khách: gắn req.user nếu có token hợp lệ, ngược lại vẫn đi tiếp như khách
+const optionalAuth = async (req, res, next) => {
     const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        console.log('❌ No admin auth header');
-        return res.status(401).json({ error: 'Not authenticated, no token provided.' });
+    if (authHeader?.startsWith('Bearer ')) {
+        try {
+            req.user = await verifyAccessToken(authHeader.split(' ')[1]);
+        } catch (err) {
+            req.user = undefined;
+        }
     }
-    
-    const token = authHeader.split(' ')[1];
-    
+    next();
+};
+optionalAuth.auth = { required: false };
+
+// EventSource của trình duyệt không gửi được header Authorization,
+// nên các route SSE chấp nhận token qua query `?token=`
+const allowQueryToken = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+        req.tokenFromQuery = true;
+    }
+    next();
+};
+
+// Query của các route SSE
+const SSE_QUERY = object({
+    token: string({ description: 'Access token, for EventSource clients that cannot send the Authorization header' }),
+    lastEventId: string({ maxLength: 100, description: 'Same as the Last-Event-ID header' })
+});
+
+// Middleware phân quyền theo vai trò (user | moderator | admin) lấy từ claim `role` của JWT.
+// Ví dụ: requireRole('admin'), requireRole('moderator', 'admin')
+const requireRole = (...roles) => {
+    const middleware = async (req, res, next) => {
+        console.log(`=== 🔐 ROLE CHECK (${roles.join(', ')}) ===`);
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+            console.log('❌ No auth header');
+            return res.status(401).json({ error: 'Not authenticated, no token provided.' });
+        }
+
+        const token = authHeader.split(' ')[1];
+        if (isApiKey(token)) {
+            return res.status(403).json({ error: 'This endpoint cannot be used with an API key.', code: 'API_KEY_NOT_ALLOWED' });
+        }
+
+        try {
+            const decoded = await verifyAccessToken(token);
+            const role = decoded.role || DEFAULT_ROLE;
+
+            if (!roles.includes(role)) {
+                console.log(`❌ User ${decoded.userId} with role "${role}" denied`);
+                return res.status(403).json({ error: `Access denied. Requires role: ${roles.join(' or ')}.` });
+            }
+
+            req.user = { ...decoded, role };
+            next();
+        } catch (err) {
+            if (err.code === 'ACCOUNT_SUSPENDED') {
+                console.log('❌ Suspended account denied');
+                return res.status(403).json(suspendedResponse(err.suspension));
+            }
+            console.log('❌ Role check JWT verify error:', err.message);
+            res.status(401).json({ error: 'Not authenticated, token is invalid.' });
+        }
+    };
+    middleware.auth = { required: true, roles };
+    return middleware;
+};
+
+// Params của route: mọi tên truyền vào là UUID
+const idParams = (...names) => object(Object.fromEntries(names.map((name) => [name, uuid()])), names);
+
+// --- API PHIÊN ĐĂNG NHẬP ---
+
+// Tải user để ký lại access token khi xoay vòng refresh token (tài khoản bị đình chỉ không được cấp token mới)
+const loadTokenUser = async (userId) => {
+    const { data, error } = await supabase.from('users').select('id, email, role').eq('id', userId).maybeSingle();
+    if (error) throw error;
+    if (data) await suspensions.assertNotSuspended(userId);
+    return data;
+};
+
+// API đổi refresh token lấy access token mới (refresh token cũ bị vô hiệu)
+app.post('/api/auth/refresh', validateRequest({
+    summary: 'Exchange a refresh token for new tokens (the old refresh token is revoked)',
+    tags: ['Sessions'],
+    body: object({ refreshToken: string({ minLength: 1, maxLength: 512 }) }, ['refreshToken'])
+}), async (req, res) => {
+    const { refreshToken } = req.body;
+
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        console.log('✅ Token decoded, checking admin status:', {
-            userId: decoded.userId,
-            email: decoded.email,
-            role: decoded.role
-        });
-        
-        // Kiểm tra role admin (có thể là email hoặc role field)
-        if (decoded.email !== 'admin@dreamina.com' && decoded.role !== 'admin') {
-            console.log('❌ User is not admin');
-            return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
+        const tokens = await sessions.rotate(refreshToken, loadTokenUser);
+        res.json(tokens);
+    } catch (err) {
+        if (err.code === 'ACCOUNT_SUSPENDED') {
+            return res.status(403).json(suspendedResponse(err.suspension));
         }
-        
-        req.user = decoded;
-        next();
+        if (err.status === 401) {
+            return res.status(401).json({ error: err.message, code: err.code });
+        }
+        console.error('[/api/auth/refresh] Error:', err);
+        res.status(500).json({ error: 'Server error during token refresh.' });
+    }
+});
+
+// API đăng xuất phiên hiện tại: dùng refresh token (nếu gửi kèm) hoặc access token
+app.post('/api/auth/logout', validateRequest({
+    summary: 'Log out the current session (by refresh token or access token)',
+    tags: ['Sessions'],
+    body: object({ refreshToken: string({ minLength: 1, maxLength: 512 }) })
+}), async (req, res) => {
+    try {
+        let sessionId = null;
+        if (typeof req.body.refreshToken === 'string') {
+            sessionId = await sessions.findSessionIdByRefreshToken(req.body.refreshToken);
+        } else if (req.headers.authorization?.startsWith('Bearer ')) {
+            sessionId = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET).sessionId;
+        }
+
+        if (!sessionId) {
+            return res.status(400).json({ error: 'Refresh token or access token is required.' });
+        }
+
+        await sessions.revokeSession(sessionId, 'logout');
+        res.json({ success: true, message: 'Đã đăng xuất.' });
     } catch (err) {
-        console.log('❌ Admin JWT verify error:', err.message);
-        res.status(401).json({ error: 'Invalid admin token.' });
+        if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Not authenticated, token is invalid.' });
+        }
+        console.error('[/api/auth/logout] Error:', err);
+        res.status(500).json({ error: 'Server error during logout.' });
     }
-};
+});
+
+// API đăng xuất khỏi tất cả thiết bị
+app.post('/api/auth/logout-all', protect, validateRequest({
+    summary: 'Log out of every device',
+    tags: ['Sessions']
+}), async (req, res) => {
+    try {
+        const count = await sessions.revokeAllForUser(req.user.userId, 'logout_all');
+        res.json({ success: true, revokedSessions: count, message: 'Đã đăng xuất khỏi tất cả thiết bị.' });
+    } catch (err) {
+        console.error('[/api/auth/logout-all] Error:', err);
+        res.status(500).json({ error: 'Server error during logout.', details: err.message });
+    }
+});
+
+// API danh sách các phiên đăng nhập đang hoạt động
+app.get('/api/auth/sessions', protect, validateRequest({
+    summary: 'List active sessions',
+    tags: ['Sessions']
+}), async (req, res) => {
+    try {
+        const activeSessions = await sessions.listActiveSessions(req.user.userId);
+        res.json({
+            success: true,
+            sessions: activeSessions.map((session) => ({ ...session, current: session.id === req.user.sessionId }))
+        });
+    } catch (err) {
+        console.error('[/api/auth/sessions] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch sessions', details: err.message });
+    }
+});
 
-// API lấy danh sách tất cả người dùng (chỉ admin)
-app.get('/api/admin/users', adminProtect, async (req, res) => {
+// Giá trị trong filter .or() của PostgREST: đặt trong dấu nháy kép để dấu phẩy / ngoặc không tách filter,
+// và thoát ký tự đại diện của LIKE để tìm đúng chuỗi người dùng nhập
+const orFilterValue = (value) => `"${value.replace(/[\\"]/g, '\\$&')}"`;
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// API lấy danh sách tất cả người dùng (moderator, admin)
+app.get('/api/admin/users', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'List users',
+    tags: ['Admin: users'],
+    query: object({
+        ...pagination(10),
+        search: string({ maxLength: 100, description: 'Matches full name or email' }),
+        role: oneOf(ROLES)
+    })
+}), async (req, res) => {
     console.log('=== 👥 GET ALL USERS ADMIN API ===');
-    const { page = 1, limit = 10, search = '' } = req.query;
+    const { page, limit, search, role } = req.query;
     const offset = (page - 1) * limit;
     
     try {
@@ -184,38 +856,43 @@ app.get('/api/admin/users', adminProtect, async (req, res) => {
                 email, 
                 bio, 
                 avatar_url, 
+                role,
+                plan,
+                credits,
+                email_verified_at,
                 created_at, 
                 updated_at
-            `)
+            `, { count: 'exact' })
             .order('created_at', { ascending: false });
             
         // Tìm kiếm nếu có
-        if (search) {
-            query = query.or(`full_name.ilike.%${search}%,email.ilike.%${search}%`);
+        if (search?.trim()) {
+            const pattern = orFilterValue(`%${escapeLike(search.trim())}%`);
+            query = query.or(`full_name.ilike.${pattern},email.ilike.${pattern}`);
+        }
+        
+        // Lọc theo vai trò nếu có
+        if (role) {
+            query = query.eq('role', role);
         }
         
         // Phân trang
-        query = query.range(offset, offset + parseInt(limit) - 1);
+        query = query.range(offset, offset + limit - 1);
         
-        const { data: users, error, count } = await query;
+        const { data: users, error, count: totalUsers } = await query;
         
         if (error) throw error;
         
-        // Đếm tổng số user
-        const { count: totalUsers } = await supabase
-            .from('users')
-            .select('*', { count: 'exact', head: true });
-        
         console.log(`✅ Retrieved ${users.length} users`);
         
         res.json({
             success: true,
             users: users || [],
             pagination: {
-                currentPage: parseInt(page),
-                totalPages: Math.ceil(totalUsers / limit),
-                totalUsers: totalUsers,
-                limit: parseInt(limit)
+                currentPage: page,
+                totalPages: Math.ceil((totalUsers || 0) / limit),
+                totalUsers: totalUsers || 0,
+                limit
             }
         });
         
@@ -226,7 +903,10 @@ app.get('/api/admin/users', adminProtect, async (req, res) => {
 });
 
 // API lấy thống kê tổng quan (chỉ admin)
-app.get('/api/admin/stats', adminProtect, async (req, res) => {
+app.get('/api/admin/stats', requireRole('admin'), validateRequest({
+    summary: 'Overall user and image counts',
+    tags: ['Admin: analytics']
+}), async (req, res) => {
     console.log('=== 📊 GET ADMIN STATS API ===');
     
     try {
@@ -273,8 +953,83 @@ app.get('/api/admin/stats', adminProtect, async (req, res) => {
     }
 });
 
-// API lấy chi tiết user và ảnh của user (chỉ admin)
-app.get('/api/admin/users/:userId', adminProtect, async (req, res) => {
+// Tham số của GET /api/admin/analytics: from, to (mặc định 30 ngày gần nhất), bucket = day | week | month
+const ANALYTICS_QUERY_FIELDS = {
+    from: string({ format: 'date-time', description: `Defaults to ${DEFAULT_ANALYTICS_DAYS} days before to` }),
+    to: string({ format: 'date-time', description: 'Defaults to now; a date only includes that whole day' }),
+    bucket: oneOf(ANALYTICS_BUCKETS, { default: 'day' }),
+    top: integer({ minimum: 1, maximum: 100, default: 10, description: 'Size of the top users / keywords lists' })
+};
+
+// Query đã qua validateRequest: chỉ còn kiểm tra khoảng thời gian
+const readAnalyticsQuery = (query) => {
+    const errors = [];
+    const { bucket } = query;
+
+    const to = query.to ? new Date(query.to) : new Date();
+    // Chỉ có ngày: tính hết ngày đó
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to.setUTCDate(to.getUTCDate() + 1);
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_ANALYTICS_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from >= to) errors.push('from must be before to');
+    if (errors.length === 0 && bucketStarts(from, to, bucket).length > MAX_ANALYTICS_BUCKETS) {
+        errors.push(`The range is too long: at most ${MAX_ANALYTICS_BUCKETS} ${bucket} buckets`);
+    }
+
+    return { errors, options: { from, to, bucket, topLimit: query.top } };
+};
+
+// API thống kê theo thời gian cho dashboard (chuỗi số liệu, top user, từ khoá prompt, DAU)
+app.get('/api/admin/analytics', requireRole('admin'), validateRequest({
+    summary: 'Time-series metrics, top users, prompt keywords and daily active users',
+    tags: ['Admin: analytics'],
+    query: object(ANALYTICS_QUERY_FIELDS)
+}), async (req, res) => {
+    const { errors, options } = readAnalyticsQuery(req.query);
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        const report = await analytics.report(options);
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('❌ Get analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics', details: error.message });
+    }
+});
+
+// API xuất CSV: một series (?series=generations) hoặc mọi series theo bucket
+app.get('/api/admin/analytics/export', requireRole('admin'), validateRequest({
+    summary: 'Export analytics as CSV',
+    tags: ['Admin: analytics'],
+    query: object({ ...ANALYTICS_QUERY_FIELDS, series: oneOf(ANALYTICS_SERIES, { description: 'One series; all series when omitted' }) }),
+    responses: { 200: 'CSV file' }
+}), async (req, res) => {
+    const { series } = req.query;
+    const { errors, options } = readAnalyticsQuery(req.query);
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    try {
+        const report = await analytics.report(options);
+        const name = `analytics-${series || options.bucket}-${options.from.toISOString().slice(0, 10)}-${options.to.toISOString().slice(0, 10)}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+        res.send(analyticsToCsv(report, series));
+    } catch (error) {
+        console.error('❌ Export analytics error:', error);
+        res.status(500).json({ error: 'Failed to export analytics', details: error.message });
+    }
+});
+
+// API lấy chi tiết user và ảnh của user (moderator, admin)
+app.get('/api/admin/users/:userId', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'User details with images and the active suspension',
+    tags: ['Admin: users'],
+    params: idParams('userId')
+}), async (req, res) => {
     console.log('=== 👤 GET USER DETAILS ADMIN API ===');
     const { userId } = req.params;
     
@@ -298,6 +1053,8 @@ app.get('/api/admin/users/:userId', adminProtect, async (req, res) => {
             
         if (imagesError) throw imagesError;
         
+        const activeSuspension = await suspensions.getActiveSuspension(userId);
+        
         console.log(`✅ Retrieved user ${userId} with ${images?.length || 0} images`);
         
         res.json({
@@ -306,7 +1063,8 @@ app.get('/api/admin/users/:userId', adminProtect, async (req, res) => {
                 ...user,
                 hashed_password: undefined // Không trả về password
             },
-            images: images || []
+            suspension: activeSuspension ? describeSuspension(activeSuspension) : null,
+            images: await withImageUrls(images || [])
         });
         
     } catch (error) {
@@ -316,11 +1074,22 @@ app.get('/api/admin/users/:userId', adminProtect, async (req, res) => {
 });
 
 // API xóa user (chỉ admin)
-app.delete('/api/admin/users/:userId', adminProtect, async (req, res) => {
+app.delete('/api/admin/users/:userId', requireRole('admin'), validateRequest({
+    summary: 'Delete a user and their images',
+    tags: ['Admin: users'],
+    params: idParams('userId')
+}), async (req, res) => {
     console.log('=== 🗑️ DELETE USER ADMIN API ===');
     const { userId } = req.params;
     
     try {
+        if (await isLastAdmin(userId)) {
+            return res.status(409).json({ error: 'Cannot delete the last admin account.' });
+        }
+
+        // Thu hồi mọi phiên đăng nhập của user
+        await sessions.revokeAllForUser(userId, 'account_deleted');
+
         // Xóa tất cả ảnh của user trước
         const { data: userImages, error: getImagesError } = await supabase
             .from('images')
@@ -329,8 +1098,12 @@ app.delete('/api/admin/users/:userId', adminProtect, async (req, res) => {
             
         if (!getImagesError && userImages?.length > 0) {
             // Xóa files khỏi storage
-            const filePaths = userImages.map(img => img.file_path);
-            await supabase.storage.from('images').remove(filePaths);
+            const filePaths = userImages.map(img => img.file_path).filter(Boolean);
+            try {
+                await storage.remove('images', filePaths);
+            } catch (storageError) {
+                console.error('❌ Storage delete error:', storageError.message);
+            }
             
             // Xóa records khỏi database
             await supabase.from('images').delete().eq('user_id', userId);
@@ -358,242 +1131,2805 @@ app.delete('/api/admin/users/:userId', adminProtect, async (req, res) => {
 });
 
 
-// --- HÀM GHI LOG HOẠT ĐỘNG ---
-const logActivity = async (userId, action, imageId = null, additionalData = {}) => {
+// User có phải admin duy nhất còn lại không
+const isLastAdmin = async (userId) => {
+    const { data: admins, error } = await supabase
+        .from('users')
+        .select('id')
+        .eq('role', 'admin');
+    if (error) throw error;
+    return admins.length === 1 && admins[0].id === userId;
+};
+
+// API đổi vai trò của user: user | moderator | admin (chỉ admin)
+app.patch('/api/admin/users/:userId/role', requireRole('admin'), validateRequest({
+    summary: 'Change the role of a user',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    body: object({ role: oneOf(ROLES) }, ['role'])
+}), async (req, res) => {
+    console.log('=== 🛡️ ADMIN CHANGE ROLE API ===');
+    const { userId } = req.params;
+    const { role } = req.body;
+
     try {
-        const { error } = await supabase
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, role')
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const previousRole = user.role || DEFAULT_ROLE;
+        if (previousRole === role) {
+            return res.json({ success: true, user, message: 'Role unchanged' });
+        }
+
+        if (previousRole === 'admin' && await isLastAdmin(userId)) {
+            return res.status(409).json({ error: 'Cannot remove the last admin. Promote another admin first.' });
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('users')
+            .update({ role, updated_at: new Date() })
+            .eq('id', userId)
+            .select('id, email, full_name, role')
+            .single();
+        if (updateError) throw updateError;
+
+        // Hạ quyền có hiệu lực ngay: thu hồi các phiên đang giữ access token với role cũ.
+        // Nâng quyền có hiệu lực ở lần refresh token kế tiếp.
+        if (isDemotion(previousRole, role)) {
+            await sessions.revokeAllForUser(userId, 'role_change');
+        }
+
+        await logActivity(userId, 'role_change', null, { from: previousRole, to: role, changedBy: req.user.userId });
+
+        console.log(`✅ User ${userId} role changed ${previousRole} -> ${role}`);
+        res.json({ success: true, user: updated });
+    } catch (error) {
+        console.error('❌ Change role error:', error);
+        res.status(500).json({ error: 'Failed to change role', details: error.message });
+    }
+});
+
+// API xác thực email thủ công cho user (chỉ admin)
+app.post('/api/admin/users/:userId/verify-email', requireRole('admin'), validateRequest({
+    summary: 'Mark the email of a user as verified',
+    tags: ['Admin: users'],
+    params: idParams('userId')
+}), async (req, res) => {
+    console.log('=== ✉️ ADMIN VERIFY EMAIL API ===');
+    const { userId } = req.params;
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email_verified_at')
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        if (user.email_verified_at) {
+            return res.json({ success: true, message: 'Email already verified', emailVerifiedAt: user.email_verified_at });
+        }
+
+        const emailVerifiedAt = new Date().toISOString();
+        const { error: updateError } = await supabase
+            .from('users')
+            .update({ email_verified_at: emailVerifiedAt, updated_at: new Date() })
+            .eq('id', userId);
+        if (updateError) throw updateError;
+
+        await logActivity(userId, 'email_verified', null, { method: 'admin', verifiedBy: req.user.userId });
+
+        console.log(`✅ Email of user ${userId} verified by admin`);
+        res.json({ success: true, message: 'Email verified', emailVerifiedAt });
+    } catch (error) {
+        console.error('❌ Admin verify email error:', error);
+        res.status(500).json({ error: 'Failed to verify email', details: error.message });
+    }
+});
+
+// API cộng / trừ credits cho user (chỉ admin)
+app.post('/api/admin/users/:userId/credits', requireRole('admin'), validateRequest({
+    summary: 'Grant (positive amount) or deduct (negative amount) credits',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    body: object({
+        amount: integer({ minimum: -100000, maximum: 100000, description: 'Non-zero' }),
+        note: string({ maxLength: 200, nullable: true })
+    }, ['amount'])
+}), async (req, res) => {
+    console.log('=== 💳 ADMIN GRANT CREDITS API ===');
+    const { userId } = req.params;
+    const { amount } = req.body;
+    const note = req.body.note || null;
+
+    if (amount === 0) {
+        return sendValidationErrors(res, ['amount must not be 0']);
+    }
+
+    try {
+        const account = await credits.getAccount(userId);
+        if (!account) return res.status(404).json({ error: 'User not found' });
+
+        const balance = await credits.adjust(userId, amount, amount > 0 ? 'admin_grant' : 'admin_deduct', {
+            note: note || `by ${req.user.email}`
+        });
+
+        console.log(`✅ Adjusted credits of user ${userId} by ${amount}, balance ${balance}`);
+        res.json({ success: true, userId, balance });
+    } catch (error) {
+        if (sendBillingError(res, error)) return;
+        console.error('❌ Grant credits error:', error);
+        res.status(500).json({ error: 'Failed to adjust credits', details: error.message });
+    }
+});
+
+// API đổi plan của user (chỉ admin)
+app.patch('/api/admin/users/:userId/plan', requireRole('admin'), validateRequest({
+    summary: 'Change the plan of a user',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    body: object({ plan: oneOf(Object.keys(PLANS)) }, ['plan'])
+}), async (req, res) => {
+    console.log('=== 📦 ADMIN CHANGE PLAN API ===');
+    const { userId } = req.params;
+    const { plan } = req.body;
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({ plan, updated_at: new Date() })
+            .eq('id', userId)
+            .select('id, email, plan, credits')
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        await logActivity(userId, 'plan_change', null, { plan, changedBy: req.user.userId });
+
+        console.log(`✅ User ${userId} moved to plan ${plan}`);
+        res.json({ success: true, user });
+    } catch (error) {
+        console.error('❌ Change plan error:', error);
+        res.status(500).json({ error: 'Failed to change plan', details: error.message });
+    }
+});
+
+
+// --- QUẢN LÝ TÀI KHOẢN: SỬA, ĐÌNH CHỈ, CẤM ---
+
+const MAX_SUSPENSION_REASON_LENGTH = 500;
+
+// API sửa thông tin user: tên, bio, email, xoá avatar (chỉ admin)
+app.patch('/api/admin/users/:userId', requireRole('admin'), validateRequest({
+    summary: 'Edit the name, bio or email of a user, or remove their avatar',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    body: object({
+        fullName: nonBlank(100),
+        bio: string({ maxLength: 1000, nullable: true }),
+        email: string({ format: 'email', maxLength: 254 }),
+        resetAvatar: boolean()
+    })
+}), async (req, res) => {
+    console.log('=== ✏️ ADMIN EDIT USER API ===');
+    const { userId } = req.params;
+    const { fullName, bio, email, resetAvatar } = req.body;
+    const updateData = {};
+
+    if (fullName !== undefined) updateData.full_name = fullName.trim();
+    if (bio !== undefined) updateData.bio = bio;
+    if (email !== undefined) updateData.email = normalizeEmail(email);
+
+    if (Object.keys(updateData).length === 0 && !resetAvatar) {
+        return res.status(400).json({ error: 'Nothing to update. Provide fullName, bio, email or resetAvatar.' });
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, full_name, avatar_url')
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const emailChanged = updateData.email !== undefined && updateData.email !== user.email;
+        if (emailChanged) {
+            const { data: existingUser, error: existingError } = await supabase
+                .from('users')
+                .select('id')
+                .eq('email', updateData.email)
+                .maybeSingle();
+            if (existingError) throw existingError;
+            if (existingUser) return res.status(409).json({ error: 'Email is already used by another account.' });
+
+            // Email mới phải được xác thực lại
+            updateData.email_verified_at = null;
+        } else {
+            delete updateData.email;
+        }
+
+        if (resetAvatar && user.avatar_url) {
+            const avatarPath = storagePathFromUrl('avatars', user.avatar_url);
+            if (avatarPath) {
+                try {
+                    await storage.remove('avatars', [avatarPath]);
+                } catch (removeError) {
+                    console.warn(`⚠️ Failed to remove avatar ${avatarPath}:`, removeError.message);
+                }
+            }
+            updateData.avatar_url = null;
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('users')
+            .update({ ...updateData, updated_at: new Date() })
+            .eq('id', userId)
+            .select('id, full_name, email, bio, avatar_url, role, email_verified_at, updated_at')
+            .single();
+        if (updateError) throw updateError;
+
+        if (emailChanged) {
+            await sendVerificationEmail(updated);
+        }
+
+        const changedFields = Object.keys(updateData).filter((field) => field !== 'email_verified_at');
+        await logActivity(userId, 'admin_edit', null, { fields: changedFields, editedBy: req.user.userId });
+
+        console.log(`✅ User ${userId} edited by admin (${changedFields.join(', ')})`);
+        res.json({ success: true, user: updated });
+    } catch (error) {
+        console.error('❌ Admin edit user error:', error);
+        res.status(500).json({ error: 'Failed to update user', details: error.message });
+    }
+});
+
+// API đình chỉ tài khoản; không có expiresAt là cấm vĩnh viễn (moderator, admin).
+// Chỉ admin được đình chỉ moderator / admin khác.
+app.post('/api/admin/users/:userId/suspend', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Suspend a user until expiresAt, or ban permanently without it',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    body: object({
+        reason: nonBlank(MAX_SUSPENSION_REASON_LENGTH),
+        expiresAt: string({ format: 'date-time', nullable: true, description: 'Must be in the future; omit for a permanent ban' })
+    }, ['reason']),
+    responses: { 201: 'Suspended' }
+}), async (req, res) => {
+    console.log('=== ⛔ ADMIN SUSPEND USER API ===');
+    const { userId } = req.params;
+    const { reason, expiresAt } = req.body;
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && expiry <= new Date()) {
+        return sendValidationErrors(res, ['expiresAt must be a date in the future']);
+    }
+
+    if (userId === req.user.userId) {
+        return res.status(400).json({ error: 'You cannot suspend your own account.' });
+    }
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, email, role')
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        if ((user.role || DEFAULT_ROLE) !== DEFAULT_ROLE && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can suspend staff accounts.' });
+        }
+
+        const suspension = await suspensions.suspend(userId, {
+            reason: reason.trim(),
+            expiresAt: expiry ? expiry.toISOString() : null,
+            suspendedBy: req.user.userId
+        });
+
+        await logActivity(userId, 'account_suspended', null, {
+            reason: suspension.reason,
+            expiresAt: suspension.expires_at,
+            suspendedBy: req.user.userId
+        });
+
+        console.log(`✅ User ${userId} suspended ${expiry ? `until ${suspension.expires_at}` : 'permanently'}`);
+        res.status(201).json({ success: true, suspension: describeSuspension(suspension) });
+    } catch (error) {
+        console.error('❌ Suspend user error:', error);
+        res.status(500).json({ error: 'Failed to suspend user', details: error.message });
+    }
+});
+
+// API gỡ đình chỉ / bỏ cấm tài khoản (moderator, admin).
+// Như khi đình chỉ, chỉ admin được gỡ cho moderator / admin khác.
+app.post('/api/admin/users/:userId/unban', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Lift the active suspension or ban of a user',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    body: object({ reason: string({ maxLength: MAX_SUSPENSION_REASON_LENGTH, nullable: true }) })
+}), async (req, res) => {
+    console.log('=== ✅ ADMIN UNBAN USER API ===');
+    const { userId } = req.params;
+    const reason = req.body.reason || null;
+
+    try {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('id, role')
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        if ((user.role || DEFAULT_ROLE) !== DEFAULT_ROLE && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Only admins can unban staff accounts.' });
+        }
+
+        const activeSuspension = await suspensions.getActiveSuspension(userId);
+        if (!activeSuspension) {
+            return res.status(409).json({ error: 'User is not suspended' });
+        }
+
+        const lifted = await suspensions.lift(userId, { liftedBy: req.user.userId, reason });
+        await logActivity(userId, 'account_unbanned', null, { reason, liftedBy: req.user.userId });
+
+        console.log(`✅ Lifted ${lifted} suspension(s) of user ${userId}`);
+        res.json({ success: true, liftedSuspensions: lifted });
+    } catch (error) {
+        console.error('❌ Unban user error:', error);
+        res.status(500).json({ error: 'Failed to unban user', details: error.message });
+    }
+});
+
+// API lịch sử đình chỉ của một user (moderator, admin)
+app.get('/api/admin/users/:userId/suspensions', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Suspension history of a user',
+    tags: ['Admin: users'],
+    params: idParams('userId')
+}), async (req, res) => {
+    try {
+        const history = await suspensions.listForUser(req.params.userId);
+        res.json({
+            success: true,
+            suspensions: history.map((suspension) => ({
+                ...describeSuspension(suspension),
+                suspendedBy: suspension.suspended_by,
+                liftedBy: suspension.lifted_by
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Get suspensions error:', error);
+        res.status(500).json({ error: 'Failed to fetch suspensions', details: error.message });
+    }
+});
+
+// --- KIỂM DUYỆT PROMPT (ADMIN) ---
+
+// API danh sách user có prompt bị chặn, nhiều lần nhất trước (moderator, admin)
+app.get('/api/admin/moderation/offenders', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Users with blocked prompts, most blocked first',
+    tags: ['Admin: moderation'],
+    query: object({ ...pagination(), minCount: integer({ minimum: 1, default: 1 }) })
+}), async (req, res) => {
+    console.log('=== ⛔ GET PROMPT OFFENDERS ADMIN API ===');
+    const { page, limit, minCount } = req.query;
+    const offset = (page - 1) * limit;
+
+    try {
+        const { data: offenders, error, count } = await supabase
+            .from('blocked_prompt_offenders')
+            .select('user_id, blocked_count, last_blocked_at', { count: 'exact' })
+            .gte('blocked_count', minCount)
+            .order('blocked_count', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        const userIds = (offenders || []).map((offender) => offender.user_id);
+        const { data: users, error: usersError } = userIds.length > 0
+            ? await supabase.from('users').select('id, email, full_name, role').in('id', userIds)
+            : { data: [] };
+        if (usersError) throw usersError;
+
+        const usersById = new Map((users || []).map((user) => [user.id, user]));
+        res.json({
+            success: true,
+            offenders: (offenders || []).map((offender) => ({
+                userId: offender.user_id,
+                user: usersById.get(offender.user_id) || null,
+                blockedCount: offender.blocked_count,
+                lastBlockedAt: offender.last_blocked_at
+            })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil((count || 0) / limit),
+                total: count || 0,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get prompt offenders error:', error);
+        res.status(500).json({ error: 'Failed to fetch prompt offenders', details: error.message });
+    }
+});
+
+// Stream SSE trực tiếp toàn site: ảnh được sinh và tài khoản mới đăng ký
+app.get('/api/admin/events', allowQueryToken, requireRole('admin'), validateRequest({
+    summary: 'Live site-wide events (Server-Sent Events)',
+    tags: ['Admin: analytics'],
+    query: SSE_QUERY,
+    responses: { 200: 'text/event-stream' }
+}), (req, res) => {
+    const stream = openEventStream(req, res, { retryMs: FEED_RETRY_MS });
+    activityFeed.attach(stream, { actions: ADMIN_FEED_ACTIONS }, readLastEventId(req));
+});
+
+// Bộ lọc lịch sử hoạt động (dùng chung cho user và admin):
+// action (nhiều giá trị, phân cách bằng dấu phẩy hoặc lặp lại), from, to, q
+const ACTIVITY_FILTER_FIELDS = {
+    action: array(string({ pattern: '^[a-z_]{1,50}$' }), { maxItems: MAX_ACTIVITY_FILTER_ACTIONS, description: 'Comma-separated or repeated' }),
+    from: string({ format: 'date-time' }),
+    to: string({ format: 'date-time', description: 'A date only includes that whole day' }),
+    q: string({ maxLength: MAX_ACTIVITY_SEARCH_LENGTH, description: 'Search in additional data and image prompts' })
+};
+const ACTIVITY_PAGE_QUERY = object({ ...ACTIVITY_FILTER_FIELDS, ...pagination() });
+const ACTIVITY_EXPORT_QUERY = object({ ...ACTIVITY_FILTER_FIELDS, format: oneOf(ACTIVITY_EXPORT_FORMATS, { default: 'csv' }) });
+
+// API lịch sử hoạt động của một user (cùng bộ lọc với GET /api/activities)
+app.get('/api/admin/users/:userId/activities', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Activity history of a user (same filters as GET /api/activities)',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    query: ACTIVITY_PAGE_QUERY
+}), async (req, res) => {
+    try {
+        await sendActivityPage(res, req.params.userId, req.query);
+    } catch (error) {
+        console.error('❌ Get user activities admin error:', error);
+        res.status(500).json({ error: 'Failed to fetch activities', details: error.message });
+    }
+});
+
+app.get('/api/admin/users/:userId/activities/export', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Export the activity history of a user as CSV or JSON',
+    tags: ['Admin: users'],
+    params: idParams('userId'),
+    query: ACTIVITY_EXPORT_QUERY,
+    responses: { 200: 'CSV or JSON file' }
+}), async (req, res) => {
+    try {
+        await sendActivityExport(res, req.params.userId, req.query);
+    } catch (error) {
+        handleActivityExportError(res, error, 'Export user activities admin');
+    }
+});
+
+// API các prompt bị chặn của một user (moderator, admin)
+app.get('/api/admin/users/:userId/blocked-prompts', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Blocked prompts of a user',
+    tags: ['Admin: moderation'],
+    params: idParams('userId'),
+    query: object(pagination())
+}), async (req, res) => {
+    const { page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    try {
+        const { data: prompts, error, count } = await supabase
+            .from('blocked_prompts')
+            .select('id, prompt, normalized_prompt, categories, reasons, endpoint, created_at', { count: 'exact' })
+            .eq('user_id', req.params.userId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            blockedPrompts: prompts || [],
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil((count || 0) / limit),
+                total: count || 0,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get blocked prompts error:', error);
+        res.status(500).json({ error: 'Failed to fetch blocked prompts', details: error.message });
+    }
+});
+
+// --- KIỂM DUYỆT ẢNH (ADMIN) ---
+
+// Lý do bắt buộc cho các quyết định kiểm duyệt, chủ ảnh sẽ đọc được
+const MODERATION_REASON_BODY = object({ reason: nonBlank(MAX_MODERATION_REASON_LENGTH) }, ['reason']);
+
+// Body của báo cáo ảnh (user báo cáo hoặc moderator gắn cờ)
+const REPORT_BODY = object({
+    reason: oneOf(REPORT_REASONS),
+    details: string({ maxLength: MAX_MODERATION_REASON_LENGTH, nullable: true })
+}, ['reason']);
+
+const findImageForModeration = async (imageId) => {
+    const { data, error } = await supabase
+        .from('images')
+        .select('*')
+        .eq('id', imageId)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+};
+
+// API hàng đợi báo cáo ảnh (moderator, admin); status = pending | resolved | dismissed | all
+app.get('/api/admin/moderation', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Image report queue',
+    tags: ['Admin: moderation'],
+    query: object({ status: oneOf([...REPORT_STATUSES, 'all'], { default: 'pending' }), ...pagination() })
+}), async (req, res) => {
+    console.log('=== 🚩 GET MODERATION QUEUE ADMIN API ===');
+    const { status, page, limit } = req.query;
+
+    try {
+        const { reports, total } = await imageModeration.listReports({ status, offset: (page - 1) * limit, limit });
+
+        const imageIds = [...new Set(reports.map((report) => report.image_id).filter(Boolean))];
+        const { data: images, error } = imageIds.length > 0
+            ? await supabase
+                .from('images')
+                .select('id, user_id, prompt, image_url, moderation_status, moderation_reason, created_at')
+                .in('id', imageIds)
+            : { data: [] };
+        if (error) throw error;
+
+        const imagesById = new Map((await withImageUrls(images || [])).map((image) => [image.id, image]));
+        res.json({
+            success: true,
+            reports: reports.map((report) => ({ ...report, image: imagesById.get(report.image_id) || null })),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                total,
+                limit
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get moderation queue error:', error);
+        res.status(500).json({ error: 'Failed to fetch moderation queue', details: error.message });
+    }
+});
+
+// API moderator / admin tự gắn cờ một ảnh vào hàng đợi
+app.post('/api/admin/images/:imageId/flag', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Add an image to the moderation queue',
+    tags: ['Admin: moderation'],
+    params: idParams('imageId'),
+    body: REPORT_BODY,
+    responses: { 201: 'Reported' }
+}), async (req, res) => {
+    const { imageId } = req.params;
+    const { reason, details } = req.body;
+
+    try {
+        const image = await findImageForModeration(imageId);
+        if (!image) return res.status(404).json({ error: 'Image not found' });
+
+        const report = await imageModeration.report(image, {
+            reporterId: req.user.userId,
+            source: 'admin',
+            reason,
+            details: details?.trim() || null
+        });
+
+        console.log(`🚩 Image ${imageId} flagged by ${req.user.userId} (${reason})`);
+        res.status(201).json({ success: true, report });
+    } catch (error) {
+        console.error('❌ Flag image error:', error);
+        res.status(500).json({ error: 'Failed to flag image', details: error.message });
+    }
+});
+
+// API ẩn ảnh: biến mất khỏi my-creations và các trang công khai, file vẫn giữ trong storage
+app.post('/api/admin/images/:imageId/hide', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Hide an image from its owner and public pages',
+    tags: ['Admin: moderation'],
+    params: idParams('imageId'),
+    body: MODERATION_REASON_BODY
+}), async (req, res) => {
+    const { imageId } = req.params;
+    const reason = req.body.reason.trim();
+
+    try {
+        const image = await findImageForModeration(imageId);
+        if (!image) return res.status(404).json({ error: 'Image not found' });
+        if (image.moderation_status === 'hidden') {
+            return res.status(409).json({ error: 'Image is already hidden' });
+        }
+
+        const result = await imageModeration.hide(image, { reason, moderatorId: req.user.userId });
+        await logActivity(image.user_id, 'image_hidden', imageId, { reason, moderatorId: req.user.userId });
+
+        console.log(`✅ Image ${imageId} hidden, resolved ${result.resolvedReports} report(s)`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Hide image error:', error);
+        res.status(500).json({ error: 'Failed to hide image', details: error.message });
+    }
+});
+
+// API khôi phục ảnh (hoặc bác bỏ các báo cáo về một ảnh đang hiển thị)
+app.post('/api/admin/images/:imageId/restore', requireRole('moderator', 'admin'), validateRequest({
+    summary: 'Restore a hidden image, or dismiss the reports of a visible one',
+    tags: ['Admin: moderation'],
+    params: idParams('imageId'),
+    body: object({ reason: string({ maxLength: MAX_MODERATION_REASON_LENGTH, nullable: true }) })
+}), async (req, res) => {
+    const { imageId } = req.params;
+    const reason = req.body.reason?.trim() || null;
+
+    try {
+        const image = await findImageForModeration(imageId);
+        if (!image) return res.status(404).json({ error: 'Image not found' });
+
+        const result = await imageModeration.restore(image, { reason, moderatorId: req.user.userId });
+        if (image.moderation_status === 'hidden') {
+            await logActivity(image.user_id, 'image_restored', imageId, { reason, moderatorId: req.user.userId });
+        }
+
+        console.log(`✅ Image ${imageId} restored, dismissed ${result.resolvedReports} report(s)`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Restore image error:', error);
+        res.status(500).json({ error: 'Failed to restore image', details: error.message });
+    }
+});
+
+// API xoá hẳn ảnh vi phạm khỏi storage và database (chỉ admin)
+app.delete('/api/admin/images/:imageId', requireRole('admin'), validateRequest({
+    summary: 'Permanently remove an image from storage and the database',
+    tags: ['Admin: moderation'],
+    params: idParams('imageId'),
+    body: MODERATION_REASON_BODY
+}), async (req, res) => {
+    console.log('=== 🗑️ ADMIN REMOVE IMAGE API ===');
+    const { imageId } = req.params;
+    const reason = req.body.reason.trim();
+
+    try {
+        const image = await findImageForModeration(imageId);
+        if (!image) return res.status(404).json({ error: 'Image not found' });
+
+        const result = await imageModeration.recordRemoval(image, { reason, moderatorId: req.user.userId });
+
+        if (image.file_path) {
+            try {
+                await storage.remove('images', [image.file_path]);
+            } catch (storageError) {
+                console.error('❌ Storage delete error:', storageError.message);
+            }
+        }
+
+        await collections.removeImageEverywhere(imageId);
+        const { error: deleteError } = await supabase.from('images').delete().eq('id', imageId);
+        if (deleteError) throw deleteError;
+
+        await logActivity(image.user_id, 'image_removed', null, { imageId, reason, moderatorId: req.user.userId });
+
+        console.log(`✅ Image ${imageId} removed by moderation`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Remove image error:', error);
+        res.status(500).json({ error: 'Failed to remove image', details: error.message });
+    }
+});
+
+// --- HÀM GHI LOG HOẠT ĐỘNG ---
+const logActivity = async (userId, action, imageId = null, additionalData = {}) => {
+    try {
+        const { data: activity, error } = await supabase
             .from('activities')
             .insert({
                 user_id: userId,
                 action: action,
                 image_id: imageId,
                 timestamp: new Date().toISOString(),
-                additional_data: additionalData
+                additional_data: additionalData,
+                api_key_id: currentApiKeyId()
+            })
+            .select('id, user_id, action, image_id, timestamp, additional_data, api_key_id')
+            .single();
+        
+        if (error) {
+            console.error('❌ Error logging activity:', error);
+            if (error.code === 'PGRST116' || error.message.includes('relation "activities" does not exist')) {
+                console.error('❌ Activities table does not exist. Please run the SQL script in create_activity_table.sql');
+            }
+        } else {
+            console.log(`✅ Activity logged: ${action} for user ${userId}`);
+            activityFeed.publish(activity);
+            webhooks.dispatch(activity);
+        }
+    } catch (err) {
+        console.error('❌ Error in logActivity function:', err);
+        if (err.message && err.message.includes('activities')) {
+            console.error('❌ Activities table may not exist. Please check your database setup.');
+        }
+    }
+};
+
+// --- JOB SINH ẢNH CHẠY NỀN ---
+// Request sinh ảnh chỉ tạo job rồi trả về ngay; việc gọi provider, lưu file vào storage,
+// lưu bảng `images` và ghi log `generate` diễn ra trong bước hoàn tất của job.
+
+// Lưu ảnh vào bucket 'images' của storage và lưu một dòng mới vào bảng `images`
+const saveGeneratedImage = async (userId, imageBuffer, contentType, fields) => {
+    // Tạo tên file unique
+    const extension = contentType === 'image/jpeg' ? 'jpg' : 'png';
+    const fileName = `${userId}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}_generated.${extension}`;
+    const filePath = `generated/${fileName}`;
+
+    try {
+        await storage.put('images', filePath, imageBuffer, { contentType, upsert: false });
+    } catch (uploadError) {
+        console.error('Storage upload error:', uploadError);
+        throw uploadError;
+    }
+
+    // Lưu thông tin vào database
+    const { data: imageRecord, error: dbError } = await supabase
+        .from('images')
+        .insert({
+            user_id: userId,
+            // URL cố định của file; với bucket riêng tư URL trả cho client được ký lại từ đường dẫn này
+            image_url: storage.url('images', filePath),
+            file_path: filePath,
+            ...fields
+        })
+        .select()
+        .single();
+
+    if (dbError) {
+        console.error('Database save error:', dbError);
+        throw dbError;
+    }
+
+    return imageRecord;
+};
+
+// Lưu lần lượt các ảnh của batch; nếu lỗi giữa chừng thì các ảnh đã lưu được trả về trong
+// `result` của job failed (và không được hoàn credits). Mỗi ảnh lưu xong cũng được ghi ngay vào job
+// (`saveProgress`) để vẫn giữ được khi server dừng giữa chừng.
+const keepSavedImagesOnError = async (images, saveAll) => {
+    try {
+        await saveAll();
+    } catch (err) {
+        if (images.length > 0) err.partialResult = { images };
+        throw err;
+    }
+};
+
+const runGenerateJob = async (job, { signal, setStatus, saveProgress }) => {
+    const userId = job.user_id;
+    const params = job.params;
+
+    console.log(`[Generate Image] Job ${job.id}: user ${userId} generating ${params.batchCount} image(s) with prompt: "${params.prompt}"`);
+
+    // Gọi đến provider sinh ảnh đã cấu hình, mỗi ảnh trong batch dùng seed liên tiếp
+    const outputs = [];
+    for (let i = 0; i < params.batchCount; i++) {
+        signal.throwIfAborted();
+        const seed = (params.seed + i) % (MAX_SEED + 1);
+        const output = await imageProvider.generate({ ...params, seed, signal });
+        outputs.push({ ...output, seed });
+    }
+
+    await setStatus('uploading');
+
+    const images = [];
+    await keepSavedImagesOnError(images, async () => {
+        for (const { buffer, contentType, seed } of outputs) {
+            const imageRecord = await saveGeneratedImage(userId, buffer, contentType, {
+                prompt: params.prompt,
+                ...imageParamColumns({ ...params, seed })
+            });
+
+            console.log(`[Generate Image] Success for user ${userId}: ${imageRecord.image_url}`);
+
+            // Ghi log hoạt động generate
+            await logActivity(userId, 'generate', imageRecord.id, { prompt: params.prompt.substring(0, 100), seed, jobId: job.id });
+
+            images.push({ imageId: imageRecord.id, imageUrl: imageRecord.image_url, seed });
+            await saveProgress({ images });
+        }
+    });
+
+    return { images, imageId: images[0].imageId, imageUrl: images[0].imageUrl };
+};
+
+// Tải file từ bucket 'images' về dạng Buffer
+const downloadImageFile = (filePath) => storage.get('images', filePath);
+
+// Xoá ảnh nguồn / mask upload tạm; lỗi chỉ ghi log để không che kết quả của job
+const removeTempFiles = async (filePaths) => {
+    try {
+        await storage.remove('images', filePaths);
+    } catch (err) {
+        console.warn('⚠️ Failed to remove temporary uploads:', err.message);
+    }
+};
+
+// Lưu tạm ảnh nguồn / mask người dùng upload để job chạy nền có thể đọc lại (kể cả sau khi restart)
+const uploadEditSource = async (userId, file, kind) => {
+    const extension = file.mimetype === 'image/jpeg' ? 'jpg' : file.mimetype === 'image/webp' ? 'webp' : 'png';
+    const filePath = `uploads/${userId}/${Date.now()}_${kind}.${extension}`;
+
+    await storage.put('images', filePath, file.buffer, { contentType: file.mimetype, upsert: false });
+    return filePath;
+};
+
+const runEditJob = async (job, { signal, setStatus, saveProgress }) => {
+    const userId = job.user_id;
+    const { sourceFilePath, maskFilePath, parentImageId, tempFilePaths = [], ...params } = job.params;
+    const mode = maskFilePath ? 'inpaint' : 'img2img';
+
+    console.log(`[Edit Image] Job ${job.id}: user ${userId} ${mode} from ${parentImageId || 'upload'} with prompt: "${params.prompt}"`);
+
+    try {
+        const image = await downloadImageFile(sourceFilePath);
+        const mask = maskFilePath ? await downloadImageFile(maskFilePath) : null;
+
+        signal.throwIfAborted();
+        const { buffer, contentType } = await imageProvider.edit({ ...params, image, mask, signal });
+
+        await setStatus('uploading');
+
+        const size = readPngSize(buffer);
+        const imageRecord = await saveGeneratedImage(userId, buffer, contentType, {
+            prompt: params.prompt,
+            ...imageParamColumns(params),
+            width: size?.width ?? null,
+            height: size?.height ?? null,
+            parent_image_id: parentImageId || null,
+            edit_type: mode,
+            strength: params.strength
+        });
+
+        console.log(`[Edit Image] Success for user ${userId}: ${imageRecord.image_url}`);
+
+        // Ghi log hoạt động edit
+        await logActivity(userId, 'edit', imageRecord.id, {
+            prompt: params.prompt.substring(0, 100),
+            mode,
+            parentImageId: parentImageId || null,
+            strength: params.strength,
+            jobId: job.id
+        });
+
+        const images = [{ imageId: imageRecord.id, imageUrl: imageRecord.image_url, seed: params.seed }];
+        await saveProgress({ images });
+
+        return {
+            images,
+            imageId: imageRecord.id,
+            imageUrl: imageRecord.image_url,
+            parentImageId: parentImageId || null
+        };
+    } finally {
+        // Xoá ảnh nguồn / mask upload tạm sau khi job kết thúc
+        if (tempFilePaths.length > 0) {
+            await removeTempFiles(tempFilePaths);
+        }
+    }
+};
+
+const runUpscaleJob = async (job, { signal, setStatus, saveProgress }) => {
+    const userId = job.user_id;
+    const { parentImageId, sourceFilePath, prompt, scale } = job.params;
+
+    console.log(`[Upscale Image] Job ${job.id}: user ${userId} upscaling ${parentImageId} x${scale}`);
+
+    const image = await downloadImageFile(sourceFilePath);
+    const sourceSize = readPngSize(image);
+    if (sourceSize && Math.max(sourceSize.width, sourceSize.height) * scale > MAX_UPSCALE_DIMENSION) {
+        throw new Error(`Upscaled image would exceed ${MAX_UPSCALE_DIMENSION}px`);
+    }
+
+    signal.throwIfAborted();
+    const { buffer, contentType } = await imageProvider.upscale({ image, scale, signal });
+
+    await setStatus('uploading');
+
+    const size = readPngSize(buffer);
+    const imageRecord = await saveGeneratedImage(userId, buffer, contentType, {
+        prompt,
+        width: size?.width ?? null,
+        height: size?.height ?? null,
+        parent_image_id: parentImageId,
+        edit_type: 'upscale'
+    });
+
+    console.log(`[Upscale Image] Success for user ${userId}: ${imageRecord.image_url}`);
+
+    await logActivity(userId, 'upscale', imageRecord.id, { parentImageId, scale, jobId: job.id });
+
+    const images = [{ imageId: imageRecord.id, imageUrl: imageRecord.image_url }];
+    await saveProgress({ images });
+
+    return {
+        images,
+        imageId: imageRecord.id,
+        imageUrl: imageRecord.image_url,
+        parentImageId
+    };
+};
+
+const runVariationsJob = async (job, { signal, setStatus, saveProgress }) => {
+    const userId = job.user_id;
+    const { parentImageId, sourceFilePath, count, strength, seed, ...params } = job.params;
+
+    console.log(`[Variations] Job ${job.id}: user ${userId} creating ${count} variation(s) of ${parentImageId}`);
+
+    const image = await downloadImageFile(sourceFilePath);
+
+    // Mỗi biến thể dùng seed liên tiếp để cho kết quả khác nhau
+    const outputs = [];
+    for (let i = 0; i < count; i++) {
+        signal.throwIfAborted();
+        const variationSeed = (seed + i) % (MAX_SEED + 1);
+        const output = await imageProvider.variation({ ...params, image, strength, seed: variationSeed, signal });
+        outputs.push({ ...output, seed: variationSeed });
+    }
+
+    await setStatus('uploading');
+
+    const images = [];
+    await keepSavedImagesOnError(images, async () => {
+        for (const { buffer, contentType, seed: variationSeed } of outputs) {
+            const size = readPngSize(buffer);
+            const imageRecord = await saveGeneratedImage(userId, buffer, contentType, {
+                prompt: params.prompt,
+                ...imageParamColumns({ ...params, seed: variationSeed }),
+                width: size?.width ?? null,
+                height: size?.height ?? null,
+                parent_image_id: parentImageId,
+                edit_type: 'variation',
+                strength
+            });
+
+            await logActivity(userId, 'variation', imageRecord.id, { parentImageId, seed: variationSeed, jobId: job.id });
+
+            images.push({ imageId: imageRecord.id, imageUrl: imageRecord.image_url, seed: variationSeed });
+            await saveProgress({ images });
+        }
+    });
+
+    console.log(`[Variations] Success for user ${userId}: ${images.length} image(s)`);
+
+    return { images, imageId: images[0].imageId, imageUrl: images[0].imageUrl, parentImageId };
+};
+
+// --- CREDITS, QUOTA VÀ RATE LIMIT ---
+const credits = createCreditService({ supabase, logActivity });
+const generationLimiter = createSlidingWindowLimiter();
+
+// Hoàn lại credits khi job thất bại hoặc bị huỷ, trừ phần ảnh đã lưu được
+const refundFailedJob = async (job) => {
+    if (!['failed', 'cancelled'].includes(job.status)) return;
+    const amount = refundableCredits(job);
+    if (amount <= 0) return;
+
+    const kept = job.result?.images?.length || 0;
+    const note = kept > 0 ? `${job.status}, ${kept} image(s) kept` : job.status;
+    await credits.adjust(job.user_id, amount, 'refund', { jobId: job.id, note });
+    console.log(`💳 Refunded ${amount} credit(s) to user ${job.user_id} for job ${job.id}`);
+};
+
+// Job chạy trong context của API key đã tạo nó (không kế thừa context của request đang chờ trong hàng đợi),
+// để log `generate` / `refund` ghi đúng key
+const withJobApiKey = (fn) => (job, ...args) => apiKeyContext.run({ apiKeyId: job.api_key_id || null }, () => fn(job, ...args));
+
+const jobQueue = createJobQueue({
+    supabase,
+    handlers: {
+        generate: withJobApiKey(runGenerateJob),
+        edit: withJobApiKey(runEditJob),
+        upscale: withJobApiKey(runUpscaleJob),
+        variations: withJobApiKey(runVariationsJob)
+    },
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 1,
+    onSettled: withJobApiKey(refundFailedJob)
+});
+
+// Chỉ tài khoản đã xác thực email mới được gọi GPU; rate limit cửa sổ trượt theo plan
+const generationRateLimit = async (req, res, next) => {
+    try {
+        const account = await credits.getAccount(req.user.userId);
+        if (!account) {
+            return res.status(401).json({ error: 'Not authenticated, user no longer exists.' });
+        }
+        if (!account.email_verified_at) {
+            return res.status(403).json({ error: 'Vui lòng xác thực email trước khi tạo ảnh.', code: 'EMAIL_NOT_VERIFIED' });
+        }
+
+        const result = generationLimiter.hit(account.id, getPlan(account.plan).rateLimit);
+        if (!result.allowed) {
+            const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many generation requests. Please slow down.', retryAfter });
+        }
+
+        req.account = account;
+        next();
+    } catch (err) {
+        console.error('❌ [generationRateLimit] Error:', err);
+        res.status(500).json({ error: 'Failed to check rate limit', details: err.message });
+    }
+};
+
+// Kiểm tra quota, trừ credits rồi mới tạo job; nếu tạo job lỗi thì hoàn lại ngay
+const queueChargedJob = async (req, type, params) => {
+    const userId = req.user.userId;
+    const jobId = crypto.randomUUID();
+    const cost = creditCost(type, params);
+
+    await credits.charge(userId, req.account.plan, cost, jobId);
+    try {
+        return await jobQueue.create(userId, type, { ...params, creditCost: cost }, { id: jobId, apiKeyId: req.user.apiKeyId });
+    } catch (err) {
+        await credits.adjust(userId, cost, 'refund', { jobId, note: 'job creation failed' });
+        throw err;
+    }
+};
+
+// Lỗi credits / quota (402, 429) trả về cho client; các lỗi khác trả về false để route tự xử lý
+const sendBillingError = (res, err) => {
+    if (err.status !== 402 && err.status !== 429) return false;
+    if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+    const { message, status, ...details } = err;
+    res.status(status).json({ error: message, ...details });
+    return true;
+};
+
+// --- KIỂM DUYỆT PROMPT ---
+const promptModerator = createPromptModerator();
+if (promptModerator.classifier) console.log(`🛡️ Prompt classifier: ${promptModerator.classifier}`);
+
+// Kiểm duyệt prompt và negative prompt (cũng được gửi tới provider) trước khi trừ credits / gọi GPU.
+// Trả về true nếu bị chặn (đã gửi 422 hoặc 503), route dừng xử lý.
+const rejectBlockedPrompt = async (req, res, { prompt, negativePrompt }) => {
+    let result;
+    let blockedText;
+    try {
+        for (const text of [prompt, negativePrompt].filter(Boolean)) {
+            result = await promptModerator.check(text);
+            if (!result.allowed) {
+                blockedText = text;
+                break;
+            }
+        }
+    } catch (err) {
+        if (err.status !== 503) throw err;
+        res.status(503).json({ error: err.message, code: 'MODERATION_UNAVAILABLE' });
+        return true;
+    }
+    if (!blockedText) return false;
+
+    const userId = req.user.userId;
+    const categories = [...new Set(result.reasons.map((reason) => reason.category))];
+    console.log(`⛔ [Moderation] Blocked prompt from user ${userId} (${categories.join(', ')})`);
+
+    const { error } = await supabase
+        .from('blocked_prompts')
+        .insert({
+            user_id: userId,
+            prompt: blockedText.substring(0, 2000),
+            normalized_prompt: result.normalized.substring(0, 2000),
+            categories,
+            reasons: result.reasons,
+            endpoint: req.path
+        });
+    if (error) console.error('❌ [Moderation] Failed to record blocked prompt:', error);
+
+    await logActivity(userId, 'blocked_prompt', null, { prompt: blockedText.substring(0, 100), categories });
+
+    res.status(422).json({
+        error: 'Prompt vi phạm chính sách nội dung và đã bị chặn.',
+        code: 'PROMPT_BLOCKED',
+        categories,
+        reasons: result.reasons.map(({ category, source }) => ({ category, source }))
+    });
+    return true;
+};
+
+// --- CÁC API CẦN BẢO VỆ ---
+// Tất cả các API dưới đây sẽ yêu cầu có "vé thông hành" hợp lệ.
+// Chúng ta chỉ cần thêm `protect` vào giữa đường dẫn và hàm xử lý.
+
+app.post('/api/generate-image', protect, validateRequest({
+    summary: 'Queue an image generation job',
+    tags: ['Generation'],
+    body: GENERATION_PARAMS_SCHEMA,
+    check: (req) => generationSizeErrors(req.body),
+    responses: { 202: 'Job queued' }
+}), generationRateLimit, async (req, res) => {
+    console.log('=== 🎨 GENERATE IMAGE ENDPOINT HIT ===');
+    const userId = req.user.userId;
+    const { prompt } = req.body;
+    
+    console.log('Request details:', {
+        userId,
+        prompt: prompt?.substring(0, 100) + '...',
+        bodyKeys: Object.keys(req.body),
+        headers: {
+            'content-type': req.headers['content-type']
+        },
+        // Không ghi header Authorization: với API key, phần đầu header chính là một phần của key bí mật
+        auth: req.user.apiKeyId ? `api key ${req.user.apiKeyId}` : 'session'
+    });
+
+    const params = generationParams(req.body);
+
+    try {
+        if (await rejectBlockedPrompt(req, res, params)) return;
+
+        const job = await queueChargedJob(req, 'generate', params);
+        console.log(`[Generate Image] Queued job ${job.id} for user ${userId}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            params,
+            message: 'Image generation queued'
+        });
+
+    } catch (error) {
+        if (sendBillingError(res, error)) return;
+        console.error('[Generate Image] Error:', error);
+        res.status(500).json({
+            error: 'Failed to generate image',
+            details: error.message
+        });
+    }
+});
+
+// Lấy ảnh nếu thuộc về user (giống cách kiểm tra của route DELETE /api/images/:imageId).
+// Ảnh đang bị ẩn bởi kiểm duyệt được coi như không tồn tại.
+const findOwnedImage = async (imageId, userId) => {
+    const { data: image, error } = await supabase
+        .from('images')
+        .select('*')
+        .eq('id', imageId)
+        .eq('user_id', userId)
+        .neq('moderation_status', 'hidden')
+        .is('deleted_at', null)
+        .maybeSingle();
+
+    if (error) throw error;
+    return image;
+};
+
+// Các ảnh của user theo danh sách id (giữ thứ tự yêu cầu); id không tồn tại / không thuộc về user nằm trong notFound
+const findOwnedImages = async (imageIds, userId) => {
+    const { data, error } = await supabase
+        .from('images')
+        .select('*')
+        .eq('user_id', userId)
+        .neq('moderation_status', 'hidden')
+        .is('deleted_at', null)
+        .in('id', imageIds);
+
+    if (error) throw error;
+    const byId = new Map((data || []).map((image) => [image.id, image]));
+    return {
+        images: imageIds.filter((imageId) => byId.has(imageId)).map((imageId) => byId.get(imageId)),
+        notFound: imageIds.filter((imageId) => !byId.has(imageId))
+    };
+};
+
+const imageNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Hình ảnh không tồn tại hoặc không thuộc về bạn.'
+});
+
+// API sinh lại ảnh với đúng bộ tham số của một ảnh đã có
+app.post('/api/images/:imageId/regenerate', protect, validateRequest({
+    summary: 'Queue a job with the exact parameters of an existing image',
+    tags: ['Generation'],
+    params: idParams('imageId'),
+    responses: { 202: 'Job queued' }
+}), generationRateLimit, async (req, res) => {
+    console.log('=== 🔁 REGENERATE IMAGE API HIT ===');
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    try {
+        const image = await findOwnedImage(imageId, userId);
+        if (!image) return imageNotFound(res);
+
+        const params = paramsFromImage(image);
+        const job = await queueChargedJob(req, 'generate', params);
+        console.log(`[Regenerate Image] Queued job ${job.id} from image ${imageId}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            params,
+            message: 'Image regeneration queued'
+        });
+    } catch (err) {
+        if (sendBillingError(res, err)) return;
+        console.error('❌ [/api/images/:imageId/regenerate] Error:', err);
+        res.status(500).json({ error: 'Failed to regenerate image', details: err.message });
+    }
+});
+
+// --- API CHỈNH SỬA ẢNH (IMG2IMG / INPAINTING) ---
+
+const EDIT_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const validateEditFiles = (files) => {
+    const invalid = files.filter(Boolean).find((file) => !EDIT_IMAGE_TYPES.includes(file.mimetype));
+    return invalid ? `Unsupported file type ${invalid.mimetype}. Allowed: ${EDIT_IMAGE_TYPES.join(', ')}` : null;
+};
+
+// Chỉnh sửa một ảnh có sẵn của user; mask (tuỳ chọn) gửi dạng multipart field `mask`
+app.post('/api/images/:imageId/edit', protect, upload.single('mask'), validateRequest({
+    summary: 'Edit one of your images (img2img, or inpainting with a mask)',
+    tags: ['Generation'],
+    params: idParams('imageId'),
+    body: EDIT_PARAMS_SCHEMA,
+    multipart: true,
+    responses: { 202: 'Job queued' }
+}), generationRateLimit, async (req, res) => {
+    console.log('=== 🖌️ EDIT IMAGE API HIT ===');
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    const params = editParams(req.body);
+
+    const fileError = validateEditFiles([req.file]);
+    if (fileError) {
+        return sendValidationErrors(res, [fileError]);
+    }
+
+    let maskFilePath = null;
+    try {
+        if (await rejectBlockedPrompt(req, res, params)) return;
+
+        const image = await findOwnedImage(imageId, userId);
+        if (!image) return imageNotFound(res);
+
+        maskFilePath = req.file ? await uploadEditSource(userId, req.file, 'mask') : null;
+        const job = await queueChargedJob(req, 'edit', {
+            ...params,
+            sourceFilePath: image.file_path,
+            maskFilePath,
+            parentImageId: image.id,
+            tempFilePaths: maskFilePath ? [maskFilePath] : []
+        });
+        console.log(`[Edit Image] Queued job ${job.id} for image ${imageId}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            params,
+            message: 'Image edit queued'
+        });
+    } catch (err) {
+        // Job không được tạo: xoá mask đã upload tạm
+        if (maskFilePath) {
+            await removeTempFiles([maskFilePath]);
+        }
+        if (sendBillingError(res, err)) return;
+        console.error('❌ [/api/images/:imageId/edit] Error:', err);
+        res.status(500).json({ error: 'Failed to edit image', details: err.message });
+    }
+});
+
+// Chỉnh sửa ảnh mới upload: multipart field `image` (bắt buộc) và `mask` (tuỳ chọn)
+app.post(
+    '/api/images/edit',
+    protect,
+    upload.fields([{ name: 'image', maxCount: 1 }, { name: 'mask', maxCount: 1 }]),
+    validateRequest({
+        summary: 'Edit an uploaded image (img2img, or inpainting with a mask)',
+        tags: ['Generation'],
+        body: {
+            ...EDIT_PARAMS_SCHEMA,
+            properties: { image: binary({ description: 'Source image (PNG, JPEG or WebP)' }), ...EDIT_PARAMS_SCHEMA.properties },
+            required: ['image', ...EDIT_PARAMS_SCHEMA.required]
+        },
+        multipart: true,
+        responses: { 202: 'Job queued' }
+    }),
+    generationRateLimit,
+    async (req, res) => {
+        console.log('=== 🖌️ EDIT UPLOADED IMAGE API HIT ===');
+        const userId = req.user.userId;
+        const sourceFile = req.files?.image?.[0];
+        const maskFile = req.files?.mask?.[0];
+
+        if (!sourceFile) {
+            return sendValidationErrors(res, ['image is required']);
+        }
+
+        const params = editParams(req.body);
+
+        const fileError = validateEditFiles([sourceFile, maskFile]);
+        if (fileError) {
+            return sendValidationErrors(res, [fileError]);
+        }
+
+        const tempFilePaths = [];
+        try {
+            if (await rejectBlockedPrompt(req, res, params)) return;
+
+            const sourceFilePath = await uploadEditSource(userId, sourceFile, 'source');
+            tempFilePaths.push(sourceFilePath);
+            const maskFilePath = maskFile ? await uploadEditSource(userId, maskFile, 'mask') : null;
+            if (maskFilePath) tempFilePaths.push(maskFilePath);
+
+            const job = await queueChargedJob(req, 'edit', {
+                ...params,
+                sourceFilePath,
+                maskFilePath,
+                parentImageId: null,
+                tempFilePaths
             });
-        
-        if (error) {
-            console.error('❌ Error logging activity:', error);
-            if (error.code === 'PGRST116' || error.message.includes('relation "activities" does not exist')) {
-                console.error('❌ Activities table does not exist. Please run the SQL script in create_activity_table.sql');
+            console.log(`[Edit Image] Queued job ${job.id} for uploaded image`);
+
+            res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                params,
+                message: 'Image edit queued'
+            });
+        } catch (err) {
+            // Job không được tạo: xoá file đã upload tạm
+            if (tempFilePaths.length > 0) {
+                await removeTempFiles(tempFilePaths);
             }
-        } else {
-            console.log(`✅ Activity logged: ${action} for user ${userId}`);
+            if (sendBillingError(res, err)) return;
+            console.error('❌ [/api/images/edit] Error:', err);
+            res.status(500).json({ error: 'Failed to edit image', details: err.message });
+        }
+    }
+);
+
+// --- API UPSCALE VÀ BIẾN THỂ ---
+
+// Phóng to ảnh 2x / 4x
+app.post('/api/images/:imageId/upscale', protect, validateRequest({
+    summary: 'Upscale an image 2x or 4x',
+    tags: ['Generation'],
+    params: idParams('imageId'),
+    body: UPSCALE_PARAMS_SCHEMA,
+    responses: { 202: 'Job queued' }
+}), generationRateLimit, async (req, res) => {
+    console.log('=== 🔍 UPSCALE IMAGE API HIT ===');
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    const { scale } = req.body;
+
+    try {
+        const image = await findOwnedImage(imageId, userId);
+        if (!image) return imageNotFound(res);
+
+        if (Math.max(image.width || 0, image.height || 0) * scale > MAX_UPSCALE_DIMENSION) {
+            return res.status(400).json({ error: `Upscaled image would exceed ${MAX_UPSCALE_DIMENSION}px` });
+        }
+
+        const job = await queueChargedJob(req, 'upscale', {
+            parentImageId: image.id,
+            sourceFilePath: image.file_path,
+            prompt: image.prompt,
+            scale
+        });
+        console.log(`[Upscale Image] Queued job ${job.id} for image ${imageId}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            params: { scale },
+            message: 'Image upscale queued'
+        });
+    } catch (err) {
+        if (sendBillingError(res, err)) return;
+        console.error('❌ [/api/images/:imageId/upscale] Error:', err);
+        res.status(500).json({ error: 'Failed to upscale image', details: err.message });
+    }
+});
+
+// Tạo các biến thể "more like this" từ một ảnh
+app.post('/api/images/:imageId/variations', protect, validateRequest({
+    summary: 'Create variations ("more like this") of an image',
+    tags: ['Generation'],
+    params: idParams('imageId'),
+    body: VARIATION_PARAMS_SCHEMA,
+    responses: { 202: 'Job queued' }
+}), generationRateLimit, async (req, res) => {
+    console.log('=== 🎲 IMAGE VARIATIONS API HIT ===');
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    const params = variationParams(req.body);
+
+    try {
+        const image = await findOwnedImage(imageId, userId);
+        if (!image) return imageNotFound(res);
+
+        // Giữ prompt và tham số của ảnh gốc, seed mới lấy từ validation
+        const job = await queueChargedJob(req, 'variations', {
+            ...paramsFromImage(image),
+            ...params,
+            parentImageId: image.id,
+            sourceFilePath: image.file_path
+        });
+        console.log(`[Variations] Queued job ${job.id} for image ${imageId}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            params,
+            message: 'Image variations queued'
+        });
+    } catch (err) {
+        if (sendBillingError(res, err)) return;
+        console.error('❌ [/api/images/:imageId/variations] Error:', err);
+        res.status(500).json({ error: 'Failed to create variations', details: err.message });
+    }
+});
+
+// Lịch sử chỉnh sửa của một ảnh: chuỗi ảnh gốc (ancestors) và các ảnh sinh ra từ nó (descendants)
+app.get('/api/images/:imageId/lineage', protect, validateRequest({
+    summary: 'Ancestors and descendants of an edited image',
+    tags: ['Creations'],
+    params: idParams('imageId')
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+    const columns = 'id, prompt, image_url, parent_image_id, edit_type, strength, moderation_status, deleted_at, created_at';
+    const isVisible = (item) => item.moderation_status !== 'hidden' && !item.deleted_at;
+
+    try {
+        const { data: image, error: fetchError } = await supabase
+            .from('images')
+            .select(columns)
+            .eq('id', imageId)
+            .eq('user_id', userId)
+            .neq('moderation_status', 'hidden')
+            .is('deleted_at', null)
+            .maybeSingle();
+
+        if (fetchError) throw fetchError;
+        if (!image) return imageNotFound(res);
+
+        // Đi ngược lên ảnh gốc (giới hạn độ sâu để tránh vòng lặp)
+        const ancestors = [];
+        let parentId = image.parent_image_id;
+        while (parentId && ancestors.length < 50) {
+            const { data: parent, error } = await supabase
+                .from('images')
+                .select(columns)
+                .eq('id', parentId)
+                .eq('user_id', userId)
+                .maybeSingle();
+            if (error) throw error;
+            if (!parent) break;
+            ancestors.unshift(parent);
+            parentId = parent.parent_image_id;
+        }
+
+        // Duyệt xuống các ảnh con theo từng tầng
+        const descendants = [];
+        let frontier = [image.id];
+        while (frontier.length > 0 && descendants.length < 500) {
+            const { data: children, error } = await supabase
+                .from('images')
+                .select(columns)
+                .in('parent_image_id', frontier)
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true });
+            if (error) throw error;
+            descendants.push(...(children || []));
+            frontier = (children || []).map((child) => child.id);
+        }
+
+        // Ảnh bị ẩn vẫn được duyệt qua để giữ đúng cây, nhưng không trả về
+        const [presented] = await withImageUrls([image]);
+        res.json({
+            success: true,
+            image: presented,
+            ancestors: await withImageUrls(ancestors.filter(isVisible)),
+            descendants: await withImageUrls(descendants.filter(isVisible))
+        });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/lineage] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch image lineage', details: err.message });
+    }
+});
+
+// --- BÁO CÁO ẢNH VI PHẠM ---
+const reportLimiter = createSlidingWindowLimiter();
+
+// API báo cáo một ảnh vi phạm
+app.post('/api/images/:imageId/report', protect, validateRequest({
+    summary: 'Report an image',
+    tags: ['Moderation'],
+    params: idParams('imageId'),
+    body: REPORT_BODY,
+    responses: { 201: 'Reported' }
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+    const { reason, details } = req.body;
+
+    const limit = reportLimiter.hit(userId, { limit: 20, windowMs: 60 * 60 * 1000 });
+    if (!limit.allowed) {
+        const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Bạn đã báo cáo quá nhiều lần, vui lòng thử lại sau.', retryAfter });
+    }
+
+    try {
+        const { data: image, error } = await supabase
+            .from('images')
+            .select('id, user_id, prompt, image_url, visibility, moderation_status')
+            .eq('id', imageId)
+            .neq('moderation_status', 'hidden')
+            .is('deleted_at', null)
+            .maybeSingle();
+        if (error) throw error;
+        // Chỉ báo cáo được ảnh mà người báo cáo nhìn thấy (công khai hoặc có liên kết chia sẻ)
+        if (!image || image.visibility === 'private') {
+            return res.status(404).json({ success: false, error: 'Hình ảnh không tồn tại.' });
+        }
+
+        if (image.user_id === userId) {
+            return res.status(400).json({ error: 'Bạn không thể báo cáo ảnh của chính mình.' });
+        }
+        if (await imageModeration.hasPendingReport(imageId, userId)) {
+            return res.status(409).json({ error: 'Bạn đã báo cáo ảnh này, vui lòng chờ kiểm duyệt.' });
+        }
+
+        const report = await imageModeration.report(image, {
+            reporterId: userId,
+            source: 'user',
+            reason,
+            details: details?.trim() || null
+        });
+
+        console.log(`🚩 [Report] User ${userId} reported image ${imageId} (${reason})`);
+        res.status(201).json({ success: true, reportId: report.id, message: 'Cảm ơn bạn đã báo cáo, chúng tôi sẽ xem xét sớm.' });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/report] Error:', err);
+        res.status(500).json({ error: 'Failed to report image', details: err.message });
+    }
+});
+
+// API các quyết định kiểm duyệt với ảnh của user (ẩn / khôi phục / xoá, kèm lý do)
+app.get('/api/moderation/notices', protect, validateRequest({
+    summary: 'Moderation decisions about your images',
+    tags: ['Moderation']
+}), async (req, res) => {
+    try {
+        const notices = await imageModeration.listActionsForUser(req.user.userId);
+        res.json({ success: true, notices: await withImageUrls(notices) });
+    } catch (err) {
+        console.error('❌ [/api/moderation/notices] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch moderation notices', details: err.message });
+    }
+});
+
+// --- API BỘ SƯU TẬP (ALBUM) ---
+
+const COLLECTION_FIELDS = {
+    name: nonBlank(MAX_COLLECTION_NAME_LENGTH),
+    description: string({ maxLength: MAX_COLLECTION_DESCRIPTION_LENGTH, nullable: true })
+};
+
+// Danh sách imageIds cho thao tác hàng loạt
+const imageIdsField = (maxItems = MAX_BULK_IMAGES) => array(uuid(), { minItems: 1, maxItems });
+const IMAGE_IDS_BODY = object({ imageIds: imageIdsField() }, ['imageIds']);
+
+// Các cột của bộ sưu tập từ body đã qua validateRequest
+const collectionFields = (body) => {
+    const fields = {};
+    if (body.name !== undefined) fields.name = body.name.trim();
+    if (body.description !== undefined) fields.description = body.description?.trim() || null;
+    return fields;
+};
+
+// imageIds không trùng lặp, giữ thứ tự gửi lên
+const uniqueImageIds = (imageIds) => [...new Set(imageIds)];
+
+const collectionNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Bộ sưu tập không tồn tại hoặc không thuộc về bạn.'
+});
+
+// Middleware: tải bộ sưu tập của user vào req.collection
+const loadCollection = async (req, res, next) => {
+    try {
+        const collection = await collections.get(req.user.userId, req.params.collectionId);
+        if (!collection) return collectionNotFound(res);
+        req.collection = collection;
+        next();
+    } catch (err) {
+        console.error('❌ [loadCollection] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch collection', details: err.message });
+    }
+};
+
+// API danh sách bộ sưu tập của user (kèm số ảnh và ảnh bìa)
+app.get('/api/collections', protect, validateRequest({
+    summary: 'List your collections with image count and cover',
+    tags: ['Collections']
+}), async (req, res) => {
+    try {
+        const list = await collections.listForUser(req.user.userId);
+        res.json({ success: true, collections: await withImageUrls(list, 'cover_image_url') });
+    } catch (err) {
+        console.error('❌ [/api/collections GET] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch collections', details: err.message });
+    }
+});
+
+// API tạo bộ sưu tập, có thể kèm imageIds ban đầu
+app.post('/api/collections', protect, validateRequest({
+    summary: 'Create a collection, optionally with images',
+    tags: ['Collections'],
+    body: object({ ...COLLECTION_FIELDS, imageIds: imageIdsField() }, ['name']),
+    responses: { 201: 'Created' }
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const fields = collectionFields(req.body);
+    const imageIds = uniqueImageIds(req.body.imageIds || []);
+
+    try {
+        if (await collections.countForUser(userId) >= MAX_COLLECTIONS_PER_USER) {
+            return res.status(409).json({ error: `You can have at most ${MAX_COLLECTIONS_PER_USER} collections.` });
+        }
+
+        const collection = await collections.create(userId, fields);
+        const result = imageIds.length > 0 ? await collections.addImages(collection, userId, imageIds) : { added: 0, notFound: [] };
+
+        console.log(`✅ [Collections] User ${userId} created collection ${collection.id}`);
+        res.status(201).json({ success: true, collection: await presentCollection(collection), ...result });
+    } catch (err) {
+        console.error('❌ [/api/collections POST] Error:', err);
+        res.status(500).json({ error: 'Failed to create collection', details: err.message });
+    }
+});
+
+app.get('/api/collections/:collectionId', protect, validateRequest({
+    summary: 'Get a collection',
+    tags: ['Collections'],
+    params: idParams('collectionId')
+}), loadCollection, async (req, res) => {
+    try {
+        res.json({ success: true, collection: await presentCollection(req.collection) });
+    } catch (err) {
+        console.error('❌ [/api/collections/:collectionId GET] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch collection', details: err.message });
+    }
+});
+
+// API sửa tên, mô tả, ảnh bìa (coverImageId phải là ảnh trong bộ sưu tập; null để dùng ảnh đầu tiên)
+app.patch('/api/collections/:collectionId', protect, validateRequest({
+    summary: 'Rename a collection or change its description or cover',
+    tags: ['Collections'],
+    params: idParams('collectionId'),
+    body: object({ ...COLLECTION_FIELDS, coverImageId: uuid({ nullable: true, description: 'null uses the first image' }) })
+}), loadCollection, async (req, res) => {
+    const fields = collectionFields(req.body);
+    const { coverImageId } = req.body;
+
+    try {
+        if (coverImageId !== undefined) {
+            if (coverImageId && !(await collections.isMember(req.collection.id, coverImageId))) {
+                return res.status(400).json({ error: 'Cover image must be in the collection' });
+            }
+            fields.cover_image_id = coverImageId;
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ error: 'Nothing to update. Provide name, description or coverImageId.' });
+        }
+
+        const collection = await collections.update(req.collection.id, fields);
+        res.json({ success: true, collection: await presentCollection(collection) });
+    } catch (err) {
+        console.error('❌ [/api/collections/:collectionId PATCH] Error:', err);
+        res.status(500).json({ error: 'Failed to update collection', details: err.message });
+    }
+});
+
+// API xoá bộ sưu tập (ảnh bên trong vẫn được giữ nguyên)
+app.delete('/api/collections/:collectionId', protect, validateRequest({
+    summary: 'Delete a collection (its images are kept)',
+    tags: ['Collections'],
+    params: idParams('collectionId')
+}), loadCollection, async (req, res) => {
+    try {
+        await collections.remove(req.collection.id);
+        console.log(`✅ [Collections] User ${req.user.userId} deleted collection ${req.collection.id}`);
+        res.json({ success: true, message: 'Đã xoá bộ sưu tập.' });
+    } catch (err) {
+        console.error('❌ [/api/collections/:collectionId DELETE] Error:', err);
+        res.status(500).json({ error: 'Failed to delete collection', details: err.message });
+    }
+});
+
+// API ảnh trong bộ sưu tập theo thứ tự đã sắp, có phân trang
+app.get('/api/collections/:collectionId/images', protect, validateRequest({
+    summary: 'Images of a collection in their manual order',
+    tags: ['Collections'],
+    params: idParams('collectionId'),
+    query: object(pagination())
+}), loadCollection, async (req, res) => {
+    const { page, limit } = req.query;
+
+    try {
+        const { images, total } = await collections.listImages(req.collection.id, { offset: (page - 1) * limit, limit });
+        res.json({
+            success: true,
+            images: await withImageUrls(images),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                total,
+                limit
+            }
+        });
+    } catch (err) {
+        console.error('❌ [/api/collections/:collectionId/images GET] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch collection images', details: err.message });
+    }
+});
+
+// API thêm nhiều ảnh vào bộ sưu tập
+app.post('/api/collections/:collectionId/images', protect, validateRequest({
+    summary: 'Add images to a collection',
+    tags: ['Collections'],
+    params: idParams('collectionId'),
+    body: IMAGE_IDS_BODY
+}), loadCollection, async (req, res) => {
+    const imageIds = uniqueImageIds(req.body.imageIds);
+
+    try {
+        const result = await collections.addImages(req.collection, req.user.userId, imageIds);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        console.error('❌ [/api/collections/:collectionId/images POST] Error:', err);
+        res.status(500).json({ error: 'Failed to add images to collection', details: err.message });
+    }
+});
+
+// API gỡ nhiều ảnh khỏi bộ sưu tập (ảnh không bị xoá)
+app.delete('/api/collections/:collectionId/images', protect, validateRequest({
+    summary: 'Remove images from a collection (the images are kept)',
+    tags: ['Collections'],
+    params: idParams('collectionId'),
+    body: IMAGE_IDS_BODY
+}), loadCollection, async (req, res) => {
+    const imageIds = uniqueImageIds(req.body.imageIds);
+
+    try {
+        const removed = await collections.removeImages(req.collection, imageIds);
+        res.json({ success: true, removed });
+    } catch (err) {
+        console.error('❌ [/api/collections/:collectionId/images DELETE] Error:', err);
+        res.status(500).json({ error: 'Failed to remove images from collection', details: err.message });
+    }
+});
+
+// API sắp xếp thủ công: imageIds theo thứ tự mong muốn, ảnh không có trong danh sách xếp sau
+app.put('/api/collections/:collectionId/images/order', protect, validateRequest({
+    summary: 'Set the manual order of a collection (unlisted images go last)',
+    tags: ['Collections'],
+    params: idParams('collectionId'),
+    body: object({ imageIds: imageIdsField(1000) }, ['imageIds'])
+}), loadCollection, async (req, res) => {
+    const imageIds = uniqueImageIds(req.body.imageIds);
+
+    try {
+        const count = await collections.reorder(req.collection, imageIds);
+        res.json({ success: true, count });
+    } catch (err) {
+        console.error('❌ [/api/collections/:collectionId/images/order PUT] Error:', err);
+        res.status(500).json({ error: 'Failed to reorder collection', details: err.message });
+    }
+});
+
+// --- CHIA SẺ, GALLERY VÀ LƯỢT THÍCH ---
+
+// Hồ sơ công khai của các chủ ảnh, theo id
+const loadPublicOwners = async (userIds) => {
+    const ids = [...new Set(userIds)];
+    if (ids.length === 0) return new Map();
+    const { data, error } = await supabase.from('users').select(PUBLIC_PROFILE_COLUMNS).in('id', ids);
+    if (error) throw error;
+    return new Map((data || []).map((user) => [user.id, toPublicProfile(user)]));
+};
+
+// Các ảnh trong danh sách mà user đã thích
+const loadLikedImageIds = async (userId, imageIds) => {
+    if (!userId || imageIds.length === 0) return new Set();
+    const { data, error } = await supabase
+        .from('image_likes')
+        .select('image_id')
+        .eq('user_id', userId)
+        .in('image_id', imageIds);
+    if (error) throw error;
+    return new Set((data || []).map((like) => like.image_id));
+};
+
+const toPublicImages = async (images, viewerId) => {
+    const [owners, liked] = await Promise.all([
+        loadPublicOwners(images.map((image) => image.user_id)),
+        loadLikedImageIds(viewerId, images.map((image) => image.id))
+    ]);
+    const publicImages = images.map((image) => toPublicImage(image, { owner: owners.get(image.user_id), likedByMe: liked.has(image.id) }));
+    return withImageUrls(publicImages, 'imageUrl');
+};
+
+// API đổi chế độ hiển thị của ảnh: private | unlisted | public.
+// `regenerateToken: true` tạo liên kết chia sẻ mới (liên kết cũ hết hiệu lực).
+app.patch('/api/images/:imageId/visibility', protect, validateRequest({
+    summary: 'Make an image private, unlisted (share link) or public (gallery)',
+    tags: ['Sharing'],
+    params: idParams('imageId'),
+    body: object({
+        visibility: oneOf(VISIBILITIES),
+        regenerateToken: boolean({ description: 'Create a new share link; the old one stops working' })
+    }, ['visibility'])
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+    const { visibility, regenerateToken } = req.body;
+
+    try {
+        const image = await findOwnedImage(imageId, userId);
+        if (!image) return imageNotFound(res);
+
+        const updateData = { visibility };
+        if (visibility !== 'private' && (!image.share_token || regenerateToken === true)) {
+            updateData.share_token = newShareToken();
+        }
+        if (visibility === 'public' && !image.published_at) {
+            updateData.published_at = new Date().toISOString();
+        }
+
+        const { data: updated, error } = await supabase
+            .from('images')
+            .update(updateData)
+            .eq('id', imageId)
+            .select('id, visibility, share_token, published_at')
+            .single();
+        if (error) throw error;
+
+        if (image.visibility !== visibility) {
+            await logActivity(userId, 'visibility_change', imageId, { from: image.visibility || 'private', to: visibility });
         }
+
+        res.json({
+            success: true,
+            visibility: updated.visibility,
+            shareToken: updated.visibility === 'private' ? null : updated.share_token,
+            shareUrl: updated.visibility === 'private' ? null : shareUrl(updated.share_token),
+            publishedAt: updated.published_at
+        });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/visibility] Error:', err);
+        res.status(500).json({ error: 'Failed to update visibility', details: err.message });
+    }
+});
+
+// API gallery cộng đồng (không cần đăng nhập): sort = newest | most_liked
+app.get('/api/gallery', optionalAuth, validateRequest({
+    summary: 'Community gallery of public images',
+    tags: ['Sharing'],
+    query: object({ sort: oneOf(Object.keys(GALLERY_SORTS), { default: 'newest' }), ...pagination(24) })
+}), async (req, res) => {
+    const { sort, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    try {
+        let query = supabase
+            .from('images')
+            .select(PUBLIC_IMAGE_COLUMNS, { count: 'exact' })
+            .eq('visibility', 'public')
+            .neq('moderation_status', 'hidden')
+            .is('deleted_at', null)
+            .order(GALLERY_SORTS[sort], { ascending: false });
+        if (sort === 'most_liked') query = query.order('published_at', { ascending: false });
+
+        const { data: images, error, count } = await query.range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            images: await toPublicImages(images || [], req.user?.userId),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil((count || 0) / limit),
+                total: count || 0,
+                limit
+            }
+        });
+    } catch (err) {
+        console.error('❌ [/api/gallery] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch gallery', details: err.message });
+    }
+});
+
+// API xem ảnh qua liên kết chia sẻ (không cần đăng nhập)
+app.get('/api/share/:token', optionalAuth, validateRequest({
+    summary: 'View an image through its share link',
+    tags: ['Sharing'],
+    params: object({ token: string({ minLength: 1, maxLength: 100 }) }, ['token'])
+}), async (req, res) => {
+    try {
+        const { data: image, error } = await supabase
+            .from('images')
+            .select(PUBLIC_IMAGE_COLUMNS)
+            .eq('share_token', req.params.token)
+            .in('visibility', ['unlisted', 'public'])
+            .neq('moderation_status', 'hidden')
+            .is('deleted_at', null)
+            .maybeSingle();
+        if (error) throw error;
+        if (!image) return res.status(404).json({ success: false, error: 'Liên kết chia sẻ không tồn tại hoặc đã hết hiệu lực.' });
+
+        const [publicImage] = await toPublicImages([image], req.user?.userId);
+        res.json({ success: true, image: publicImage });
+    } catch (err) {
+        console.error('❌ [/api/share/:token] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch shared image', details: err.message });
+    }
+});
+
+// Ảnh mà user được phép thích (chưa bị ẩn): của chính mình, public, hoặc unlisted khi có đúng share token
+const findLikeableImage = async (imageId, userId, shareToken) => {
+    const { data: image, error } = await supabase
+        .from('images')
+        .select('id, user_id, visibility, share_token, moderation_status')
+        .eq('id', imageId)
+        .neq('moderation_status', 'hidden')
+        .is('deleted_at', null)
+        .maybeSingle();
+    if (error) throw error;
+    if (!image) return null;
+    if (image.user_id === userId || image.visibility === 'public') return image;
+    return image.visibility === 'unlisted' && shareToken && shareToken === image.share_token ? image : null;
+};
+
+// Ảnh unlisted chỉ thích được khi gửi kèm share token của liên kết chia sẻ
+const SHARE_TOKEN_FIELD = string({ minLength: 1, maxLength: 100, description: 'Share token, required for unlisted images' });
+
+const readLikeCount = async (imageId) => {
+    const { data, error } = await supabase.from('images').select('like_count').eq('id', imageId).single();
+    if (error) throw error;
+    return data.like_count || 0;
+};
+
+// API thích ảnh (gọi lại nhiều lần không cộng trùng)
+app.post('/api/images/:imageId/like', protect, validateRequest({
+    summary: 'Like an image',
+    tags: ['Sharing'],
+    params: idParams('imageId'),
+    body: object({ shareToken: SHARE_TOKEN_FIELD })
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    try {
+        const image = await findLikeableImage(imageId, userId, req.body.shareToken);
+        if (!image) return res.status(404).json({ success: false, error: 'Hình ảnh không tồn tại.' });
+
+        const { error } = await supabase
+            .from('image_likes')
+            .upsert({ user_id: userId, image_id: imageId }, { onConflict: 'user_id,image_id', ignoreDuplicates: true });
+        if (error) throw error;
+
+        res.json({ success: true, liked: true, likeCount: await readLikeCount(imageId) });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/like POST] Error:', err);
+        res.status(500).json({ error: 'Failed to like image', details: err.message });
+    }
+});
+
+// API bỏ thích ảnh
+app.delete('/api/images/:imageId/like', protect, validateRequest({
+    summary: 'Unlike an image',
+    tags: ['Sharing'],
+    params: idParams('imageId'),
+    query: object({ shareToken: SHARE_TOKEN_FIELD })
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    try {
+        const { error } = await supabase
+            .from('image_likes')
+            .delete()
+            .eq('user_id', userId)
+            .eq('image_id', imageId);
+        if (error) throw error;
+
+        const image = await findLikeableImage(imageId, userId, req.query.shareToken);
+        res.json({ success: true, liked: false, likeCount: image ? await readLikeCount(imageId) : 0 });
     } catch (err) {
-        console.error('❌ Error in logActivity function:', err);
-        if (err.message && err.message.includes('activities')) {
-            console.error('❌ Activities table may not exist. Please check your database setup.');
+        console.error('❌ [/api/images/:imageId/like DELETE] Error:', err);
+        res.status(500).json({ error: 'Failed to unlike image', details: err.message });
+    }
+});
+
+// API hồ sơ công khai: chỉ thông tin công khai và ảnh public của user
+app.get('/api/users/:userId/public', optionalAuth, validateRequest({
+    summary: 'Public profile and public images of a user',
+    tags: ['Sharing'],
+    params: idParams('userId'),
+    query: object(pagination(24))
+}), async (req, res) => {
+    const { userId } = req.params;
+    const { page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    try {
+        const { data: user, error: userError } = await supabase
+            .from('users')
+            .select(PUBLIC_PROFILE_COLUMNS)
+            .eq('id', userId)
+            .maybeSingle();
+        if (userError) throw userError;
+        if (!user || await suspensions.getActiveSuspension(userId)) {
+            return res.status(404).json({ success: false, error: 'Người dùng không tồn tại.' });
         }
+
+        const { data: images, error, count } = await supabase
+            .from('images')
+            .select(PUBLIC_IMAGE_COLUMNS, { count: 'exact' })
+            .eq('user_id', userId)
+            .eq('visibility', 'public')
+            .neq('moderation_status', 'hidden')
+            .is('deleted_at', null)
+            .order('published_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            profile: { ...toPublicProfile(user), publicImageCount: count || 0 },
+            images: await toPublicImages(images || [], req.user?.userId),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil((count || 0) / limit),
+                total: count || 0,
+                limit
+            }
+        });
+    } catch (err) {
+        console.error('❌ [/api/users/:userId/public] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch public profile', details: err.message });
     }
+});
+
+// --- API JOB ---
+
+// Lấy job và kiểm tra quyền sở hữu
+const findUserJob = async (jobId, userId) => {
+    const job = await jobQueue.get(jobId);
+    return job && job.user_id === userId ? job : null;
 };
 
-// --- CÁC API CẦN BẢO VỆ ---
-// Tất cả các API dưới đây sẽ yêu cầu có "vé thông hành" hợp lệ.
-// Chúng ta chỉ cần thêm `protect` vào giữa đường dẫn và hàm xử lý.
+const RECENT_LIMIT_QUERY = object({ limit: integer({ minimum: 1, maximum: 100, default: 20 }) });
 
-app.post('/api/generate-image', protect, async (req, res) => {
-    console.log('=== 🎨 GENERATE IMAGE ENDPOINT HIT ===');
+// Danh sách job gần đây của user
+app.get('/api/jobs', protect, validateRequest({
+    summary: 'Your recent jobs',
+    tags: ['Jobs'],
+    query: RECENT_LIMIT_QUERY
+}), async (req, res) => {
+    try {
+        const jobs = await jobQueue.listForUser(req.user.userId, req.query.limit);
+        res.json({ success: true, jobs: await Promise.all(jobs.map(presentJob)) });
+    } catch (err) {
+        console.error('❌ [/api/jobs] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch jobs', details: err.message });
+    }
+});
+
+// Stream SSE cho tất cả job của user
+app.get('/api/jobs/events', allowQueryToken, protect, validateRequest({
+    summary: 'Updates of all your jobs (Server-Sent Events)',
+    tags: ['Jobs'],
+    query: SSE_QUERY,
+    responses: { 200: 'text/event-stream' }
+}), (req, res) => {
     const userId = req.user.userId;
-    const { prompt } = req.body;
-    
-    console.log('Request details:', {
-        userId,
-        prompt: prompt?.substring(0, 100) + '...',
-        bodyKeys: Object.keys(req.body),
-        headers: {
-            'content-type': req.headers['content-type'],
-            'authorization': req.headers.authorization?.substring(0, 30) + '...'
+    const stream = openEventStream(req, res);
+
+    // Ký URL là bất đồng bộ: xếp hàng để event gửi đi đúng thứ tự cập nhật
+    let pending = Promise.resolve();
+    const onUpdate = (job) => {
+        if (job.user_id !== userId) return;
+        pending = pending
+            .then(() => presentJob(job))
+            .then((presented) => stream.send('job', presented))
+            .catch((err) => console.error('❌ [/api/jobs/events] Error:', err.message));
+    };
+    jobQueue.events.on('update', onUpdate);
+    stream.onClose(() => jobQueue.events.off('update', onUpdate));
+});
+
+// Trạng thái của một job
+app.get('/api/jobs/:jobId', protect, validateRequest({
+    summary: 'Status of a job',
+    tags: ['Jobs'],
+    params: idParams('jobId')
+}), async (req, res) => {
+    try {
+        const job = await findUserJob(req.params.jobId, req.user.userId);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        res.json({ success: true, job: await presentJob(job) });
+    } catch (err) {
+        console.error('❌ [/api/jobs/:jobId] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch job', details: err.message });
+    }
+});
+
+// Stream SSE cho một job, tự đóng khi job kết thúc
+app.get('/api/jobs/:jobId/events', allowQueryToken, protect, validateRequest({
+    summary: 'Updates of one job until it finishes (Server-Sent Events)',
+    tags: ['Jobs'],
+    params: idParams('jobId'),
+    query: SSE_QUERY,
+    responses: { 200: 'text/event-stream' }
+}), async (req, res) => {
+    try {
+        const job = await findUserJob(req.params.jobId, req.user.userId);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+
+        const stream = openEventStream(req, res);
+        stream.send('job', await presentJob(job));
+        if (isTerminalStatus(job.status)) return stream.close();
+
+        let pending = Promise.resolve();
+        const onUpdate = (updated) => {
+            if (updated.id !== job.id) return;
+            pending = pending
+                .then(() => presentJob(updated))
+                .then((presented) => {
+                    stream.send('job', presented);
+                    if (isTerminalStatus(updated.status)) stream.close();
+                })
+                .catch((err) => {
+                    console.error('❌ [/api/jobs/:jobId/events] Error:', err.message);
+                    stream.close();
+                });
+        };
+        jobQueue.events.on('update', onUpdate);
+        stream.onClose(() => jobQueue.events.off('update', onUpdate));
+    } catch (err) {
+        console.error('❌ [/api/jobs/:jobId/events] Error:', err);
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to open job stream', details: err.message });
+    }
+});
+
+// Huỷ job đang chờ hoặc đang chạy; job đang lưu ảnh (uploading) không huỷ được nữa.
+// Trả về trạng thái thật sau khi job dừng (done / failed nếu job kết thúc trước khi kịp huỷ)
+app.post('/api/jobs/:jobId/cancel', protect, validateRequest({
+    summary: 'Cancel a queued or running job',
+    tags: ['Jobs'],
+    params: idParams('jobId')
+}), async (req, res) => {
+    try {
+        const job = await findUserJob(req.params.jobId, req.user.userId);
+        if (!job) return res.status(404).json({ error: 'Job not found' });
+        if (isTerminalStatus(job.status)) {
+            return res.status(409).json({ error: `Job is already ${job.status}` });
+        }
+        if (job.status === 'uploading') {
+            return res.status(409).json({ error: 'Job is already saving its images and can no longer be cancelled' });
         }
-    });
 
-    if (!prompt) {
-        console.log('❌ No prompt provided');
-        return res.status(400).json({ error: 'Prompt is required' });
+        const settled = await jobQueue.cancel(job);
+        console.log(`✅ [Job ${job.id}] cancel requested by user ${req.user.userId}, final status: ${settled.status}`);
+        if (settled.status !== 'cancelled') {
+            return res.status(409).json({ error: `Job finished as ${settled.status} before it could be cancelled`, job: await presentJob(settled) });
+        }
+        res.json({ success: true, job: await presentJob(settled) });
+    } catch (err) {
+        if (err.code === 'JOB_NOT_CANCELLABLE') {
+            return res.status(409).json({ error: err.message });
+        }
+        console.error('❌ [/api/jobs/:jobId/cancel] Error:', err);
+        res.status(500).json({ error: 'Failed to cancel job', details: err.message });
     }
+});
+
+// --- API CREDITS ---
 
+// Số dư, plan, quota trong ngày và các giao dịch gần đây của user
+app.get('/api/credits', protect, validateRequest({
+    summary: 'Balance, plan, daily quota and recent transactions',
+    tags: ['Credits'],
+    query: RECENT_LIMIT_QUERY
+}), async (req, res) => {
+    const userId = req.user.userId;
     try {
-        console.log(`[Generate Image] User ${userId} generating with prompt: "${prompt}"`);
-        
-        // Gọi đến Colab API
-        const COLAB_API_URL = process.env.VITE_AI_GENERATOR_API_URL || 'https://e9ddc7ce508d.ngrok-free.app';
-        
-        const response = await fetch(`${COLAB_API_URL}/generate`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'ngrok-skip-browser-warning': 'true' // Bỏ qua warning của ngrok
-            },
-            body: JSON.stringify({ prompt })
+        const account = await credits.getAccount(userId);
+        if (!account) return res.status(404).json({ error: 'Không tìm thấy người dùng.' });
+
+        const plan = getPlan(account.plan);
+        const [usedToday, history] = await Promise.all([
+            credits.usedToday(userId),
+            credits.history(userId, req.query.limit)
+        ]);
+
+        res.json({
+            success: true,
+            balance: account.credits,
+            plan: account.plan,
+            dailyQuota: plan.dailyQuota,
+            usedToday,
+            remainingToday: plan.dailyQuota === null ? null : Math.max(0, plan.dailyQuota - usedToday),
+            rateLimit: { limit: plan.rateLimit.limit, windowSeconds: plan.rateLimit.windowMs / 1000 },
+            history
         });
+    } catch (err) {
+        console.error('❌ [/api/credits] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch credits', details: err.message });
+    }
+});
 
-        if (!response.ok) {
-            throw new Error(`Colab API error: ${response.status}`);
-        }
+// Bộ lọc của /api/my-creations
+const CREATION_FILTERS_QUERY = object({
+    q: string({ maxLength: MAX_SEARCH_LENGTH, description: 'Search in prompts' }),
+    from: string({ format: 'date-time' }),
+    to: string({ format: 'date-time' }),
+    tag: nonBlank(MAX_TAG_LENGTH),
+    favorite: boolean(),
+    collectionId: uuid(),
+    sort: oneOf(Object.keys(CREATION_SORTS), { default: 'newest' }),
+    cursor: string({ maxLength: 500, description: 'nextCursor of the previous page' }),
+    limit: integer({ minimum: 1, maximum: 100, default: 24 })
+});
 
-        // Lấy ảnh từ Colab dưới dạng blob
-        const imageBlob = await response.blob();
-        const imageBuffer = Buffer.from(await imageBlob.arrayBuffer());
+// Query đã qua validateRequest -> filters cho creations.list
+const readCreationFilters = (query) => {
+    const filters = { sort: query.sort, limit: query.limit };
+    if (query.q?.trim()) filters.q = query.q.trim();
+    for (const key of ['from', 'to']) {
+        if (query[key] !== undefined) filters[key] = new Date(query[key]).toISOString();
+    }
+    if (query.tag !== undefined) filters.tag = normalizeTag(query.tag);
+    for (const key of ['favorite', 'collectionId', 'cursor']) {
+        if (query[key] !== undefined) filters[key] = query[key];
+    }
+    return filters;
+};
 
-        // Tạo tên file unique
-        const fileName = `${userId}_${Date.now()}_generated.png`;
-        const filePath = `generated/${fileName}`;
+// API thư viện ảnh của user: q (tìm theo prompt), from, to, tag, favorite, collectionId, sort, cursor, limit.
+// Ảnh bị ẩn bởi kiểm duyệt không hiển thị (xem GET /api/moderation/notices).
+app.get('/api/my-creations', protect, validateRequest({
+    summary: 'Your images with search, filters and cursor pagination',
+    tags: ['Creations'],
+    query: CREATION_FILTERS_QUERY
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const filters = readCreationFilters(req.query);
 
-        // Upload ảnh lên Supabase Storage
-        const { error: uploadError } = await supabase.storage
-            .from('images') // Đảm bảo bucket 'images' đã tồn tại
-            .upload(filePath, imageBuffer, {
-                contentType: 'image/png',
-                upsert: false
-            });
+    try {
+        if (filters.collectionId && !(await collections.get(userId, filters.collectionId))) {
+            return collectionNotFound(res);
+        }
 
-        if (uploadError) {
-            console.error('Supabase upload error:', uploadError);
-            throw uploadError;
+        const { images, nextCursor } = await creations.list(userId, filters);
+        res.json({ success: true, images: await withImageUrls(images), nextCursor });
+    } catch (err) {
+        if (err.status === 400) {
+            return res.status(400).json({ error: err.message });
         }
+        console.error('❌ [/api/my-creations] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch creations.' });
+    }
+});
 
-        // Lấy public URL
-        const { data: publicUrlData } = supabase.storage
-            .from('images')
-            .getPublicUrl(filePath);
+// --- TAG VÀ ẢNH YÊU THÍCH ---
 
-        const imageUrl = publicUrlData.publicUrl;
+const tagsField = (options = {}) => array(nonBlank(MAX_TAG_LENGTH), { maxItems: MAX_TAGS_PER_IMAGE, ...options });
 
-        // Lưu thông tin vào database
-        const { data: imageRecord, error: dbError } = await supabase
-            .from('images')
-            .insert({
-                user_id: userId,
-                prompt: prompt,
-                image_url: imageUrl,
-                file_path: filePath
-            })
-            .select()
-            .single();
+// Tag đã chuẩn hoá, không trùng lặp
+const readTags = (tags) => [...new Set(tags.map(normalizeTag))];
+
+// API danh sách tag của user kèm số ảnh
+app.get('/api/tags', protect, validateRequest({
+    summary: 'Your tags with image counts',
+    tags: ['Creations']
+}), async (req, res) => {
+    try {
+        const tags = await creations.tagCounts(req.user.userId);
+        res.json({ success: true, tags });
+    } catch (err) {
+        console.error('❌ [/api/tags] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch tags', details: err.message });
+    }
+});
+
+// API thêm tag cho ảnh
+app.post('/api/images/:imageId/tags', protect, validateRequest({
+    summary: 'Add tags to an image',
+    tags: ['Creations'],
+    params: idParams('imageId'),
+    body: object({ tags: tagsField({ minItems: 1 }) }, ['tags'])
+}), async (req, res) => {
+    const tags = readTags(req.body.tags);
+
+    try {
+        const image = await findOwnedImage(req.params.imageId, req.user.userId);
+        if (!image) return imageNotFound(res);
+
+        res.json({ success: true, tags: await creations.addTags(image, tags) });
+    } catch (err) {
+        if (err.status === 400) return res.status(400).json({ error: err.message });
+        console.error('❌ [/api/images/:imageId/tags POST] Error:', err);
+        res.status(500).json({ error: 'Failed to add tags', details: err.message });
+    }
+});
+
+// API thay toàn bộ tag của ảnh (mảng rỗng để xoá hết)
+app.put('/api/images/:imageId/tags', protect, validateRequest({
+    summary: 'Replace the tags of an image (an empty array removes all)',
+    tags: ['Creations'],
+    params: idParams('imageId'),
+    body: object({ tags: tagsField() }, ['tags'])
+}), async (req, res) => {
+    const tags = readTags(req.body.tags);
+
+    try {
+        const image = await findOwnedImage(req.params.imageId, req.user.userId);
+        if (!image) return imageNotFound(res);
+
+        res.json({ success: true, tags: await creations.setTags(image, tags) });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/tags PUT] Error:', err);
+        res.status(500).json({ error: 'Failed to set tags', details: err.message });
+    }
+});
+
+// API gỡ một tag khỏi ảnh
+app.delete('/api/images/:imageId/tags/:tag', protect, validateRequest({
+    summary: 'Remove a tag from an image',
+    tags: ['Creations'],
+    params: object({ imageId: uuid(), tag: nonBlank(MAX_TAG_LENGTH) }, ['imageId', 'tag'])
+}), async (req, res) => {
+    const tag = normalizeTag(req.params.tag);
+
+    try {
+        const image = await findOwnedImage(req.params.imageId, req.user.userId);
+        if (!image) return imageNotFound(res);
+
+        res.json({ success: true, tags: await creations.removeTag(image, tag) });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/tags DELETE] Error:', err);
+        res.status(500).json({ error: 'Failed to remove tag', details: err.message });
+    }
+});
 
-        if (dbError) {
-            console.error('Database save error:', dbError);
-            throw dbError;
+// API đánh dấu / bỏ đánh dấu ảnh yêu thích
+const favoriteHandler = (favorite) => async (req, res) => {
+    try {
+        const image = await findOwnedImage(req.params.imageId, req.user.userId);
+        if (!image) return imageNotFound(res);
+
+        const updated = await creations.setFavorite(image.id, favorite);
+        res.json({ success: true, isFavorite: updated.is_favorite, favoritedAt: updated.favorited_at });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/favorite] Error:', err);
+        res.status(500).json({ error: 'Failed to update favorite', details: err.message });
+    }
+};
+
+app.put('/api/images/:imageId/favorite', protect, validateRequest({
+    summary: 'Mark an image as favorite',
+    tags: ['Creations'],
+    params: idParams('imageId')
+}), favoriteHandler(true));
+app.delete('/api/images/:imageId/favorite', protect, validateRequest({
+    summary: 'Unmark an image as favorite',
+    tags: ['Creations'],
+    params: idParams('imageId')
+}), favoriteHandler(false));
+
+// API xóa hình ảnh
+app.delete('/api/images/:imageId', protect, validateRequest({
+    summary: 'Move an image to the trash',
+    tags: ['Creations'],
+    params: idParams('imageId')
+}), async (req, res) => {
+    console.log('=== 🗑️ DELETE IMAGE API HIT ===');
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+    
+    console.log('Delete request details:', {
+        userId,
+        imageId,
+        auth: req.user.apiKeyId ? `api key ${req.user.apiKeyId}` : 'session'
+    });
+    
+    try {
+        // Kiểm tra xem hình ảnh có thuộc về user này không
+        // (ảnh bị ẩn phải được giữ lại cho đến khi kiểm duyệt xong)
+        const { data: image, error: fetchError } = await supabase
+            .from('images')
+            .select('*')
+            .eq('id', imageId)
+            .eq('user_id', userId)
+            .neq('moderation_status', 'hidden')
+            .is('deleted_at', null)
+            .maybeSingle();
+            
+        console.log('Image fetch result:', { image, fetchError });
+            
+        if (fetchError) {
+            console.error('Fetch error:', fetchError);
+            throw fetchError;
+        }
+        
+        if (!image) {
+            console.log('Image not found or not owned by user');
+            return res.status(404).json({ 
+                success: false,
+                error: 'Hình ảnh không tồn tại hoặc không thuộc về bạn.' 
+            });
         }
 
-        console.log(`[Generate Image] Success for user ${userId}: ${imageUrl}`);
+        // Gỡ ảnh khỏi mọi bộ sưu tập (khôi phục từ thùng rác không thêm lại)
+        await collections.removeImageEverywhere(imageId);
+
+        // Chuyển vào thùng rác; file và record bị xoá hẳn sau TRASH_RETENTION_DAYS ngày
+        const trashed = await trash.moveToTrash(image);
+
+        console.log(`✅ [Delete Image] User ${userId} moved image ${imageId} to trash`);
         
-        // Ghi log hoạt động generate
-        await logActivity(userId, 'generate', imageRecord.id, { prompt: prompt.substring(0, 100) });
+        // Ghi log hoạt động delete
+        await logActivity(userId, 'delete', imageId, { imageUrl: image.image_url });
         
+        res.json({ 
+            success: true, 
+            message: 'Hình ảnh đã được chuyển vào thùng rác.',
+            purgeAt: trash.purgeAt(trashed)
+        });
+
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId DELETE] Error:', err);
+        res.status(500).json({ 
+            success: false,
+            error: 'Lỗi hệ thống trong quá trình xóa hình ảnh.',
+            details: err.message 
+        });
+    }
+});
+
+// --- THÙNG RÁC ---
+
+// Ghi log 'purge' cho từng ảnh bị xoá hẳn (image_id để trống vì record không còn)
+const logPurgedImages = async (images, source) => {
+    for (const image of images) {
+        await logActivity(image.user_id, 'purge', null, { imageId: image.id, imageUrl: image.image_url, source });
+    }
+};
+
+// API danh sách ảnh trong thùng rác (mới xoá trước), kèm thời điểm sẽ bị xoá hẳn
+app.get('/api/trash', protect, validateRequest({
+    summary: 'Images in the trash with their purge date',
+    tags: ['Trash'],
+    query: object(pagination())
+}), async (req, res) => {
+    const { page, limit } = req.query;
+
+    try {
+        const { images, total } = await trash.list(req.user.userId, { offset: (page - 1) * limit, limit });
         res.json({
             success: true,
-            imageUrl: imageUrl,
-            imageId: imageRecord.id,
-            message: 'Image generated successfully'
+            images: await withImageUrls(images),
+            retentionDays: trash.retentionDays,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                total,
+                limit
+            }
         });
+    } catch (err) {
+        console.error('❌ [/api/trash GET] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch trash', details: err.message });
+    }
+});
 
-    } catch (error) {
-        console.error('[Generate Image] Error:', error);
-        res.status(500).json({
-            error: 'Failed to generate image',
-            details: error.message
-        });
+// API khôi phục ảnh từ thùng rác
+app.post('/api/images/:imageId/restore', protect, validateRequest({
+    summary: 'Restore an image from the trash',
+    tags: ['Trash'],
+    params: idParams('imageId')
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    try {
+        const image = await trash.findTrashed(userId, imageId);
+        if (!image) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy hình ảnh trong thùng rác.' });
+        }
+
+        const restored = await trash.restore(image);
+        await logActivity(userId, 'restore', imageId, { imageUrl: image.image_url });
+
+        console.log(`✅ [Restore Image] User ${userId} restored image ${imageId}`);
+        const [presented] = await withImageUrls([restored]);
+        res.json({ success: true, image: presented });
+    } catch (err) {
+        console.error('❌ [/api/images/:imageId/restore] Error:', err);
+        res.status(500).json({ error: 'Failed to restore image', details: err.message });
     }
 });
 
-app.get('/api/my-creations', protect, async (req, res) => {
+// API xoá hẳn một ảnh trong thùng rác
+app.delete('/api/trash/:imageId', protect, validateRequest({
+    summary: 'Permanently delete an image in the trash',
+    tags: ['Trash'],
+    params: idParams('imageId')
+}), async (req, res) => {
     const userId = req.user.userId;
+
     try {
-        const { data, error } = await supabase.from('images').select('*').eq('user_id', userId).order('created_at', { ascending: false });
-        if (error) throw error;
-        res.json(data);
+        const image = await trash.findTrashed(userId, req.params.imageId);
+        if (!image) {
+            return res.status(404).json({ success: false, error: 'Không tìm thấy hình ảnh trong thùng rác.' });
+        }
+
+        const purged = await trash.purge([image]);
+        await logPurgedImages(purged, 'user');
+        res.json({ success: true, purged: purged.length });
+    } catch (err) {
+        console.error('❌ [/api/trash/:imageId DELETE] Error:', err);
+        res.status(500).json({ error: 'Failed to delete image permanently', details: err.message });
+    }
+});
+
+// API dọn sạch thùng rác
+app.delete('/api/trash', protect, validateRequest({
+    summary: 'Empty the trash',
+    tags: ['Trash']
+}), async (req, res) => {
+    const userId = req.user.userId;
+
+    try {
+        const purged = await trash.empty(userId);
+        await logPurgedImages(purged, 'user');
+
+        console.log(`✅ [Empty Trash] User ${userId} purged ${purged.length} image(s)`);
+        res.json({ success: true, purged: purged.length });
+    } catch (err) {
+        console.error('❌ [/api/trash DELETE] Error:', err);
+        res.status(500).json({ error: 'Failed to empty trash', details: err.message });
+    }
+});
+
+// --- THAO TÁC HÀNG LOẠT & TẢI XUỐNG ---
+
+const IMAGE_CONTENT_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+const imageExtension = (image) => {
+    const extension = image.file_path?.split('.').pop()?.toLowerCase();
+    return IMAGE_CONTENT_TYPES[extension] ? extension : 'png';
+};
+
+// Tham số sinh ảnh ghi vào manifest.json của file export
+const toManifestEntry = (image, file) => ({
+    id: image.id,
+    file,
+    prompt: image.prompt,
+    negativePrompt: image.negative_prompt || null,
+    width: image.width,
+    height: image.height,
+    seed: image.seed,
+    steps: image.steps,
+    guidanceScale: image.guidance_scale,
+    sampler: image.sampler,
+    editType: image.edit_type || null,
+    strength: image.strength ?? null,
+    parentImageId: image.parent_image_id || null,
+    imageUrl: image.image_url,
+    createdAt: image.created_at
+});
+
+// API chuyển nhiều ảnh vào thùng rác
+app.post('/api/images/bulk-delete', protect, validateRequest({
+    summary: 'Move several images to the trash',
+    tags: ['Creations'],
+    body: IMAGE_IDS_BODY
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const imageIds = uniqueImageIds(req.body.imageIds);
+
+    try {
+        const { images, notFound } = await findOwnedImages(imageIds, userId);
+
+        for (const image of images) {
+            await collections.removeImageEverywhere(image.id);
+            await trash.moveToTrash(image);
+            await logActivity(userId, 'delete', image.id, { imageUrl: image.image_url, bulk: true });
+        }
+
+        console.log(`✅ [Bulk Delete] User ${userId} moved ${images.length} image(s) to trash`);
+        res.json({ success: true, deleted: images.length, notFound });
+    } catch (err) {
+        console.error('❌ [/api/images/bulk-delete] Error:', err);
+        res.status(500).json({ error: 'Failed to delete images', details: err.message });
+    }
+});
+
+// API thêm nhiều ảnh vào một bộ sưu tập và / hoặc gắn tag cho chúng
+app.post('/api/images/bulk-move', protect, validateRequest({
+    summary: 'Add several images to a collection and / or tag them',
+    description: 'At least one of collectionId and tags is required.',
+    tags: ['Creations'],
+    body: object({ imageIds: imageIdsField(), collectionId: uuid(), tags: tagsField() }, ['imageIds'])
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { collectionId } = req.body;
+    const imageIds = uniqueImageIds(req.body.imageIds);
+    if (!collectionId && req.body.tags === undefined) {
+        return sendValidationErrors(res, ['collectionId or tags is required']);
+    }
+    const tags = readTags(req.body.tags || []);
+
+    try {
+        const collection = collectionId ? await collections.get(userId, collectionId) : null;
+        if (collectionId && !collection) return collectionNotFound(res);
+
+        const { images, notFound } = await findOwnedImages(imageIds, userId);
+        const result = { success: true, notFound };
+
+        if (collection) {
+            const { added } = await collections.addImages(collection, userId, images.map((image) => image.id));
+            result.collection = { id: collection.id, added };
+        }
+
+        if (tags.length > 0) {
+            // Ảnh đã đủ số tag tối đa được bỏ qua, không làm hỏng cả lô
+            const tagLimitReached = [];
+            for (const image of images) {
+                try {
+                    await creations.addTags(image, tags);
+                } catch (err) {
+                    if (err.status !== 400) throw err;
+                    tagLimitReached.push(image.id);
+                }
+            }
+            result.tagged = images.length - tagLimitReached.length;
+            result.tagLimitReached = tagLimitReached;
+        }
+
+        res.json(result);
     } catch (err) {
-        res.status(500).json({ error: 'Failed to fetch creations.' });
+        console.error('❌ [/api/images/bulk-move] Error:', err);
+        res.status(500).json({ error: 'Failed to move images', details: err.message });
     }
 });
 
-// API xóa hình ảnh
-app.delete('/api/images/:imageId', protect, async (req, res) => {
-    console.log('=== 🗑️ DELETE IMAGE API HIT ===');
+// API tải nhiều ảnh dưới dạng ZIP (stream), kèm manifest.json chứa prompt và tham số sinh ảnh
+app.post('/api/images/export', protect, validateRequest({
+    summary: 'Download several images as a ZIP with a manifest.json of their parameters',
+    tags: ['Creations'],
+    body: IMAGE_IDS_BODY,
+    responses: { 200: 'ZIP file' }
+}), async (req, res) => {
     const userId = req.user.userId;
-    const { imageId } = req.params;
-    
-    console.log('Delete request details:', {
-        userId,
-        imageId,
-        headers: {
-            'authorization': req.headers.authorization?.substring(0, 30) + '...'
-        }
-    });
-    
+    const imageIds = uniqueImageIds(req.body.imageIds);
+
+    let images;
     try {
-        // Kiểm tra xem hình ảnh có thuộc về user này không
-        const { data: image, error: fetchError } = await supabase
-            .from('images')
-            .select('*')
-            .eq('id', imageId)
-            .eq('user_id', userId)
-            .single();
-            
-        console.log('Image fetch result:', { image, fetchError });
-            
-        if (fetchError) {
-            console.error('Fetch error:', fetchError);
-            throw fetchError;
-        }
-        
-        if (!image) {
-            console.log('Image not found or not owned by user');
-            return res.status(404).json({ 
+        const owned = await findOwnedImages(imageIds, userId);
+        if (owned.notFound.length > 0) {
+            return res.status(404).json({
                 success: false,
-                error: 'Hình ảnh không tồn tại hoặc không thuộc về bạn.' 
+                error: 'Một số hình ảnh không tồn tại hoặc không thuộc về bạn.',
+                notFound: owned.notFound
             });
         }
+        images = owned.images;
+    } catch (err) {
+        console.error('❌ [/api/images/export] Error:', err);
+        return res.status(500).json({ error: 'Failed to export images', details: err.message });
+    }
 
-        // Xóa file khỏi storage
-        if (image.file_path) {
-            console.log('Deleting from storage:', image.file_path);
-            const { error: storageError } = await supabase.storage
-                .from('images')
-                .remove([image.file_path]);
-                
-            if (storageError) {
-                console.error('Storage delete error:', storageError);
-                // Tiếp tục xóa record khỏi database dù có lỗi storage
-            } else {
-                console.log('Storage deletion successful');
+    const exportedAt = new Date();
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="dreamina-export-${exportedAt.toISOString().slice(0, 10)}.zip"`);
+
+    const zip = createZipWriter(res);
+    const manifest = [];
+
+    try {
+        for (const [index, image] of images.entries()) {
+            const file = `images/${String(index + 1).padStart(3, '0')}-${image.id}.${imageExtension(image)}`;
+            try {
+                const data = await downloadImageFile(image.file_path);
+                await zip.addFile(file, data, new Date(image.created_at));
+            } catch (err) {
+                if (err.code === 'ZIP_ABORTED') throw err;
+                // Headers đã gửi: ghi lỗi vào manifest thay vì huỷ cả file ZIP
+                console.error(`❌ [Export] Failed to read ${image.file_path}:`, err.message);
+                manifest.push({ ...toManifestEntry(image, null), error: 'File not available' });
+                continue;
             }
+            manifest.push(toManifestEntry(image, file));
+            await logActivity(userId, 'download', image.id, { source: 'export' });
         }
 
-        // Xóa record khỏi database
-        console.log('Deleting from database...');
-        const { error: deleteError } = await supabase
-            .from('images')
-            .delete()
-            .eq('id', imageId)
-            .eq('user_id', userId);
-            
-        if (deleteError) {
-            console.error('Database delete error:', deleteError);
-            throw deleteError;
+        const manifestJson = JSON.stringify({ exportedAt: exportedAt.toISOString(), count: manifest.length, images: manifest }, null, 2);
+        await zip.addFile('manifest.json', Buffer.from(manifestJson, 'utf8'), exportedAt);
+        await zip.finish();
+
+        console.log(`✅ [Export] User ${userId} exported ${images.length} image(s)`);
+    } catch (err) {
+        if (err.code === 'ZIP_ABORTED') {
+            console.log(`⚠️ [Export] User ${userId} cancelled the download`);
+            return;
         }
+        console.error('❌ [/api/images/export] Stream error:', err);
+        res.destroy(err);
+    }
+});
 
-        console.log(`✅ [Delete Image] User ${userId} deleted image ${imageId} successfully`);
-        
-        // Ghi log hoạt động delete
-        await logActivity(userId, 'delete', imageId, { imageUrl: image.image_url });
-        
-        res.json({ 
-            success: true, 
-            message: 'Hình ảnh đã được xóa thành công!' 
-        });
+// API tải một ảnh (server ghi log download)
+app.get('/api/images/:imageId/download', protect, validateRequest({
+    summary: 'Download one image',
+    tags: ['Creations'],
+    params: idParams('imageId'),
+    responses: { 200: 'Image file' }
+}), async (req, res) => {
+    const userId = req.user.userId;
+    const { imageId } = req.params;
+
+    try {
+        const image = await findOwnedImage(imageId, userId);
+        if (!image) return imageNotFound(res);
+
+        const extension = imageExtension(image);
+        const data = await downloadImageFile(image.file_path);
+        await logActivity(userId, 'download', imageId, { source: 'single' });
 
+        res.setHeader('Content-Type', IMAGE_CONTENT_TYPES[extension]);
+        res.setHeader('Content-Disposition', `attachment; filename="dreamina-${imageId}.${extension}"`);
+        res.send(data);
     } catch (err) {
-        console.error('❌ [/api/images/:imageId DELETE] Error:', err);
-        res.status(500).json({ 
-            success: false,
-            error: 'Lỗi hệ thống trong quá trình xóa hình ảnh.',
-            details: err.message 
-        });
+        console.error('❌ [/api/images/:imageId/download] Error:', err);
+        res.status(500).json({ error: 'Failed to download image', details: err.message });
     }
 });
 
-app.get('/api/profile', protect, async (req, res) => {
+app.get('/api/profile', protect, validateRequest({
+    summary: 'Your profile',
+    tags: ['Profile']
+}), async (req, res) => {
     const userId = req.user.userId;
     try {
         const { data, error } = await supabase.from('users').select('id, full_name, email, bio, avatar_url, created_at').eq('id', userId).single();
@@ -604,10 +3940,34 @@ app.get('/api/profile', protect, async (req, res) => {
     }
 });
 
+// API lịch sử đình chỉ tài khoản của chính user
+app.get('/api/profile/suspensions', protect, validateRequest({
+    summary: 'Suspension history of your account',
+    tags: ['Profile']
+}), async (req, res) => {
+    try {
+        const history = await suspensions.listForUser(req.user.userId);
+        res.json({ success: true, suspensions: history.map(describeSuspension) });
+    } catch (err) {
+        console.error('[/api/profile/suspensions] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch suspensions', details: err.message });
+    }
+});
+
 app.patch(
     '/api/profile', 
     protect, 
     upload.single('avatar'), // Middleware của Multer để xử lý 1 file tên là 'avatar'
+    validateRequest({
+        summary: 'Update your name, bio or avatar',
+        tags: ['Profile'],
+        body: object({
+            name: string({ maxLength: 100 }),
+            bio: string({ maxLength: 1000 }),
+            avatar: binary()
+        }),
+        multipart: true
+    }),
     async (req, res) => {
         const userId = req.user.userId;
         const { name, bio } = req.body;
@@ -620,14 +3980,8 @@ app.patch(
                 const file = req.file;
                 const filePath = `${userId}/${Date.now()}_${file.originalname}`;
 
-                const { error: uploadError } = await supabase.storage
-                    .from('avatars') // Upload vào bucket 'avatars'
-                    .upload(filePath, file.buffer, { contentType: file.mimetype });
-
-                if (uploadError) throw uploadError;
-
-                const { data: publicUrlData } = supabase.storage.from('avatars').getPublicUrl(filePath);
-                avatarUrl = publicUrlData.publicUrl;
+                await storage.put('avatars', filePath, file.buffer, { contentType: file.mimetype });
+                avatarUrl = storage.url('avatars', filePath);
                 console.log(`[Server] New avatar URL: ${avatarUrl}`);
             }
 
@@ -661,16 +4015,14 @@ app.patch(
 );
 
 // API đổi mật khẩu
-app.patch('/api/change-password', protect, async (req, res) => {
+app.patch('/api/change-password', protect, validateRequest({
+    summary: 'Change your password (other sessions are logged out)',
+    tags: ['Profile'],
+    body: object({ currentPassword: PASSWORD_FIELD, newPassword: PASSWORD_FIELD }, ['currentPassword', 'newPassword'])
+}), async (req, res) => {
     const userId = req.user.userId;
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-        return res.status(400).json({ 
-            error: 'Vui lòng cung cấp mật khẩu hiện tại và mật khẩu mới.' 
-        });
-    }
-
     // Validate password strength
     const passwordValidation = validatePassword(newPassword);
     if (!passwordValidation.isValid) {
@@ -715,10 +4067,18 @@ app.patch('/api/change-password', protect, async (req, res) => {
         if (updateError) throw updateError;
 
         console.log(`[Change Password] User ${userId} changed password successfully`);
+
+        // Thu hồi mọi phiên cũ, cấp phiên mới cho thiết bị hiện tại
+        await sessions.revokeAllForUser(userId, 'password_change');
+        const tokens = await sessions.createSession({ id: userId, email: req.user.email, role: req.user.role }, {
+            userAgent: req.headers['user-agent'],
+            ip: req.ip
+        });
         
         res.json({ 
             success: true, 
-            message: 'Mật khẩu đã được thay đổi thành công!' 
+            message: 'Mật khẩu đã được thay đổi thành công!',
+            ...tokens
         });
 
     } catch (err) {
@@ -730,10 +4090,301 @@ app.patch('/api/change-password', protect, async (req, res) => {
     }
 });
 
+// --- API KEY CÁ NHÂN ---
+// Quản lý key chỉ dùng JWT của trình duyệt: các route này không nằm trong API_KEY_ROUTE_SCOPES nên key tự bị từ chối
+
+const API_KEY_NAME_FIELD = nonBlank(MAX_API_KEY_NAME_LENGTH);
+
+app.get('/api/api-keys', protect, validateRequest({
+    summary: 'List your API keys and the available scopes',
+    tags: ['API keys']
+}), async (req, res) => {
+    try {
+        res.json({ success: true, apiKeys: await apiKeys.list(req.user.userId), scopes: API_KEY_SCOPES });
+    } catch (err) {
+        console.error('❌ [/api/api-keys GET] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch API keys', details: err.message });
+    }
+});
+
+// Tạo key { name, scopes, expiresInDays? }; giá trị key chỉ được trả về một lần ở đây
+app.post('/api/api-keys', protect, validateRequest({
+    summary: 'Create an API key (the key is only returned in this response)',
+    tags: ['API keys'],
+    body: object({
+        name: API_KEY_NAME_FIELD,
+        scopes: array(oneOf(API_KEY_SCOPES), { minItems: 1 }),
+        expiresInDays: integer({ minimum: 1, maximum: MAX_API_KEY_EXPIRY_DAYS, nullable: true, description: 'Omit for a key that does not expire' })
+    }, ['name', 'scopes']),
+    responses: { 201: 'Created' }
+}), async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    try {
+        if (await apiKeys.countActive(req.user.userId) >= MAX_API_KEYS_PER_USER) {
+            return res.status(400).json({ error: `You can have at most ${MAX_API_KEYS_PER_USER} active API keys` });
+        }
+        const { apiKey, key } = await apiKeys.create(req.user.userId, {
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null
+        });
+        console.log(`✅ API key ${apiKey.id} created for user ${req.user.userId}`);
+        res.status(201).json({ success: true, apiKey, key });
+    } catch (err) {
+        console.error('❌ [/api/api-keys POST] Error:', err);
+        res.status(500).json({ error: 'Failed to create API key', details: err.message });
+    }
+});
+
+// Đổi tên key
+app.patch('/api/api-keys/:keyId', protect, validateRequest({
+    summary: 'Rename an API key',
+    tags: ['API keys'],
+    params: idParams('keyId'),
+    body: object({ name: API_KEY_NAME_FIELD }, ['name'])
+}), async (req, res) => {
+    try {
+        const existing = await apiKeys.get(req.user.userId, req.params.keyId);
+        if (!existing) return res.status(404).json({ success: false, error: 'API key not found' });
+
+        res.json({ success: true, apiKey: await apiKeys.rename(existing.id, req.body.name.trim()) });
+    } catch (err) {
+        console.error('❌ [/api/api-keys/:keyId PATCH] Error:', err);
+        res.status(500).json({ error: 'Failed to update API key', details: err.message });
+    }
+});
+
+// Thu hồi key (giữ lại bản ghi để lịch sử hoạt động vẫn biết key nào đã được dùng)
+app.delete('/api/api-keys/:keyId', protect, validateRequest({
+    summary: 'Revoke an API key',
+    tags: ['API keys'],
+    params: idParams('keyId')
+}), async (req, res) => {
+    try {
+        const existing = await apiKeys.get(req.user.userId, req.params.keyId);
+        if (!existing) return res.status(404).json({ success: false, error: 'API key not found' });
+
+        await apiKeys.revoke(existing.id);
+        console.log(`✅ API key ${existing.id} revoked by user ${req.user.userId}`);
+        res.json({ success: true, message: 'API key revoked' });
+    } catch (err) {
+        console.error('❌ [/api/api-keys/:keyId DELETE] Error:', err);
+        res.status(500).json({ error: 'Failed to revoke API key', details: err.message });
+    }
+});
+
+// --- WEBHOOKS ---
+
+const WEBHOOK_FIELDS = {
+    url: string({ maxLength: 2000, description: 'http(s) URL; user webhooks cannot point to private or local addresses' }),
+    events: array(oneOf(WEBHOOK_EVENT_TYPES), { minItems: 1 }),
+    description: string({ maxLength: MAX_WEBHOOK_DESCRIPTION_LENGTH, nullable: true })
+};
+
+const WEBHOOK_PARAMS = idParams('webhookId');
+const DELIVERY_PARAMS = idParams('webhookId', 'deliveryId');
+
+// Trường của webhook từ body đã qua validateRequest; url được kiểm tra thêm ở đây
+// vì webhook admin được phép trỏ vào mạng nội bộ
+const readWebhookFields = (body, scope) => {
+    const errors = [];
+    const fields = {};
+
+    if (body.url !== undefined) {
+        const urlError = validateWebhookUrl(body.url, scope === 'admin' ? { allowPrivate: true } : undefined);
+        if (urlError) errors.push(urlError);
+        else fields.url = body.url;
+    }
+    if (body.events !== undefined) fields.events = [...new Set(body.events)];
+    if (body.description !== undefined) fields.description = body.description?.trim() || null;
+    if (body.active !== undefined) fields.active = body.active;
+
+    return { errors, fields };
+};
+
+// Middleware: tải webhook trong phạm vi của user vào req.webhook
+const loadWebhook = (scope) => async (req, res, next) => {
+    try {
+        const webhook = await webhooks.get(scope, req.user.userId, req.params.webhookId);
+        if (!webhook) return res.status(404).json({ success: false, error: 'Webhook not found' });
+        req.webhook = webhook;
+        next();
+    } catch (err) {
+        console.error('❌ [loadWebhook] Error:', err);
+        res.status(500).json({ error: 'Failed to fetch webhook', details: err.message });
+    }
+};
+
+// Cùng một bộ API cho webhook của user (/api/webhooks) và webhook admin (/api/admin/webhooks)
+for (const [base, auth, scope] of [['/api/webhooks', protect, 'user'], ['/api/admin/webhooks', requireRole('admin'), 'admin']]) {
+    const load = loadWebhook(scope);
+    const tags = [scope === 'admin' ? 'Admin: webhooks' : 'Webhooks'];
+
+    // Các loại event có thể đăng ký
+    app.get(`${base}/events`, auth, validateRequest({ summary: 'Event types that can be subscribed to', tags }), (req, res) => {
+        res.json({ success: true, events: WEBHOOK_EVENT_TYPES });
+    });
+
+    app.get(base, auth, validateRequest({ summary: 'List webhooks', tags }), async (req, res) => {
+        try {
+            res.json({ success: true, webhooks: await webhooks.list(scope, req.user.userId) });
+        } catch (err) {
+            console.error(`❌ [${base} GET] Error:`, err);
+            res.status(500).json({ error: 'Failed to fetch webhooks', details: err.message });
+        }
+    });
+
+    // Secret chỉ được trả về một lần ở đây (và khi đổi secret)
+    app.post(base, auth, validateRequest({
+        summary: 'Create a webhook (the signing secret is only returned in this response)',
+        tags,
+        body: object(WEBHOOK_FIELDS, ['url', 'events']),
+        responses: { 201: 'Created' }
+    }), async (req, res) => {
+        const { errors, fields } = readWebhookFields(req.body, scope);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        try {
+            if (await webhooks.count(scope, req.user.userId) >= MAX_WEBHOOKS_PER_USER) {
+                return res.status(400).json({ error: `You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks` });
+            }
+            const webhook = await webhooks.create(scope, req.user.userId, fields);
+            res.status(201).json({ success: true, webhook: toPublicWebhook(webhook), secret: webhook.secret });
+        } catch (err) {
+            console.error(`❌ [${base} POST] Error:`, err);
+            res.status(500).json({ error: 'Failed to create webhook', details: err.message });
+        }
+    });
+
+    app.get(`${base}/:webhookId`, auth, validateRequest({ summary: 'Get a webhook', tags, params: WEBHOOK_PARAMS }), load, (req, res) => {
+        res.json({ success: true, webhook: toPublicWebhook(req.webhook) });
+    });
+
+    // Cập nhật url / events / description / active; rotateSecret: true để tạo secret mới
+    app.patch(`${base}/:webhookId`, auth, validateRequest({
+        summary: 'Update a webhook, or rotate its signing secret',
+        tags,
+        params: WEBHOOK_PARAMS,
+        body: object({
+            ...WEBHOOK_FIELDS,
+            active: boolean(),
+            rotateSecret: boolean({ description: 'Create a new secret, returned only in this response' })
+        })
+    }), load, async (req, res) => {
+        const { errors, fields } = readWebhookFields(req.body, scope);
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+        const rotateSecret = req.body.rotateSecret === true;
+        if (Object.keys(fields).length === 0 && !rotateSecret) {
+            return res.status(400).json({ error: 'Nothing to update' });
+        }
+
+        try {
+            const webhook = await webhooks.update(req.webhook.id, rotateSecret ? { ...fields, secret: newWebhookSecret() } : fields);
+            res.json({ success: true, webhook: toPublicWebhook(webhook), ...(rotateSecret ? { secret: webhook.secret } : {}) });
+        } catch (err) {
+            console.error(`❌ [${base}/:webhookId PATCH] Error:`, err);
+            res.status(500).json({ error: 'Failed to update webhook', details: err.message });
+        }
+    });
+
+    app.delete(`${base}/:webhookId`, auth, validateRequest({ summary: 'Delete a webhook', tags, params: WEBHOOK_PARAMS }), load, async (req, res) => {
+        try {
+            await webhooks.remove(req.webhook.id);
+            res.json({ success: true });
+        } catch (err) {
+            console.error(`❌ [${base}/:webhookId DELETE] Error:`, err);
+            res.status(500).json({ error: 'Failed to delete webhook', details: err.message });
+        }
+    });
+
+    // Gửi thử event webhook.ping và trả về kết quả lần gửi đầu tiên
+    app.post(`${base}/:webhookId/ping`, auth, validateRequest({
+        summary: 'Send a webhook.ping event and return the first attempt',
+        tags,
+        params: WEBHOOK_PARAMS
+    }), load, async (req, res) => {
+        try {
+            const delivery = await webhooks.ping(req.webhook);
+            res.json({ success: delivery.status === 'succeeded', delivery });
+        } catch (err) {
+            console.error(`❌ [${base}/:webhookId/ping] Error:`, err);
+            res.status(500).json({ error: 'Failed to ping webhook', details: err.message });
+        }
+    });
+
+    app.get(`${base}/:webhookId/deliveries`, auth, validateRequest({
+        summary: 'Delivery log of a webhook',
+        tags,
+        params: WEBHOOK_PARAMS,
+        query: object({ status: oneOf(DELIVERY_STATUSES), ...pagination() })
+    }), load, async (req, res) => {
+        const { status, page, limit } = req.query;
+
+        try {
+            const { deliveries, total } = await webhooks.listDeliveries(req.webhook.id, { status, offset: (page - 1) * limit, limit });
+            res.json({
+                success: true,
+                deliveries,
+                pagination: {
+                    currentPage: page,
+                    totalPages: Math.ceil(total / limit),
+                    total,
+                    limit
+                }
+            });
+        } catch (err) {
+            console.error(`❌ [${base}/:webhookId/deliveries] Error:`, err);
+            res.status(500).json({ error: 'Failed to fetch deliveries', details: err.message });
+        }
+    });
+
+    // Chi tiết một lần gửi, kèm payload
+    app.get(`${base}/:webhookId/deliveries/:deliveryId`, auth, validateRequest({
+        summary: 'A delivery with its payload',
+        tags,
+        params: DELIVERY_PARAMS
+    }), load, async (req, res) => {
+        try {
+            const delivery = await webhooks.getDelivery(req.webhook.id, req.params.deliveryId);
+            if (!delivery) return res.status(404).json({ success: false, error: 'Delivery not found' });
+            res.json({ success: true, delivery });
+        } catch (err) {
+            console.error(`❌ [${base}/:webhookId/deliveries/:deliveryId] Error:`, err);
+            res.status(500).json({ error: 'Failed to fetch delivery', details: err.message });
+        }
+    });
+
+    // Gửi lại payload của một lần gửi cũ (tạo delivery mới, replay_of trỏ về bản gốc)
+    app.post(`${base}/:webhookId/deliveries/:deliveryId/replay`, auth, validateRequest({
+        summary: 'Send the payload of a delivery again',
+        tags,
+        params: DELIVERY_PARAMS
+    }), load, async (req, res) => {
+        try {
+            const original = await webhooks.getDelivery(req.webhook.id, req.params.deliveryId);
+            if (!original) return res.status(404).json({ success: false, error: 'Delivery not found' });
+
+            const delivery = await webhooks.replay(req.webhook, original);
+            res.json({ success: delivery.status === 'succeeded', delivery });
+        } catch (err) {
+            console.error(`❌ [${base}/:webhookId/deliveries/:deliveryId/replay] Error:`, err);
+            res.status(500).json({ error: 'Failed to replay delivery', details: err.message });
+        }
+    });
+}
+
 // --- API LỊCH SỬ HOẠT ĐỘNG ---
 
 // Test endpoint to check if activities table exists
-app.get('/api/test-activities', protect, async (req, res) => {
+app.get('/api/test-activities', protect, validateRequest({
+    summary: 'Check that the activities table exists',
+    tags: ['Activities']
+}), async (req, res) => {
     console.log('=== 🧪 TEST ACTIVITIES TABLE ===');
     try {
         const { data, error } = await supabase
@@ -768,106 +4419,138 @@ app.get('/api/test-activities', protect, async (req, res) => {
     }
 });
 
-// API lấy lịch sử hoạt động của user
-app.get('/api/activities', protect, async (req, res) => {
-    console.log('=== 📋 GET USER ACTIVITIES API ===');
-    const userId = req.user.userId;
-    const { page = 1, limit = 20, action = '' } = req.query;
-    const offset = (page - 1) * limit;
-    
-    try {
-        // First check if activities table exists by trying a simple query
-        const { data: testData, error: testError } = await supabase
-            .from('activities')
-            .select('id')
-            .limit(1);
-            
-        if (testError) {
-            console.error('❌ Activities table does not exist or has issues:', testError);
-            return res.status(500).json({ 
-                error: 'Activities table not found', 
-                details: 'Please create the activities table first by running the SQL script in create_activity_table.sql',
-                suggestion: 'Go to Supabase SQL Editor and run the create_activity_table.sql script'
-            });
-        }
-        
-        let query = supabase
-            .from('activities')
-            .select(`
-                id,
-                action,
-                image_id,
-                timestamp,
-                additional_data,
-                images (
-                    id,
-                    prompt,
-                    image_url
-                )
-            `)
-            .eq('user_id', userId)
-            .order('timestamp', { ascending: false });
-            
-        // Lọc theo action nếu có
-        if (action) {
-            query = query.eq('action', action);
-        }
-        
-        // Phân trang
-        query = query.range(offset, offset + parseInt(limit) - 1);
-        
-        const { data: activities, error, count } = await query;
-        
-        if (error) {
-            console.error('❌ Query activities error:', error);
-            throw error;
+// Query đã qua validateRequest (ACTIVITY_FILTER_FIELDS) -> filters cho activityHistory; trả về { errors, filters }
+const readActivityFilters = (query) => {
+    const errors = [];
+    const filters = {};
+
+    const actions = [...new Set(query.action || [])];
+    if (actions.length > 0) filters.actions = actions;
+
+    for (const key of ['from', 'to']) {
+        if (query[key] === undefined || query[key] === '') continue;
+        const date = new Date(query[key]);
+        if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+            // Chỉ có ngày: tính hết ngày đó
+            filters.to = new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1).toISOString();
+        } else {
+            filters[key] = date.toISOString();
         }
-        
-        // Đếm tổng số activities
-        let countQuery = supabase
-            .from('activities')
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId);
-            
-        if (action) {
-            countQuery = countQuery.eq('action', action);
+    }
+    if (filters.from && filters.to && filters.from > filters.to) errors.push('from must be before to');
+
+    if (query.q?.trim()) filters.q = query.q.trim();
+
+    return { errors, filters };
+};
+
+// Trả về danh sách hoạt động đã lọc, phân trang (dạng response của GET /api/activities)
+const sendActivityPage = async (res, userId, query) => {
+    const { errors, filters } = readActivityFilters(query);
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    const { page, limit } = query;
+    const { activities, total } = await activityHistory.list(userId, filters, { offset: (page - 1) * limit, limit });
+
+    console.log(`✅ Retrieved ${activities.length} activities for user ${userId}`);
+    res.json({
+        success: true,
+        activities: await Promise.all(activities.map(async (activity) => (activity.images
+            ? { ...activity, images: (await withImageUrls([activity.images]))[0] }
+            : activity))),
+        filters,
+        pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalActivities: total,
+            limit
         }
-        
-        const { count: totalActivities } = await countQuery;
-        
-        console.log(`✅ Retrieved ${activities?.length || 0} activities for user ${userId}`);
-        
-        res.json({
-            success: true,
-            activities: activities || [],
-            pagination: {
-                currentPage: parseInt(page),
-                totalPages: Math.ceil((totalActivities || 0) / limit),
-                totalActivities: totalActivities || 0,
-                limit: parseInt(limit)
-            }
-        });
-        
+    });
+};
+
+// Stream toàn bộ lịch sử khớp bộ lọc dạng CSV / JSON
+const sendActivityExport = async (res, userId, query) => {
+    const { format } = query;
+    const { errors, filters } = readActivityFilters(query);
+    if (errors.length > 0) {
+        return sendValidationErrors(res, errors);
+    }
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="activities-${userId}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+
+    const count = await activityHistory.export(userId, filters, format, res);
+    console.log(`✅ Exported ${count} activities for user ${userId} (${format})`);
+};
+
+// Lỗi giữa chừng khi đã gửi headers thì chỉ có thể cắt kết nối
+const handleActivityExportError = (res, err, label) => {
+    console.error(`❌ ${label} Error:`, err);
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: 'Failed to export activities', details: err.message });
+};
+
+// API lấy lịch sử hoạt động của user: action (nhiều giá trị), from, to, q, page, limit
+app.get('/api/activities', protect, validateRequest({
+    summary: 'Your activity history',
+    tags: ['Activities'],
+    query: ACTIVITY_PAGE_QUERY
+}), async (req, res) => {
+    console.log('=== 📋 GET USER ACTIVITIES API ===');
+    try {
+        await sendActivityPage(res, req.user.userId, req.query);
     } catch (error) {
         console.error('❌ Get activities error:', error);
         res.status(500).json({ 
             error: 'Failed to fetch activities', 
             details: error.message,
-            suggestion: 'Make sure the activities table exists in your Supabase database'
+            suggestion: 'Make sure the activities table and the activity_feed view exist in your Supabase database'
         });
     }
 });
 
-// API ghi log hoạt động download (được gọi từ frontend)
-app.post('/api/activities/log', protect, async (req, res) => {
+// API xuất lịch sử hoạt động: format=csv|json cùng các bộ lọc của GET /api/activities
+app.get('/api/activities/export', protect, validateRequest({
+    summary: 'Export your activity history as CSV or JSON',
+    tags: ['Activities'],
+    query: ACTIVITY_EXPORT_QUERY,
+    responses: { 200: 'CSV or JSON file' }
+}), async (req, res) => {
+    try {
+        await sendActivityExport(res, req.user.userId, req.query);
+    } catch (err) {
+        handleActivityExportError(res, err, '[/api/activities/export]');
+    }
+});
+
+// Stream SSE các hoạt động mới của user (event `activity`), phát lại hoạt động bị lỡ theo Last-Event-ID
+app.get('/api/activities/events', allowQueryToken, protect, validateRequest({
+    summary: 'Your new activities (Server-Sent Events), replaying missed ones after Last-Event-ID',
+    tags: ['Activities'],
+    query: SSE_QUERY,
+    responses: { 200: 'text/event-stream' }
+}), (req, res) => {
+    const stream = openEventStream(req, res, { retryMs: FEED_RETRY_MS });
+    activityFeed.attach(stream, { userId: req.user.userId }, readLastEventId(req));
+});
+
+// API ghi log hoạt động do frontend quan sát được (chỉ các action trong CLIENT_ACTIVITY_ACTIONS;
+// download và các action khác do server tự ghi)
+app.post('/api/activities/log', protect, validateRequest({
+    summary: 'Log an activity observed by the client',
+    tags: ['Activities'],
+    body: object({
+        action: oneOf(CLIENT_ACTIVITY_ACTIONS),
+        imageId: uuid({ nullable: true }),
+        additionalData: object({}, [], { maxProperties: 20 })
+    }, ['action'])
+}), async (req, res) => {
     console.log('=== 📝 LOG ACTIVITY API ===');
     const userId = req.user.userId;
     const { action, imageId, additionalData = {} } = req.body;
     
-    if (!action) {
-        return res.status(400).json({ error: 'Action is required' });
-    }
-    
     try {
         await logActivity(userId, action, imageId, additionalData);
         
@@ -883,8 +4566,53 @@ app.post('/api/activities/log', protect, async (req, res) => {
 });
 
 
+// --- TÀI LIỆU API (OPENAPI) ---
+// Sinh từ schema của validateRequest trên từng route (server/openapi.js), tạo một lần ở request đầu tiên
+
+let openApiDocument = null;
+
+app.get('/api/openapi.json', validateRequest({ summary: 'This OpenAPI document', tags: ['Docs'] }), (req, res) => {
+    openApiDocument ??= buildOpenApiDocument(app, {
+        info: {
+            title: 'Dreamina API',
+            version: '1.0.0',
+            description: 'Invalid requests are answered with 400 and the ValidationError body. Routes that accept personal API keys list the required scope in x-api-key-scope.'
+        },
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        extendOperation: (operation, { method, path }) => {
+            const scope = API_KEY_ROUTE_SCOPES[`${method} ${path}`];
+            if (!scope) return;
+            operation.security.push({ apiKey: [] });
+            operation['x-api-key-scope'] = scope;
+        }
+    });
+    res.json(openApiDocument);
+});
+
+// Tài liệu tương tác (Swagger UI)
+app.get('/api/docs', validateRequest({ summary: 'Interactive API documentation', tags: ['Docs'], responses: { 200: 'HTML page' } }), (req, res) => {
+    res.type('html').send(apiDocsPage({ title: 'Dreamina API', specUrl: '/api/openapi.json' }));
+});
+
+
 // --- KHỞI ĐỘNG SERVER ---
 const PORT = process.env.PORT || 8787;
 app.listen(PORT, () => {
   console.log(`✅ Server is running on http://localhost:${PORT}`);
+
+  // Chạy lại các job bị gián đoạn khi server dừng (job đang lưu ảnh thì kết thúc là failed)
+  jobQueue.recover()
+    .then(({ requeued, failed }) => {
+      if (requeued) console.log(`🔁 Re-queued ${requeued} unfinished job(s)`);
+      if (failed) console.log(`⚠️ Marked ${failed} job(s) interrupted while saving images as failed`);
+    })
+    .catch((err) => console.error('❌ Failed to recover jobs:', err.message));
+
+  // Xoá hẳn các ảnh đã nằm trong thùng rác quá thời gian lưu giữ
+  trash.schedulePurge({ onPurged: (images) => logPurgedImages(images, 'retention') });
+
+  // Thử lại các lần gửi webhook bị lỗi (kể cả những lần chưa xong trước khi server dừng)
+  webhooks.scheduleRetries();
 });
\ No newline at end of file
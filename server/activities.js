@@ -0,0 +1,102 @@
+// File: server/activities.js
+// Truy vấn lịch sử hoạt động: lọc theo nhiều action, khoảng thời gian, tìm kiếm trong additional_data và prompt
+// của ảnh liên quan; xuất toàn bộ lịch sử khớp bộ lọc dạng CSV / JSON (stream theo từng lô).
+//
+// Đọc từ view `activity_feed` (activities LEFT JOIN images, xem add_activity_search.sql) để tìm kiếm được cả prompt.
+
+import { once } from 'events';
+import { csvLine } from './csv.js';
+
+export const ACTIVITY_EXPORT_FORMATS = ['csv', 'json'];
+export const MAX_ACTIVITY_SEARCH_LENGTH = 200;
+export const MAX_ACTIVITY_FILTER_ACTIONS = 20;
+
+// Các action frontend được tự ghi qua POST /api/activities/log; mọi action khác do server ghi
+export const CLIENT_ACTIVITY_ACTIONS = ['view'];
+
+const EXPORT_BATCH_SIZE = 500;
+const FEED_COLUMNS = 'id, action, image_id, timestamp, additional_data, api_key_id, image_prompt, image_url';
+const CSV_COLUMNS = ['id', 'timestamp', 'action', 'image_id', 'image_prompt', 'image_url', 'additional_data', 'api_key_id'];
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Giữ nguyên dạng response cũ của GET /api/activities (ảnh lồng trong `images`)
+const toActivity = (row) => ({
+    id: row.id,
+    action: row.action,
+    image_id: row.image_id,
+    timestamp: row.timestamp,
+    additional_data: row.additional_data || {},
+    api_key_id: row.api_key_id || null,
+    images: row.image_id && row.image_url ? { id: row.image_id, prompt: row.image_prompt, image_url: row.image_url } : null
+});
+
+const toCsvLine = (row) => csvLine(CSV_COLUMNS.map((column) => row[column]));
+
+export const createActivityService = ({ supabase }) => {
+    const buildQuery = (userId, { actions, from, to, q }, options) => {
+        let query = supabase
+            .from('activity_feed')
+            .select(FEED_COLUMNS, options)
+            .eq('user_id', userId);
+
+        if (actions?.length === 1) query = query.eq('action', actions[0]);
+        if (actions?.length > 1) query = query.in('action', actions);
+        if (from) query = query.gte('timestamp', from);
+        if (to) query = query.lte('timestamp', to);
+        if (q) query = query.ilike('search_text', `%${escapeLike(q.toLowerCase())}%`);
+
+        return query
+            .order('timestamp', { ascending: false })
+            .order('id', { ascending: false });
+    };
+
+    // Các lô hoạt động khớp bộ lọc, mới nhất trước
+    async function* batches(userId, filters) {
+        for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+            const { data, error } = await buildQuery(userId, filters).range(offset, offset + EXPORT_BATCH_SIZE - 1);
+            if (error) throw error;
+            if (data.length > 0) yield data;
+            if (data.length < EXPORT_BATCH_SIZE) return;
+        }
+    }
+
+    return {
+        // filters = { actions, from, to, q }; trả về { activities, total }
+        async list(userId, filters, { offset = 0, limit = 20 } = {}) {
+            const { data, error, count } = await buildQuery(userId, filters, { count: 'exact' })
+                .range(offset, offset + limit - 1);
+            if (error) throw error;
+            return { activities: (data || []).map(toActivity), total: count || 0 };
+        },
+
+        /**
+         * Ghi toàn bộ lịch sử khớp bộ lọc ra `output` (vd. `res`) theo `format` (csv | json) rồi đóng output.
+         * Dừng sớm nếu output bị đóng (client huỷ tải). Trả về số dòng đã ghi.
+         */
+        async export(userId, filters, format, output) {
+            const write = async (chunk) => {
+                if (output.destroyed) return false;
+                if (!output.write(chunk)) {
+                    await Promise.race([once(output, 'drain'), once(output, 'close')]);
+                }
+                return !output.destroyed;
+            };
+
+            let written = 0;
+            if (!await write(format === 'csv' ? csvLine(CSV_COLUMNS) : '[')) return written;
+
+            for await (const batch of batches(userId, filters)) {
+                const chunk = format === 'csv'
+                    ? batch.map(toCsvLine).join('')
+                    : batch.map((row, index) => `${written + index > 0 ? ',' : ''}\n${JSON.stringify(toActivity(row))}`).join('');
+                if (!await write(chunk)) return written;
+                written += batch.length;
+            }
+
+            if (format === 'json') await write(written > 0 ? '\n]\n' : ']\n');
+            output.end();
+            return written;
+        }
+    };
+};
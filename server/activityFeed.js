@@ -0,0 +1,107 @@
+// File: server/activityFeed.js
+// Luồng hoạt động trực tiếp (SSE): mỗi lần `logActivity` ghi xong, hoạt động được đẩy tới các stream đang mở
+// của user đó, và tới kênh admin (sinh ảnh / đăng ký mới trên toàn site).
+//
+// Id của event là id của dòng `activities`, nên khi client kết nối lại với Last-Event-ID
+// các hoạt động bị lỡ được đọc lại từ database (vẫn đúng sau khi server khởi động lại).
+
+import { EventEmitter } from 'events';
+
+export const ADMIN_FEED_ACTIONS = ['generate', 'register'];
+export const FEED_RETRY_MS = 5000;
+
+const REPLAY_LIMIT = 200;
+const FEED_COLUMNS = 'id, user_id, action, image_id, timestamp, additional_data, api_key_id';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Last-Event-ID do EventSource tự gửi khi kết nối lại; `?lastEventId=` cho lần kết nối đầu sau khi tải lại trang
+export const readLastEventId = (req) => {
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    return typeof lastEventId === 'string' && lastEventId ? lastEventId : null;
+};
+
+const matches = (activity, { userId, actions }) =>
+    (!userId || activity.user_id === userId) && (!actions || actions.includes(activity.action));
+
+export const createActivityFeed = ({ supabase, replayLimit = REPLAY_LIMIT }) => {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    /**
+     * Các hoạt động sau `lastEventId` khớp bộ lọc, cũ nhất trước.
+     * `resync` = true khi không thể phát lại đầy đủ (id lạ hoặc quá `replayLimit` event):
+     * client nên tải lại danh sách qua GET /api/activities.
+     */
+    const replay = async (lastEventId, filter) => {
+        if (!UUID_PATTERN.test(lastEventId)) return { activities: [], resync: true };
+
+        const { data: last, error: lastError } = await supabase
+            .from('activities')
+            .select('id, timestamp')
+            .eq('id', lastEventId)
+            .maybeSingle();
+        if (lastError) throw lastError;
+        if (!last) return { activities: [], resync: true };
+
+        const timestamp = new Date(last.timestamp).toISOString();
+        let query = supabase
+            .from('activities')
+            .select(FEED_COLUMNS)
+            .or(`timestamp.gt."${timestamp}",and(timestamp.eq."${timestamp}",id.gt.${last.id})`);
+        if (filter.userId) query = query.eq('user_id', filter.userId);
+        if (filter.actions) query = query.in('action', filter.actions);
+
+        const { data, error } = await query
+            .order('timestamp', { ascending: true })
+            .order('id', { ascending: true })
+            .limit(replayLimit + 1);
+        if (error) throw error;
+
+        return { activities: data.slice(0, replayLimit), resync: data.length > replayLimit };
+    };
+
+    return {
+        // Gọi sau khi hoạt động đã được ghi vào database
+        publish(activity) {
+            events.emit('activity', activity);
+        },
+
+        /**
+         * Gắn một stream SSE (từ openEventStream) vào feed.
+         * filter = { userId, actions }: bỏ trống userId để nhận của mọi user (kênh admin).
+         * Event: `activity` (id = activity.id) và một `ready` sau khi phát lại xong.
+         */
+        async attach(stream, filter, lastEventId) {
+            // Đăng ký trước khi phát lại để không lỡ hoạt động mới; giữ chúng lại cho tới khi phát lại xong
+            let queued = [];
+            const onActivity = (activity) => {
+                if (!matches(activity, filter)) return;
+                if (queued) queued.push(activity);
+                else stream.send('activity', activity, activity.id);
+            };
+            events.on('activity', onActivity);
+            stream.onClose(() => events.off('activity', onActivity));
+
+            let result = { activities: [], resync: false };
+            try {
+                if (lastEventId) result = await replay(lastEventId, filter);
+            } catch (err) {
+                console.error('❌ [Activity feed] Replay error:', err.message);
+                result = { activities: [], resync: true };
+            }
+
+            const sent = new Set();
+            for (const activity of result.activities) {
+                stream.send('activity', activity, activity.id);
+                sent.add(activity.id);
+            }
+            const pending = queued;
+            queued = null;
+            for (const activity of pending) {
+                if (!sent.has(activity.id)) stream.send('activity', activity, activity.id);
+            }
+
+            stream.send('ready', { replayed: result.activities.length, resync: result.resync });
+        }
+    };
+};
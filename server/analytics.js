@@ -0,0 +1,116 @@
+// File: server/analytics.js
+// Thống kê theo thời gian cho dashboard admin: đăng ký, sinh ảnh, xoá, tải xuống, sinh ảnh lỗi và user hoạt động
+// theo từng khoảng (day | week | month, giờ UTC), top user và từ khoá prompt phổ biến.
+//
+// Số liệu được gom trong Postgres (xem create_analytics_functions.sql); ở đây chỉ điền 0 cho các khoảng trống
+// và định dạng kết quả / CSV.
+
+import { csvLine } from './csv.js';
+
+export const ANALYTICS_BUCKETS = ['day', 'week', 'month'];
+export const MAX_ANALYTICS_BUCKETS = 366;
+export const DEFAULT_ANALYTICS_DAYS = 30;
+
+// Tên series trong response -> tên metric do analytics_series trả về
+const METRICS = {
+    registrations: 'registrations',
+    generations: 'generations',
+    deletions: 'deletions',
+    downloads: 'downloads',
+    failedGenerations: 'failed_generations',
+    activeUsers: 'active_users'
+};
+
+// dailyActiveUsers luôn theo ngày, không phụ thuộc `bucket`
+export const ANALYTICS_SERIES = [...Object.keys(METRICS), 'dailyActiveUsers'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Đầu khoảng chứa `date` (giống date_trunc của Postgres theo UTC; tuần bắt đầu từ thứ Hai)
+export const truncateDate = (date, bucket) => {
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    if (bucket === 'day') return new Date(day);
+    if (bucket === 'week') return new Date(day - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+};
+
+const nextBucket = (date, bucket) => {
+    if (bucket === 'day') return new Date(date.getTime() + DAY_MS);
+    if (bucket === 'week') return new Date(date.getTime() + 7 * DAY_MS);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+};
+
+// Các mốc đầu khoảng từ `from` tới trước `to`
+export const bucketStarts = (from, to, bucket) => {
+    const starts = [];
+    for (let start = truncateDate(from, bucket); start < to; start = nextBucket(start, bucket)) {
+        starts.push(start.toISOString());
+    }
+    return starts;
+};
+
+// Postgres trả về TIMESTAMP không kèm múi giờ: coi là UTC
+const toBucketKey = (value) => new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`).toISOString();
+
+export const createAnalyticsService = ({ supabase }) => ({
+    /**
+     * Báo cáo trong [from, to) với `bucket` = day | week | month.
+     * Trả về { range, series: { tên: [{ bucket, value }] }, totals, topUsers, promptKeywords }.
+     */
+    async report({ from, to, bucket, topLimit = 10, keywordLimit = 20 }) {
+        const params = { p_from: from.toISOString(), p_to: to.toISOString() };
+        const [seriesResult, topUsersResult, keywordsResult] = await Promise.all([
+            supabase.rpc('analytics_series', { ...params, p_bucket: bucket }),
+            supabase.rpc('analytics_top_users', { ...params, p_limit: topLimit }),
+            supabase.rpc('analytics_prompt_keywords', { ...params, p_limit: keywordLimit })
+        ]);
+        for (const result of [seriesResult, topUsersResult, keywordsResult]) {
+            if (result.error) throw result.error;
+        }
+
+        const values = new Map();
+        for (const row of seriesResult.data || []) {
+            values.set(`${row.metric}|${toBucketKey(row.bucket)}`, Number(row.value));
+        }
+        const fill = (metric, starts) => starts.map((start) => ({ bucket: start, value: values.get(`${metric}|${start}`) || 0 }));
+
+        const starts = bucketStarts(from, to, bucket);
+        const series = Object.fromEntries(Object.entries(METRICS).map(([name, metric]) => [name, fill(metric, starts)]));
+        series.dailyActiveUsers = fill('daily_active_users', bucketStarts(from, to, 'day'));
+
+        // activeUsers / dailyActiveUsers không cộng dồn được (một user có thể hoạt động ở nhiều khoảng)
+        const totals = Object.fromEntries(
+            ['registrations', 'generations', 'deletions', 'downloads', 'failedGenerations']
+                .map((name) => [name, series[name].reduce((sum, point) => sum + point.value, 0)])
+        );
+
+        return {
+            range: { from: from.toISOString(), to: to.toISOString(), bucket },
+            series,
+            totals,
+            topUsers: (topUsersResult.data || []).map((row) => ({
+                userId: row.user_id,
+                email: row.email,
+                fullName: row.full_name,
+                generations: Number(row.generations)
+            })),
+            promptKeywords: (keywordsResult.data || []).map((row) => ({ keyword: row.keyword, count: Number(row.uses) }))
+        };
+    }
+});
+
+/**
+ * CSV của báo cáo: một series (`bucket,value`) hoặc, khi không chỉ định, mọi series theo `bucket`
+ * trong cùng một bảng (một cột mỗi series, không gồm dailyActiveUsers vì khác độ chia).
+ */
+export const analyticsToCsv = (report, seriesName) => {
+    if (seriesName) {
+        return csvLine(['bucket', seriesName]) + report.series[seriesName].map((point) => csvLine([point.bucket, point.value])).join('');
+    }
+
+    const names = Object.keys(METRICS);
+    const header = csvLine(['bucket', ...names]);
+    return header + report.series.registrations
+        .map((point, index) => csvLine([point.bucket, ...names.map((name) => report.series[name][index].value)]))
+        .join('');
+};
@@ -0,0 +1,201 @@
+// File: server/apiKeys.js
+// API key cá nhân để gọi API bằng script (thay cho JWT của trình duyệt).
+//
+// - Key dạng `dk_<chuỗi ngẫu nhiên>`, chỉ hiển thị một lần khi tạo; database chỉ lưu SHA-256 và vài ký tự đầu để nhận diện
+// - Mỗi key có các scope; `protect` chỉ nhận key trên những route có trong API_KEY_ROUTE_SCOPES (mặc định từ chối)
+// - Request dùng key chạy trong `apiKeyContext` để `logActivity` ghi lại key nào đã được dùng
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { hashToken } from './sessions.js';
+
+export const API_KEY_PREFIX = 'dk_';
+export const API_KEY_SCOPES = ['generate', 'creations:read', 'creations:delete'];
+export const MAX_API_KEYS_PER_USER = 20;
+export const MAX_API_KEY_NAME_LENGTH = 100;
+export const MAX_API_KEY_EXPIRY_DAYS = 365;
+
+// Giới hạn request riêng cho mỗi key (ngoài rate limit sinh ảnh theo plan)
+export const API_KEY_RATE_LIMIT = {
+    limit: Math.max(parseInt(process.env.API_KEY_RATE_LIMIT) || 60, 1),
+    windowMs: 60 * 1000
+};
+
+// "METHOD đường dẫn route" -> scope cần có
+export const API_KEY_ROUTE_SCOPES = {
+    'POST /api/generate-image': 'generate',
+    'POST /api/images/:imageId/regenerate': 'generate',
+    'POST /api/images/:imageId/edit': 'generate',
+    'POST /api/images/edit': 'generate',
+    'POST /api/images/:imageId/upscale': 'generate',
+    'POST /api/images/:imageId/variations': 'generate',
+    'GET /api/jobs': 'generate',
+    'GET /api/jobs/events': 'generate',
+    'GET /api/jobs/:jobId': 'generate',
+    'GET /api/jobs/:jobId/events': 'generate',
+    'POST /api/jobs/:jobId/cancel': 'generate',
+    'GET /api/credits': 'generate',
+
+    'GET /api/my-creations': 'creations:read',
+    'GET /api/tags': 'creations:read',
+    'GET /api/images/:imageId/lineage': 'creations:read',
+    'GET /api/images/:imageId/download': 'creations:read',
+    'POST /api/images/export': 'creations:read',
+    'GET /api/collections': 'creations:read',
+    'GET /api/collections/:collectionId': 'creations:read',
+    'GET /api/collections/:collectionId/images': 'creations:read',
+    'GET /api/trash': 'creations:read',
+
+    'DELETE /api/images/:imageId': 'creations:delete',
+    'POST /api/images/bulk-delete': 'creations:delete'
+};
+
+const KEY_COLUMNS = 'id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+const CACHE_TTL_MS = 30000;
+const LAST_USED_INTERVAL_MS = 60000;
+
+export const apiKeyContext = new AsyncLocalStorage();
+
+// Id của key đang dùng trong request hiện tại (null nếu đăng nhập bằng JWT hoặc chạy nền)
+export const currentApiKeyId = () => apiKeyContext.getStore()?.apiKeyId ?? null;
+
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+// Scope cần cho route đang xử lý (req.route chỉ có trong middleware gắn với route)
+export const routeScope = (req) => (req.route ? API_KEY_ROUTE_SCOPES[`${req.method} ${req.route.path}`] : undefined);
+
+const apiKeyError = (message, code) => {
+    const error = new Error(message);
+    error.status = 401;
+    error.code = code;
+    return error;
+};
+
+export const createApiKeyService = ({ supabase }) => {
+    const cache = new Map(); // key_hash -> { value: { key, user }, expiresAt }
+    const lastUsedWrites = new Map(); // key id -> thời điểm ghi last_used_at gần nhất
+
+    const touch = (keyId) => {
+        const now = Date.now();
+        if (now - (lastUsedWrites.get(keyId) || 0) < LAST_USED_INTERVAL_MS) return;
+        lastUsedWrites.set(keyId, now);
+        supabase
+            .from('api_keys')
+            .update({ last_used_at: new Date(now).toISOString() })
+            .eq('id', keyId)
+            .then(({ error }) => error && console.error('❌ [API keys] Failed to update last_used_at:', error.message));
+    };
+
+    return {
+        async list(userId) {
+            const { data, error } = await supabase
+                .from('api_keys')
+                .select(KEY_COLUMNS)
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+            if (error) throw error;
+            return data || [];
+        },
+
+        // Số key còn hiệu lực (chưa thu hồi)
+        async countActive(userId) {
+            const { count, error } = await supabase
+                .from('api_keys')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .is('revoked_at', null);
+            if (error) throw error;
+            return count || 0;
+        },
+
+        async get(userId, keyId) {
+            const { data, error } = await supabase
+                .from('api_keys')
+                .select(KEY_COLUMNS)
+                .eq('id', keyId)
+                .eq('user_id', userId)
+                .maybeSingle();
+            if (error) throw error;
+            return data;
+        },
+
+        // Trả về { apiKey, key }: `key` là giá trị đầy đủ, không lưu lại ở đâu
+        async create(userId, { name, scopes, expiresAt = null }) {
+            const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+            const { data, error } = await supabase
+                .from('api_keys')
+                .insert({
+                    user_id: userId,
+                    name,
+                    key_prefix: key.substring(0, API_KEY_PREFIX.length + 8),
+                    key_hash: hashToken(key),
+                    scopes,
+                    expires_at: expiresAt
+                })
+                .select(KEY_COLUMNS)
+                .single();
+            if (error) throw error;
+            return { apiKey: data, key };
+        },
+
+        async rename(keyId, name) {
+            const { data, error } = await supabase
+                .from('api_keys')
+                .update({ name })
+                .eq('id', keyId)
+                .select(KEY_COLUMNS)
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        async revoke(keyId) {
+            const { data, error } = await supabase
+                .from('api_keys')
+                .update({ revoked_at: new Date().toISOString() })
+                .eq('id', keyId)
+                .is('revoked_at', null)
+                .select('key_hash')
+                .maybeSingle();
+            if (error) throw error;
+            if (data) cache.delete(data.key_hash);
+        },
+
+        /**
+         * Kiểm tra key; trả về { key, user } hoặc ném lỗi status 401 (INVALID_API_KEY | API_KEY_REVOKED | API_KEY_EXPIRED).
+         * Kết quả được cache 30 giây; thu hồi trên cùng server có hiệu lực ngay.
+         */
+        async authenticate(token) {
+            const keyHash = hashToken(token);
+            let entry = cache.get(keyHash);
+
+            if (!entry || entry.expiresAt <= Date.now()) {
+                const { data: key, error } = await supabase
+                    .from('api_keys')
+                    .select('id, user_id, scopes, expires_at, revoked_at, key_hash')
+                    .eq('key_hash', keyHash)
+                    .maybeSingle();
+                if (error) throw error;
+                if (!key) throw apiKeyError('Invalid API key.', 'INVALID_API_KEY');
+
+                const { data: user, error: userError } = await supabase
+                    .from('users')
+                    .select('id, email, role')
+                    .eq('id', key.user_id)
+                    .maybeSingle();
+                if (userError) throw userError;
+                if (!user) throw apiKeyError('Invalid API key.', 'INVALID_API_KEY');
+
+                entry = { value: { key, user }, expiresAt: Date.now() + CACHE_TTL_MS };
+                cache.set(keyHash, entry);
+            }
+
+            const { key } = entry.value;
+            if (key.revoked_at) throw apiKeyError('API key has been revoked.', 'API_KEY_REVOKED');
+            if (key.expires_at && new Date(key.expires_at) <= new Date()) throw apiKeyError('API key has expired.', 'API_KEY_EXPIRED');
+
+            touch(key.id);
+            return entry.value;
+        }
+    };
+};
@@ -0,0 +1,240 @@
+// File: server/collections.js
+// Bộ sưu tập (album) để user sắp xếp ảnh. Một ảnh có thể nằm trong nhiều bộ sưu tập;
+// thứ tự trong mỗi bộ sưu tập do user tự sắp (`collection_images.position`).
+//
+// Ảnh bìa: `collections.cover_image_id` nếu có, nếu không thì lấy ảnh đầu tiên theo thứ tự.
+
+export const MAX_COLLECTIONS_PER_USER = 200;
+export const MAX_BULK_IMAGES = 100;
+export const MAX_COLLECTION_NAME_LENGTH = 100;
+export const MAX_COLLECTION_DESCRIPTION_LENGTH = 500;
+
+const COLLECTION_COLUMNS = 'id, name, description, cover_image_id, created_at, updated_at';
+
+export const createCollectionService = ({ supabase }) => {
+    // Các ảnh hợp lệ của user trong danh sách (tồn tại, thuộc về user, không bị ẩn)
+    const findOwnedImageIds = async (userId, imageIds) => {
+        const { data, error } = await supabase
+            .from('images')
+            .select('id')
+            .eq('user_id', userId)
+            .neq('moderation_status', 'hidden')
+            .is('deleted_at', null)
+            .in('id', imageIds);
+        if (error) throw error;
+        return new Set((data || []).map((image) => image.id));
+    };
+
+    const listMembers = async (collectionId) => {
+        const { data, error } = await supabase
+            .from('collection_images')
+            .select('image_id, position')
+            .eq('collection_id', collectionId)
+            .order('position', { ascending: true });
+        if (error) throw error;
+        return data || [];
+    };
+
+    // Gắn số ảnh và URL ảnh bìa cho danh sách bộ sưu tập
+    const withSummary = async (collections) => {
+        if (collections.length === 0) return [];
+
+        const { data: members, error } = await supabase
+            .from('collection_images')
+            .select('collection_id, image_id, position')
+            .in('collection_id', collections.map((collection) => collection.id))
+            .order('position', { ascending: true });
+        if (error) throw error;
+
+        const byCollection = new Map();
+        for (const member of members || []) {
+            if (!byCollection.has(member.collection_id)) byCollection.set(member.collection_id, []);
+            byCollection.get(member.collection_id).push(member.image_id);
+        }
+
+        const coverIds = collections
+            .map((collection) => collection.cover_image_id || byCollection.get(collection.id)?.[0])
+            .filter(Boolean);
+        const { data: covers, error: coversError } = coverIds.length > 0
+            ? await supabase.from('images').select('id, image_url').in('id', coverIds)
+            : { data: [] };
+        if (coversError) throw coversError;
+        const coverUrls = new Map((covers || []).map((image) => [image.id, image.image_url]));
+
+        return collections.map((collection) => {
+            const imageIds = byCollection.get(collection.id) || [];
+            const coverImageId = collection.cover_image_id || imageIds[0] || null;
+            return {
+                ...collection,
+                image_count: imageIds.length,
+                cover_image_id: coverImageId,
+                cover_image_url: coverUrls.get(coverImageId) || null
+            };
+        });
+    };
+
+    return {
+        async listForUser(userId) {
+            const { data, error } = await supabase
+                .from('collections')
+                .select(COLLECTION_COLUMNS)
+                .eq('user_id', userId)
+                .order('updated_at', { ascending: false });
+            if (error) throw error;
+            return withSummary(data || []);
+        },
+
+        async countForUser(userId) {
+            const { count, error } = await supabase
+                .from('collections')
+                .select('id', { count: 'exact', head: true })
+                .eq('user_id', userId);
+            if (error) throw error;
+            return count || 0;
+        },
+
+        // Bộ sưu tập nếu thuộc về user, ngược lại null
+        async get(userId, collectionId) {
+            const { data, error } = await supabase
+                .from('collections')
+                .select(COLLECTION_COLUMNS)
+                .eq('id', collectionId)
+                .eq('user_id', userId)
+                .maybeSingle();
+            if (error) throw error;
+            return data;
+        },
+
+        async withSummary(collection) {
+            const [summary] = await withSummary([collection]);
+            return summary;
+        },
+
+        async create(userId, { name, description = null }) {
+            const { data, error } = await supabase
+                .from('collections')
+                .insert({ user_id: userId, name, description })
+                .select(COLLECTION_COLUMNS)
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        async update(collectionId, fields) {
+            const { data, error } = await supabase
+                .from('collections')
+                .update({ ...fields, updated_at: new Date().toISOString() })
+                .eq('id', collectionId)
+                .select(COLLECTION_COLUMNS)
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        // Xoá bộ sưu tập; ảnh bên trong không bị ảnh hưởng
+        async remove(collectionId) {
+            await supabase.from('collection_images').delete().eq('collection_id', collectionId);
+            const { error } = await supabase.from('collections').delete().eq('id', collectionId);
+            if (error) throw error;
+        },
+
+        async isMember(collectionId, imageId) {
+            const { data, error } = await supabase
+                .from('collection_images')
+                .select('image_id')
+                .eq('collection_id', collectionId)
+                .eq('image_id', imageId)
+                .maybeSingle();
+            if (error) throw error;
+            return Boolean(data);
+        },
+
+        // Thêm ảnh vào cuối bộ sưu tập, bỏ qua ảnh đã có; trả về { added, notFound }
+        async addImages(collection, userId, imageIds) {
+            const owned = await findOwnedImageIds(userId, imageIds);
+            const members = await listMembers(collection.id);
+            const existing = new Set(members.map((member) => member.image_id));
+            let position = members.length > 0 ? members[members.length - 1].position + 1 : 0;
+
+            const rows = imageIds
+                .filter((imageId) => owned.has(imageId) && !existing.has(imageId))
+                .map((imageId) => ({ collection_id: collection.id, image_id: imageId, position: position++ }));
+
+            if (rows.length > 0) {
+                const { error } = await supabase.from('collection_images').insert(rows);
+                if (error) throw error;
+                await supabase.from('collections').update({ updated_at: new Date().toISOString() }).eq('id', collection.id);
+            }
+
+            return { added: rows.length, notFound: imageIds.filter((imageId) => !owned.has(imageId)) };
+        },
+
+        async removeImages(collection, imageIds) {
+            const { data, error } = await supabase
+                .from('collection_images')
+                .delete()
+                .eq('collection_id', collection.id)
+                .in('image_id', imageIds)
+                .select('image_id');
+            if (error) throw error;
+
+            const fields = { updated_at: new Date().toISOString() };
+            if (imageIds.includes(collection.cover_image_id)) fields.cover_image_id = null;
+            await supabase.from('collections').update(fields).eq('id', collection.id);
+
+            return data?.length || 0;
+        },
+
+        // Sắp xếp lại: các ảnh trong `imageIds` lên đầu theo đúng thứ tự, các ảnh còn lại giữ thứ tự cũ phía sau
+        async reorder(collection, imageIds) {
+            const members = await listMembers(collection.id);
+            const memberIds = new Set(members.map((member) => member.image_id));
+            const ordered = [...new Set(imageIds)].filter((imageId) => memberIds.has(imageId));
+            const rest = members.map((member) => member.image_id).filter((imageId) => !ordered.includes(imageId));
+
+            const rows = [...ordered, ...rest].map((imageId, position) => ({
+                collection_id: collection.id,
+                image_id: imageId,
+                position
+            }));
+            if (rows.length > 0) {
+                const { error } = await supabase
+                    .from('collection_images')
+                    .upsert(rows, { onConflict: 'collection_id,image_id' });
+                if (error) throw error;
+            }
+            return rows.length;
+        },
+
+        async listImages(collectionId, { offset = 0, limit = 20 } = {}) {
+            const { data, error, count } = await supabase
+                .from('collection_images')
+                .select('position, added_at, images!inner(*)', { count: 'exact' })
+                .eq('collection_id', collectionId)
+                .neq('images.moderation_status', 'hidden')
+                .is('images.deleted_at', null)
+                .order('position', { ascending: true })
+                .range(offset, offset + limit - 1);
+            if (error) throw error;
+
+            return {
+                images: (data || []).map((row) => ({ ...row.images, position: row.position, added_at: row.added_at })),
+                total: count || 0
+            };
+        },
+
+        // Gỡ ảnh khỏi mọi bộ sưu tập (trước khi xoá ảnh)
+        async removeImageEverywhere(imageId) {
+            await supabase
+                .from('collections')
+                .update({ cover_image_id: null })
+                .eq('cover_image_id', imageId);
+
+            const { error } = await supabase
+                .from('collection_images')
+                .delete()
+                .eq('image_id', imageId);
+            if (error) throw error;
+        }
+    };
+};
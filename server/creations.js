@@ -0,0 +1,197 @@
+// File: server/creations.js
+// Thư viện ảnh của user ("My Creations"): tìm kiếm full-text theo prompt, lọc theo ngày / tag / yêu thích /
+// bộ sưu tập, sắp xếp và phân trang bằng cursor; cùng với tag tự do và ảnh yêu thích.
+//
+// Cursor là base64url của { v: giá trị cột sắp xếp, id } của ảnh cuối trang trước (keyset pagination),
+// nên trang sau không bị lệch khi có ảnh mới được tạo.
+
+export const CREATION_SORTS = {
+    newest: { column: 'created_at', ascending: false },
+    oldest: { column: 'created_at', ascending: true },
+    most_liked: { column: 'like_count', ascending: false }
+};
+
+export const MAX_TAGS_PER_IMAGE = 20;
+export const MAX_TAG_LENGTH = 40;
+export const MAX_SEARCH_LENGTH = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const cursorError = () => {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    return error;
+};
+
+// Tag: chữ thường, gộp khoảng trắng; trả về null nếu không hợp lệ
+export const normalizeTag = (tag) => {
+    if (typeof tag !== 'string') return null;
+    const normalized = tag.trim().toLowerCase().replace(/\s+/g, ' ');
+    return normalized && normalized.length <= MAX_TAG_LENGTH ? normalized : null;
+};
+
+// Timestamp ISO như Postgres trả về (tối đa 6 chữ số thập phân, có múi giờ)
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+export const encodeCursor = (image, sort) => Buffer
+    .from(JSON.stringify({ v: image[CREATION_SORTS[sort].column] ?? null, id: image.id }))
+    .toString('base64url');
+
+// Giải mã và kiểm tra kiểu giá trị: cursor được ghép vào bộ lọc nên không nhận giá trị tuỳ ý
+export const decodeCursor = (cursor, sort) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        throw cursorError();
+    }
+    if (!decoded || typeof decoded.id !== 'string' || !UUID_PATTERN.test(decoded.id)) throw cursorError();
+
+    const { column } = CREATION_SORTS[sort];
+    if (column === 'like_count') {
+        if (!Number.isInteger(decoded.v)) throw cursorError();
+        return { v: decoded.v, id: decoded.id };
+    }
+    // Giữ nguyên chuỗi timestamp: Postgres lưu tới micro giây, đổi qua Date sẽ cắt còn mili giây
+    // và trang sau lặp lại / bỏ sót ảnh nằm trong phần bị cắt
+    if (typeof decoded.v !== 'string' || !TIMESTAMP_PATTERN.test(decoded.v) || Number.isNaN(Date.parse(decoded.v))) {
+        throw cursorError();
+    }
+    return { v: decoded.v, id: decoded.id };
+};
+
+export const createCreationService = ({ supabase }) => {
+    const attachTags = async (images) => {
+        if (images.length === 0) return images;
+        const { data, error } = await supabase
+            .from('image_tags')
+            .select('image_id, tag')
+            .in('image_id', images.map((image) => image.id));
+        if (error) throw error;
+
+        const tagsByImage = new Map();
+        for (const row of data || []) {
+            if (!tagsByImage.has(row.image_id)) tagsByImage.set(row.image_id, []);
+            tagsByImage.get(row.image_id).push(row.tag);
+        }
+        return images.map((image) => ({ ...image, tags: (tagsByImage.get(image.id) || []).sort() }));
+    };
+
+    const listTags = async (imageId) => {
+        const { data, error } = await supabase.from('image_tags').select('tag').eq('image_id', imageId);
+        if (error) throw error;
+        return (data || []).map((row) => row.tag).sort();
+    };
+
+    return {
+        /**
+         * Trang ảnh của user. filters = { q, from, to, tag, favorite, collectionId, sort, cursor, limit }.
+         * Trả về { images, nextCursor } — nextCursor là null ở trang cuối.
+         */
+        async list(userId, { q, from, to, tag, favorite, collectionId, sort = 'newest', cursor, limit = 24 }) {
+            const { column, ascending } = CREATION_SORTS[sort];
+
+            // Lọc theo tag / bộ sưu tập bằng inner join để không phải tải danh sách id trước
+            const joins = [
+                tag ? 'image_tags!inner(tag)' : null,
+                collectionId ? 'collection_images!inner(collection_id)' : null
+            ].filter(Boolean);
+
+            let query = supabase
+                .from('images')
+                .select(['*', ...joins].join(', '))
+                .eq('user_id', userId)
+                .neq('moderation_status', 'hidden')
+                .is('deleted_at', null);
+
+            if (q) query = query.textSearch('prompt_tsv', q, { type: 'websearch', config: 'simple' });
+            if (from) query = query.gte('created_at', from);
+            if (to) query = query.lte('created_at', to);
+            if (tag) query = query.eq('image_tags.tag', tag);
+            if (collectionId) query = query.eq('collection_images.collection_id', collectionId);
+            if (favorite !== undefined) query = query.eq('is_favorite', favorite);
+
+            if (cursor) {
+                const { v, id } = decodeCursor(cursor, sort);
+                const value = typeof v === 'number' ? v : `"${v}"`;
+                const op = ascending ? 'gt' : 'lt';
+                query = query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id})`);
+            }
+
+            const { data, error } = await query
+                .order(column, { ascending })
+                .order('id', { ascending })
+                .limit(limit + 1);
+            if (error) throw error;
+
+            const rows = (data || []).map(({ image_tags, collection_images, ...image }) => image);
+            const page = rows.slice(0, limit);
+            return {
+                images: await attachTags(page),
+                nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1], sort) : null
+            };
+        },
+
+        listTags,
+
+        // Thêm tag (bỏ qua tag đã có); trả về danh sách tag mới của ảnh
+        async addTags(image, tags) {
+            const existing = await listTags(image.id);
+            const rows = tags
+                .filter((tag) => !existing.includes(tag))
+                .map((tag) => ({ image_id: image.id, user_id: image.user_id, tag }));
+
+            if (existing.length + rows.length > MAX_TAGS_PER_IMAGE) {
+                const error = new Error(`An image can have at most ${MAX_TAGS_PER_IMAGE} tags`);
+                error.status = 400;
+                throw error;
+            }
+            if (rows.length > 0) {
+                const { error } = await supabase.from('image_tags').insert(rows);
+                if (error) throw error;
+            }
+            return [...existing, ...rows.map((row) => row.tag)].sort();
+        },
+
+        // Thay toàn bộ tag của ảnh
+        async setTags(image, tags) {
+            const { error } = await supabase.from('image_tags').delete().eq('image_id', image.id);
+            if (error) throw error;
+            if (tags.length > 0) {
+                const { error: insertError } = await supabase
+                    .from('image_tags')
+                    .insert(tags.map((tag) => ({ image_id: image.id, user_id: image.user_id, tag })));
+                if (insertError) throw insertError;
+            }
+            return [...tags].sort();
+        },
+
+        async removeTag(image, tag) {
+            const { error } = await supabase.from('image_tags').delete().eq('image_id', image.id).eq('tag', tag);
+            if (error) throw error;
+            return listTags(image.id);
+        },
+
+        // Các tag của user kèm số ảnh, nhiều nhất trước
+        async tagCounts(userId) {
+            const { data, error } = await supabase
+                .from('image_tag_counts')
+                .select('tag, image_count')
+                .eq('user_id', userId)
+                .order('image_count', { ascending: false });
+            if (error) throw error;
+            return (data || []).map((row) => ({ tag: row.tag, count: row.image_count }));
+        },
+
+        async setFavorite(imageId, favorite) {
+            const { data, error } = await supabase
+                .from('images')
+                .update({ is_favorite: favorite, favorited_at: favorite ? new Date().toISOString() : null })
+                .eq('id', imageId)
+                .select('id, is_favorite, favorited_at')
+                .single();
+            if (error) throw error;
+            return data;
+        }
+    };
+};
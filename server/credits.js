@@ -0,0 +1,142 @@
+// File: server/credits.js
+// Credits của user: gói (plan), sổ cái (bảng `credit_ledger`) và quota theo ngày.
+// Số dư nằm ở cột `users.credits`, mọi thay đổi đi qua hàm SQL `adjust_user_credits`
+// để cập nhật số dư và ghi sổ cái trong cùng một transaction.
+
+export const PLANS = {
+    free: { dailyQuota: 20, rateLimit: { limit: 5, windowMs: 60 * 1000 } },
+    pro: { dailyQuota: 200, rateLimit: { limit: 20, windowMs: 60 * 1000 } },
+    enterprise: { dailyQuota: null, rateLimit: { limit: 60, windowMs: 60 * 1000 } }
+};
+
+export const DEFAULT_PLAN = 'free';
+
+export const STARTING_CREDITS = parseInt(process.env.STARTING_CREDITS) || 20;
+
+export const getPlan = (name) => PLANS[name] || PLANS[DEFAULT_PLAN];
+
+// Số credits cho mỗi loại job
+export const creditCost = (type, params) => {
+    switch (type) {
+        case 'generate':
+            return params.batchCount || 1;
+        case 'upscale':
+            return params.scale === 4 ? 2 : 1;
+        case 'variations':
+            return params.count || 1;
+        default:
+            return 1;
+    }
+};
+
+/**
+ * Số credits hoàn lại cho job thất bại / bị huỷ: chỉ phần ảnh chưa được lưu.
+ * Ảnh đã lưu trước khi job lỗi giữa batch nằm trong `job.result.images` và vẫn tính phí.
+ */
+export const refundableCredits = (job) => {
+    const cost = job.params?.creditCost || 0;
+    const planned = job.type === 'generate' ? job.params.batchCount || 1
+        : job.type === 'variations' ? job.params.count || 1
+            : 1;
+    const saved = Math.min(job.result?.images?.length || 0, planned);
+    return Math.floor((cost * (planned - saved)) / planned);
+};
+
+// Số giây đến 0h UTC ngày hôm sau (lúc quota ngày được reset)
+export const secondsUntilQuotaReset = () => {
+    const now = new Date();
+    const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((tomorrow - now.getTime()) / 1000);
+};
+
+const billingError = (status, message, extra = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    Object.assign(error, extra);
+    return error;
+};
+
+export const createCreditService = ({ supabase, logActivity }) => {
+    const getAccount = async (userId) => {
+        const { data, error } = await supabase
+            .from('users')
+            .select('id, plan, credits, email_verified_at')
+            .eq('id', userId)
+            .maybeSingle();
+        if (error) throw error;
+        return data ? { ...data, plan: data.plan || DEFAULT_PLAN } : null;
+    };
+
+    /**
+     * Cộng / trừ credits. `amount` âm là trừ; ném lỗi status 402 nếu không đủ số dư.
+     */
+    const adjust = async (userId, amount, reason, { jobId = null, note = null } = {}) => {
+        const { data: balance, error } = await supabase.rpc('adjust_user_credits', {
+            p_user_id: userId,
+            p_amount: amount,
+            p_reason: reason,
+            p_job_id: jobId,
+            p_note: note
+        });
+
+        if (error) {
+            if (error.message?.includes('INSUFFICIENT_CREDITS')) {
+                throw billingError(402, 'Không đủ credits để thực hiện yêu cầu.', { required: -amount });
+            }
+            throw error;
+        }
+
+        const action = amount < 0 ? 'credits_debit' : reason === 'refund' ? 'credits_refund' : 'credits_grant';
+        await logActivity(userId, action, null, { amount, reason, balance, jobId, note });
+        return balance;
+    };
+
+    // Credits đã dùng trong ngày (UTC): tổng debit trừ đi phần đã hoàn lại
+    const usedToday = async (userId) => {
+        const startOfDay = new Date();
+        startOfDay.setUTCHours(0, 0, 0, 0);
+
+        const { data, error } = await supabase
+            .from('credit_ledger')
+            .select('amount')
+            .eq('user_id', userId)
+            .in('reason', ['generation', 'refund'])
+            .gte('created_at', startOfDay.toISOString());
+        if (error) throw error;
+
+        return Math.max(0, -(data || []).reduce((sum, entry) => sum + entry.amount, 0));
+    };
+
+    return {
+        getAccount,
+        adjust,
+        usedToday,
+
+        async history(userId, limit = 20) {
+            const { data, error } = await supabase
+                .from('credit_ledger')
+                .select('id, amount, reason, job_id, note, balance_after, created_at')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return data || [];
+        },
+
+        // Kiểm tra quota ngày của plan rồi trừ credits cho job
+        async charge(userId, planName, cost, jobId) {
+            const { dailyQuota } = getPlan(planName);
+            if (dailyQuota !== null) {
+                const used = await usedToday(userId);
+                if (used + cost > dailyQuota) {
+                    throw billingError(429, 'Bạn đã dùng hết quota trong ngày.', {
+                        retryAfter: secondsUntilQuotaReset(),
+                        dailyQuota,
+                        usedToday: used
+                    });
+                }
+            }
+            return adjust(userId, -cost, 'generation', { jobId });
+        }
+    };
+};
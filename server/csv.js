@@ -0,0 +1,12 @@
+// File: server/csv.js
+// Ghi dòng CSV (RFC 4180, xuống dòng CRLF) cho các file export.
+
+// Ô CSV: bọc ngoặc kép khi cần, chặn công thức khi mở bằng Excel / Sheets
+export const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
@@ -0,0 +1,47 @@
+// File: server/emails.js
+// Nội dung các email gửi cho người dùng.
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const escapeHtml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const passwordResetEmail = ({ fullName, token, expiresInMinutes }) => {
+    const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    return {
+        subject: 'Đặt lại mật khẩu Dreamina',
+        text: [
+            `Xin chào ${fullName || ''},`.trim(),
+            '',
+            'Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn.',
+            `Mở liên kết sau để đặt mật khẩu mới (hết hạn sau ${expiresInMinutes} phút):`,
+            link,
+            '',
+            'Nếu bạn không yêu cầu, hãy bỏ qua email này.'
+        ].join('\n'),
+        html: `<p>Xin chào ${escapeHtml(fullName)},</p>
+<p>Chúng tôi nhận được yêu cầu đặt lại mật khẩu cho tài khoản của bạn.</p>
+<p><a href="${link}">Đặt mật khẩu mới</a> (liên kết hết hạn sau ${expiresInMinutes} phút).</p>
+<p>Nếu bạn không yêu cầu, hãy bỏ qua email này.</p>`
+    };
+};
+
+export const verificationEmail = ({ fullName, token, expiresInHours }) => {
+    const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+    return {
+        subject: 'Xác thực email tài khoản Dreamina',
+        text: [
+            `Xin chào ${fullName || ''},`.trim(),
+            '',
+            'Cảm ơn bạn đã đăng ký Dreamina.',
+            `Mở liên kết sau để xác thực email (hết hạn sau ${expiresInHours} giờ):`,
+            link
+        ].join('\n'),
+        html: `<p>Xin chào ${escapeHtml(fullName)},</p>
+<p>Cảm ơn bạn đã đăng ký Dreamina.</p>
+<p><a href="${link}">Xác thực email</a> (liên kết hết hạn sau ${expiresInHours} giờ).</p>`
+    };
+};
@@ -0,0 +1,141 @@
+// File: server/generationParams.js
+// Kiểm tra và chuẩn hoá tham số sinh ảnh (negative prompt, kích thước, seed, steps, guidance, sampler, batch).
+//
+// Các *_SCHEMA mô tả body cho validateRequest / OpenAPI (kiểu, khoảng giá trị, mặc định); các hàm *Params bên dưới
+// chỉ dựng tham số job từ body đã kiểm tra (seed ngẫu nhiên khi bỏ trống); generationSizeErrors kiểm tra
+// kích thước theo preset trong validateRequest, trước rate limit.
+
+import { object, string, integer, number, oneOf, nonBlank, binary } from './validation.js';
+
+export const SIZE_PRESETS = [
+    { width: 512, height: 512 },
+    { width: 768, height: 768 },
+    { width: 1024, height: 1024 },
+    { width: 768, height: 1024 },   // dọc 3:4
+    { width: 1024, height: 768 },   // ngang 4:3
+    { width: 576, height: 1024 },   // dọc 9:16
+    { width: 1024, height: 576 }    // ngang 16:9
+];
+
+const SIZE_LIST = SIZE_PRESETS.map((p) => `${p.width}x${p.height}`).join(', ');
+
+export const SAMPLERS = ['euler', 'euler_a', 'dpm++_2m', 'dpm++_2m_karras', 'ddim', 'pndm', 'lms'];
+
+export const MAX_SEED = 4294967295;
+export const MAX_BATCH_COUNT = 4;
+
+const DEFAULTS = {
+    width: 512,
+    height: 512,
+    steps: 30,
+    guidanceScale: 7.5,
+    sampler: 'euler_a',
+    batchCount: 1
+};
+
+const GENERATION_FIELDS = {
+    prompt: nonBlank(2000),
+    negativePrompt: string({ maxLength: 1000, nullable: true }),
+    seed: integer({ minimum: 0, maximum: MAX_SEED, nullable: true, description: 'Random when omitted' }),
+    steps: integer({ minimum: 1, maximum: 100, default: DEFAULTS.steps }),
+    guidanceScale: number({ minimum: 1, maximum: 20, default: DEFAULTS.guidanceScale }),
+    sampler: oneOf(SAMPLERS, { default: DEFAULTS.sampler })
+};
+
+const strengthField = (defaultStrength) => number({
+    exclusiveMinimum: 0,
+    maximum: 1,
+    default: defaultStrength,
+    description: 'How far the result may move away from the source image'
+});
+
+export const GENERATION_PARAMS_SCHEMA = object({
+    ...GENERATION_FIELDS,
+    width: integer({ default: DEFAULTS.width, description: `Together with height one of: ${SIZE_LIST}` }),
+    height: integer({ default: DEFAULTS.height }),
+    batchCount: integer({ minimum: 1, maximum: MAX_BATCH_COUNT, default: DEFAULTS.batchCount })
+}, ['prompt']);
+
+// multipart/form-data: kích thước lấy theo ảnh gốc
+export const EDIT_PARAMS_SCHEMA = object({
+    ...GENERATION_FIELDS,
+    strength: strengthField(0.75),
+    mask: binary({ description: 'Optional inpainting mask (PNG, JPEG or WebP)' })
+}, ['prompt']);
+
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+// Các trường chung của body đã qua validateRequest (kiểu, khoảng giá trị và mặc định đã được schema xử lý)
+const commonParams = (body) => ({
+    prompt: body.prompt.trim(),
+    negativePrompt: body.negativePrompt?.trim() || undefined,
+    // Luôn có seed cụ thể để có thể tái tạo ảnh sau này
+    seed: body.seed ?? randomSeed(),
+    steps: body.steps,
+    guidanceScale: body.guidanceScale,
+    sampler: body.sampler
+});
+
+// Ràng buộc giữa nhiều trường của GENERATION_PARAMS_SCHEMA (dùng làm `check` của validateRequest):
+// width x height phải là một preset
+export const generationSizeErrors = ({ width, height }) => (
+    SIZE_PRESETS.some((preset) => preset.width === width && preset.height === height)
+        ? []
+        : [`Unsupported size ${width}x${height}. Allowed: ${SIZE_LIST}`]
+);
+
+/**
+ * Tham số sinh ảnh từ body đã kiểm tra bằng GENERATION_PARAMS_SCHEMA và generationSizeErrors.
+ */
+export const generationParams = (body) => ({
+    ...commonParams(body),
+    width: body.width,
+    height: body.height,
+    batchCount: body.batchCount
+});
+
+/**
+ * Tham số img2img / inpainting từ body đã kiểm tra bằng EDIT_PARAMS_SCHEMA: kích thước lấy theo ảnh gốc,
+ * `strength` trong khoảng (0, 1] là mức độ thay đổi so với ảnh gốc.
+ */
+export const editParams = (body) => ({ ...commonParams(body), batchCount: 1, strength: body.strength });
+
+export const UPSCALE_FACTORS = [2, 4];
+export const MAX_UPSCALE_DIMENSION = 4096;
+
+export const UPSCALE_PARAMS_SCHEMA = object({
+    scale: oneOf(UPSCALE_FACTORS, { default: 2 })
+});
+
+// Biến thể ("more like this"): số lượng 1..4 và mức khác biệt so với ảnh gốc
+export const VARIATION_PARAMS_SCHEMA = object({
+    count: integer({ minimum: 1, maximum: MAX_BATCH_COUNT, default: 1 }),
+    strength: strengthField(0.35)
+});
+
+// Seed mới cho mỗi lần tạo biến thể
+export const variationParams = (body) => ({ count: body.count, strength: body.strength, seed: randomSeed() });
+
+// Lấy lại bộ tham số đã lưu trên một dòng `images` để sinh lại ảnh y hệt
+export const paramsFromImage = (image) => ({
+    prompt: image.prompt,
+    negativePrompt: image.negative_prompt || undefined,
+    width: image.width || DEFAULTS.width,
+    height: image.height || DEFAULTS.height,
+    seed: image.seed ?? randomSeed(),
+    steps: image.steps || DEFAULTS.steps,
+    guidanceScale: image.guidance_scale ?? DEFAULTS.guidanceScale,
+    sampler: image.sampler || DEFAULTS.sampler,
+    batchCount: 1
+});
+
+// Các cột tham số lưu trên bảng `images`
+export const imageParamColumns = (params) => ({
+    negative_prompt: params.negativePrompt || null,
+    width: params.width,
+    height: params.height,
+    seed: params.seed,
+    steps: params.steps,
+    guidance_scale: params.guidanceScale,
+    sampler: params.sampler
+});
@@ -0,0 +1,143 @@
+// File: server/imageModeration.js
+// Hàng đợi kiểm duyệt ảnh: user báo cáo ảnh, moderator / admin tự gắn cờ, rồi ẩn / khôi phục / xoá hẳn.
+//
+// - `image_reports`: mỗi báo cáo (hoặc cờ của admin), trạng thái pending -> resolved | dismissed
+// - `image_moderation_actions`: nhật ký các quyết định kèm lý do, chủ ảnh xem lại được
+//   (giữ cả prompt / URL của ảnh để vẫn đọc được sau khi ảnh bị xoá hẳn)
+// - `images.moderation_status`: visible | hidden. Ảnh bị ẩn vẫn nằm trong storage cho đến khi được xử lý xong.
+
+export const REPORT_REASONS = ['nsfw', 'violence', 'hate', 'copyright', 'spam', 'other'];
+export const REPORT_STATUSES = ['pending', 'resolved', 'dismissed'];
+export const MAX_MODERATION_REASON_LENGTH = 500;
+
+export const createImageModerationService = ({ supabase }) => {
+    // Đóng mọi báo cáo đang chờ của ảnh với kết quả tương ứng
+    const resolveReports = async (imageId, { resolution, resolvedBy, reason }) => {
+        const { data, error } = await supabase
+            .from('image_reports')
+            .update({
+                status: resolution === 'restored' ? 'dismissed' : 'resolved',
+                resolution,
+                resolution_reason: reason,
+                resolved_by: resolvedBy,
+                resolved_at: new Date().toISOString()
+            })
+            .eq('image_id', imageId)
+            .eq('status', 'pending')
+            .select('id');
+        if (error) throw error;
+        return data?.length || 0;
+    };
+
+    const recordAction = async (image, { action, reason, moderatorId }) => {
+        const { data, error } = await supabase
+            .from('image_moderation_actions')
+            .insert({
+                image_id: image.id,
+                user_id: image.user_id,
+                action,
+                reason,
+                moderator_id: moderatorId,
+                image_prompt: image.prompt?.substring(0, 500) || null,
+                image_url: image.image_url
+            })
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    };
+
+    const setStatus = async (image, status, { reason, moderatorId }) => {
+        const { data, error } = await supabase
+            .from('images')
+            .update({
+                moderation_status: status,
+                moderation_reason: status === 'hidden' ? reason : null,
+                moderated_by: moderatorId,
+                moderated_at: new Date().toISOString()
+            })
+            .eq('id', image.id)
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    };
+
+    return {
+        // Báo cáo của user (source = user) hoặc cờ của moderator / admin (source = admin)
+        async report(image, { reporterId, source, reason, details = null }) {
+            const { data, error } = await supabase
+                .from('image_reports')
+                .insert({
+                    image_id: image.id,
+                    image_owner_id: image.user_id,
+                    reporter_id: reporterId,
+                    source,
+                    reason,
+                    details,
+                    status: 'pending'
+                })
+                .select()
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        async hasPendingReport(imageId, reporterId) {
+            const { data, error } = await supabase
+                .from('image_reports')
+                .select('id')
+                .eq('image_id', imageId)
+                .eq('reporter_id', reporterId)
+                .eq('status', 'pending')
+                .limit(1);
+            if (error) throw error;
+            return data.length > 0;
+        },
+
+        async listReports({ status = 'pending', offset = 0, limit = 20 } = {}) {
+            let query = supabase
+                .from('image_reports')
+                .select('*', { count: 'exact' })
+                .order('created_at', { ascending: status === 'pending' });
+            if (status !== 'all') query = query.eq('status', status);
+
+            const { data, error, count } = await query.range(offset, offset + limit - 1);
+            if (error) throw error;
+            return { reports: data || [], total: count || 0 };
+        },
+
+        async hide(image, { reason, moderatorId }) {
+            const updated = await setStatus(image, 'hidden', { reason, moderatorId });
+            const resolvedReports = await resolveReports(image.id, { resolution: 'hidden', resolvedBy: moderatorId, reason });
+            await recordAction(image, { action: 'hide', reason, moderatorId });
+            return { image: updated, resolvedReports };
+        },
+
+        async restore(image, { reason, moderatorId }) {
+            const updated = await setStatus(image, 'visible', { reason, moderatorId });
+            const resolvedReports = await resolveReports(image.id, { resolution: 'restored', resolvedBy: moderatorId, reason });
+            await recordAction(image, { action: 'restore', reason, moderatorId });
+            return { image: updated, resolvedReports };
+        },
+
+        // Ghi nhật ký trước khi xoá dòng `images` (báo cáo giữ lại với image_id = NULL)
+        async recordRemoval(image, { reason, moderatorId }) {
+            const resolvedReports = await resolveReports(image.id, { resolution: 'removed', resolvedBy: moderatorId, reason });
+            await recordAction(image, { action: 'remove', reason, moderatorId });
+            return { resolvedReports };
+        },
+
+        // Các quyết định kiểm duyệt liên quan đến ảnh của user
+        async listActionsForUser(userId, limit = 50) {
+            const { data, error } = await supabase
+                .from('image_moderation_actions')
+                .select('id, image_id, action, reason, image_prompt, image_url, created_at')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return data || [];
+        }
+    };
+};
@@ -0,0 +1,211 @@
+// File: server/jobs.js
+// Hàng đợi job chạy nền, lưu trạng thái trong bảng `generation_jobs` để không mất job khi server khởi động lại.
+//
+// Vòng đời: queued -> running -> uploading -> done | failed | cancelled
+// Job chỉ huỷ được khi đang queued / running; từ uploading ảnh đã bắt đầu được lưu nên không huỷ nữa.
+// Server dừng giữa chừng: job queued / running được chạy lại từ đầu, job uploading chuyển sang failed
+// và giữ các ảnh đã lưu (ghi dần vào `result`) thay vì sinh lại cả batch.
+
+import { EventEmitter } from 'events';
+
+export const JOB_STATUSES = ['queued', 'running', 'uploading', 'done', 'failed', 'cancelled'];
+const TERMINAL_STATUSES = ['done', 'failed', 'cancelled'];
+const RESUMABLE_STATUSES = ['queued', 'running'];
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+const cancelledError = () => {
+    const error = new Error('Job cancelled');
+    error.code = 'JOB_CANCELLED';
+    return error;
+};
+
+const notCancellableError = () => {
+    const error = new Error('Job is already saving its images and can no longer be cancelled');
+    error.code = 'JOB_NOT_CANCELLABLE';
+    return error;
+};
+
+/**
+ * Tạo hàng đợi job.
+ * `handlers` map từ job.type sang hàm async (job, context) => result,
+ * trong đó context = { signal, setStatus(status), saveProgress(result) }. Handler phải kiểm tra `signal` trước mỗi
+ * bước tốn thời gian (`signal.throwIfAborted()`); sau setStatus('uploading') job không còn bị huỷ.
+ * `saveProgress` ghi kết quả tạm (các ảnh đã lưu) vào `result` để còn giữ được nếu server dừng giữa chừng.
+ * `onSettled(job)` (tuỳ chọn) được gọi một lần khi job kết thúc (done / failed / cancelled).
+ * Handler lỗi sau khi đã lưu một phần kết quả thì gắn `err.partialResult`; job failed giữ nó trong `result`.
+ */
+export const createJobQueue = ({ supabase, handlers, concurrency = 1, table = 'generation_jobs', onSettled }) => {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    const pending = [];
+    const running = new Map(); // jobId -> { controller, cancellable, finished }
+
+    const get = async (jobId) => {
+        const { data, error } = await supabase.from(table).select('*').eq('id', jobId).maybeSingle();
+        if (error) throw error;
+        return data;
+    };
+
+    const update = async (jobId, patch) => {
+        const { data, error } = await supabase
+            .from(table)
+            .update({ ...patch, updated_at: new Date().toISOString() })
+            .eq('id', jobId)
+            .select()
+            .single();
+        if (error) throw error;
+        events.emit('update', data);
+        return data;
+    };
+
+    const settle = async (job) => {
+        if (!onSettled) return;
+        try {
+            await onSettled(job);
+        } catch (err) {
+            console.error(`❌ [Job ${job.id}] onSettled error:`, err);
+        }
+    };
+
+    const run = async (jobId) => {
+        const controller = new AbortController();
+        const entry = { controller, cancellable: true };
+        entry.finished = new Promise((resolve) => { entry.resolve = resolve; });
+        running.set(jobId, entry);
+
+        try {
+            const job = await get(jobId);
+            if (!job || job.status !== 'queued') return;
+
+            const handler = handlers[job.type];
+            if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+
+            const started = await update(jobId, { status: 'running', started_at: new Date().toISOString() });
+            const setStatus = async (status) => {
+                if (controller.signal.aborted) throw cancelledError();
+                // Đánh dấu đồng bộ trước khi ghi DB để cancel() đến sau đó bị từ chối
+                if (status === 'uploading') entry.cancellable = false;
+                return update(jobId, { status });
+            };
+            const saveProgress = (result) => update(jobId, { result });
+
+            const result = await handler(started, { signal: controller.signal, setStatus, saveProgress });
+            if (controller.signal.aborted) throw cancelledError();
+
+            const finished = await update(jobId, { status: 'done', result, finished_at: new Date().toISOString() });
+            console.log(`✅ [Job ${jobId}] done`);
+            await settle(finished);
+        } catch (err) {
+            const cancelled = controller.signal.aborted || err.code === 'JOB_CANCELLED';
+            console.error(`❌ [Job ${jobId}] ${cancelled ? 'cancelled' : 'failed'}:`, err.message);
+            const finished = await update(jobId, {
+                status: cancelled ? 'cancelled' : 'failed',
+                error: cancelled ? null : err.message,
+                ...(err.partialResult && { result: err.partialResult }),
+                finished_at: new Date().toISOString()
+            }).catch((updateErr) => console.error(`❌ [Job ${jobId}] Failed to save status:`, updateErr));
+            if (finished) await settle(finished);
+        } finally {
+            running.delete(jobId);
+            entry.resolve();
+            drain();
+        }
+    };
+
+    const drain = () => {
+        while (running.size < concurrency && pending.length > 0) {
+            run(pending.shift());
+        }
+    };
+
+    const enqueue = (jobId) => {
+        pending.push(jobId);
+        drain();
+    };
+
+    return {
+        events,
+        get,
+
+        // `id` có thể truyền sẵn để ghi sổ (ví dụ credits) trước khi job được tạo;
+        // `apiKeyId` là API key đã tạo job (null nếu tạo từ trình duyệt)
+        async create(userId, type, params, { id, apiKeyId = null } = {}) {
+            const { data: job, error } = await supabase
+                .from(table)
+                .insert({ ...(id ? { id } : {}), user_id: userId, type, status: 'queued', params, api_key_id: apiKeyId })
+                .select()
+                .single();
+            if (error) throw error;
+
+            events.emit('update', job);
+            enqueue(job.id);
+            return job;
+        },
+
+        async listForUser(userId, limit = 20) {
+            const { data, error } = await supabase
+                .from(table)
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return data || [];
+        },
+
+        async cancel(job) {
+            if (isTerminalStatus(job.status)) return job;
+
+            const index = pending.indexOf(job.id);
+            if (index !== -1) pending.splice(index, 1);
+
+            const entry = running.get(job.id);
+            if (entry) {
+                if (!entry.cancellable) throw notCancellableError();
+                // Job đang chạy: chờ handler dừng rồi trả về trạng thái đã ghi
+                // (done / failed nếu job kết thúc trước khi kịp nhận tín hiệu huỷ)
+                entry.controller.abort();
+                await entry.finished;
+                return get(job.id);
+            }
+
+            const cancelled = await update(job.id, { status: 'cancelled', finished_at: new Date().toISOString() });
+            await settle(cancelled);
+            return cancelled;
+        },
+
+        // Job chưa hoàn tất do server dừng giữa chừng: job chưa lưu ảnh nào được đưa lại hàng đợi,
+        // job đang uploading được kết thúc là failed với các ảnh đã lưu (chạy lại sẽ lưu trùng ảnh).
+        // Trả về { requeued, failed }
+        async recover() {
+            const { data: jobs, error } = await supabase
+                .from(table)
+                .select('id, status')
+                .in('status', [...RESUMABLE_STATUSES, 'uploading'])
+                .order('created_at', { ascending: true });
+            if (error) throw error;
+
+            const recovered = { requeued: 0, failed: 0 };
+            for (const job of jobs || []) {
+                if (job.status === 'uploading') {
+                    const failed = await update(job.id, {
+                        status: 'failed',
+                        error: 'Interrupted by a server restart while saving images',
+                        finished_at: new Date().toISOString()
+                    });
+                    await settle(failed);
+                    recovered.failed++;
+                    continue;
+                }
+                if (job.status !== 'queued') {
+                    await update(job.id, { status: 'queued' });
+                }
+                enqueue(job.id);
+                recovered.requeued++;
+            }
+            return recovered;
+        }
+    };
+};
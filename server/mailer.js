@@ -0,0 +1,56 @@
+// File: server/mailer.js
+// Gửi email qua transport cấu hình bởi MAIL_TRANSPORT:
+//   smtp    - gửi thật qua SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   file    - ghi mỗi email thành một file .json trong MAIL_OUTPUT_DIR (phát triển / test)
+//   console - in email ra console (mặc định)
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === '1',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return (message) => transporter.sendMail(message);
+};
+
+const createFileTransport = () => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || '.mail';
+    return async (message) => {
+        await fs.mkdir(outputDir, { recursive: true });
+        const fileName = `${Date.now()}_${message.to.replace(/[^a-z0-9@.]/gi, '_')}.json`;
+        await fs.writeFile(path.join(outputDir, fileName), JSON.stringify(message, null, 2));
+        console.log(`📧 Email to ${message.to} written to ${path.join(outputDir, fileName)}`);
+    };
+};
+
+const consoleTransport = async (message) => {
+    console.log('📧 ===== EMAIL =====');
+    console.log(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    console.log('📧 ==================');
+};
+
+export const createMailer = () => {
+    const transportName = process.env.MAIL_TRANSPORT || 'console';
+    const from = process.env.MAIL_FROM || 'Dreamina <no-reply@dreamina.com>';
+
+    let send;
+    if (transportName === 'smtp') {
+        send = createSmtpTransport();
+    } else if (transportName === 'file') {
+        send = createFileTransport();
+    } else {
+        send = consoleTransport;
+    }
+
+    return {
+        transport: transportName,
+        async sendMail({ to, subject, text, html }) {
+            return send({ from, to, subject, text, html });
+        }
+    };
+};
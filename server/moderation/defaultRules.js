@@ -0,0 +1,31 @@
+// File: server/moderation/defaultRules.js
+// Bộ luật kiểm duyệt mặc định (tiếng Anh + tiếng Việt không dấu).
+// Từ khoá và regex được so khớp trên prompt ĐÃ chuẩn hoá (xem normalize.js), nên viết ở dạng
+// chữ thường, không dấu. Có thể mở rộng / thay thế bằng MODERATION_RULES_FILE.
+
+export const DEFAULT_RULES = {
+    blocklist: [
+        {
+            category: 'sexual_minors',
+            terms: ['child porn', 'loli', 'lolicon', 'shota', 'shotacon', 'au dam', 'tre em khoa than']
+        },
+        {
+            category: 'sexual',
+            terms: ['porn', 'porno', 'pornography', 'hentai', 'nsfw', 'nude', 'nudity', 'naked', 'xxx', 'khoa than', 'khieu dam', 'doi truy']
+        },
+        {
+            category: 'violence',
+            terms: ['gore', 'beheading', 'decapitated', 'dismembered', 'mutilated', 'chat dau', 'tham sat']
+        }
+    ],
+    patterns: [
+        {
+            category: 'sexual_minors',
+            pattern: '\\b(child|children|kid|kids|minor|minors|underage|tre em|be gai|be trai)\\b.*\\b(sex|sexy|sexual|nude|naked|porn|tinh duc|khoa than)\\b'
+        },
+        {
+            category: 'sexual_minors',
+            pattern: '\\b(sex|sexy|sexual|nude|naked|porn|tinh duc|khoa than)\\b.*\\b(child|children|kid|kids|minor|minors|underage|tre em|be gai|be trai)\\b'
+        }
+    ]
+};
@@ -0,0 +1,134 @@
+// File: server/moderation/index.js
+// Kiểm duyệt prompt trước khi gọi GPU: blocklist + regex trên prompt đã chuẩn hoá,
+// sau đó (tuỳ chọn) một bộ phân loại bên ngoài.
+//
+// Bộ phân loại có dạng { name, classify(prompt, { normalized }) => Promise<{ flagged, categories }> },
+// chọn theo MODERATION_CLASSIFIER (none | openai) hoặc truyền thẳng vào createPromptModerator.
+//
+// File luật (MODERATION_RULES_FILE, JSON) có cùng dạng với DEFAULT_RULES:
+//   { "blocklist": [{ "category": "...", "terms": ["..."] }],
+//     "patterns": [{ "category": "...", "pattern": "regex" }],
+//     "replaceDefaults": false }
+// MODERATION_BLOCKLIST thêm nhanh các từ khoá (phân cách bằng dấu phẩy) vào category "custom".
+
+import fs from 'fs';
+import { normalizeText } from './normalize.js';
+import { DEFAULT_RULES } from './defaultRules.js';
+import { createOpenAIClassifier } from './openai.js';
+
+const CLASSIFIERS = {
+    openai: createOpenAIClassifier
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Đọc luật mặc định + file cấu hình + biến môi trường
+export const loadModerationRules = () => {
+    let rules = DEFAULT_RULES;
+
+    if (process.env.MODERATION_RULES_FILE) {
+        const custom = JSON.parse(fs.readFileSync(process.env.MODERATION_RULES_FILE, 'utf8'));
+        rules = {
+            blocklist: [...(custom.replaceDefaults ? [] : rules.blocklist), ...(custom.blocklist || [])],
+            patterns: [...(custom.replaceDefaults ? [] : rules.patterns), ...(custom.patterns || [])]
+        };
+    }
+
+    const extraTerms = (process.env.MODERATION_BLOCKLIST || '').split(',').map((term) => term.trim()).filter(Boolean);
+    if (extraTerms.length > 0) {
+        rules = { ...rules, blocklist: [...rules.blocklist, { category: 'custom', terms: extraTerms }] };
+    }
+
+    return rules;
+};
+
+const termRegExp = (term) => new RegExp(`(^| )${escapeRegExp(term)}( |$)`);
+
+// Từ khoá ngắn hơn mức này sau khi chuẩn hoá sẽ khớp cả chữ đứng riêng ("x" trong "3 x 3") nên bị bỏ
+const MIN_TERM_LENGTH = 2;
+
+// Từ khoá blocklist so với prompt đã gộp ký tự lặp ("nuuude" -> "nude"); nếu bản gộp quá ngắn
+// ("xxx" -> "x") thì so nguyên văn với prompt không gộp, để "X-Men" hay "3 x 3" không bị chặn
+const compileTerm = (category, term) => {
+    const collapsed = normalizeText(term);
+    if (collapsed.length >= MIN_TERM_LENGTH) {
+        return { category, source: 'blocklist', rule: collapsed, target: 'normalized', regex: termRegExp(collapsed) };
+    }
+    const exact = normalizeText(term, { collapseRepeats: false });
+    if (exact.length >= MIN_TERM_LENGTH) {
+        return { category, source: 'blocklist', rule: exact, target: 'exact', regex: termRegExp(exact) };
+    }
+    console.warn(`⚠️ [Moderation] Ignoring blocklist term "${term}": too short after normalization`);
+    return null;
+};
+
+// Biên dịch luật một lần; regex sai cú pháp làm server dừng ngay khi khởi động
+const compileRules = ({ blocklist = [], patterns = [] }) => [
+    ...blocklist.flatMap(({ category, terms }) => terms
+        .map((term) => compileTerm(category, term))
+        .filter(Boolean)),
+    ...patterns.map(({ category, pattern }) => ({
+        category,
+        source: 'regex',
+        rule: pattern,
+        target: 'normalized',
+        regex: new RegExp(pattern)
+    }))
+];
+
+export const createModerationClassifier = () => {
+    const name = (process.env.MODERATION_CLASSIFIER || 'none').toLowerCase();
+    if (name === 'none') return null;
+
+    const factory = CLASSIFIERS[name];
+    if (!factory) {
+        console.warn(`⚠️ Unknown MODERATION_CLASSIFIER "${name}", prompt classifier disabled`);
+        return null;
+    }
+    return factory();
+};
+
+/**
+ * Tạo bộ kiểm duyệt prompt.
+ * `check(prompt)` trả về { allowed, normalized, reasons: [{ category, source, rule }] }.
+ * Lỗi của bộ phân loại được bỏ qua (chỉ dùng luật) trừ khi `failClosed`, khi đó ném lỗi status 503.
+ */
+export const createPromptModerator = ({
+    rules = loadModerationRules(),
+    classifier = createModerationClassifier(),
+    failClosed = process.env.MODERATION_FAIL_CLOSED === '1'
+} = {}) => {
+    const compiled = compileRules(rules);
+
+    return {
+        classifier: classifier?.name || null,
+
+        async check(prompt) {
+            const normalized = normalizeText(prompt);
+            const texts = { normalized, exact: normalizeText(prompt, { collapseRepeats: false }) };
+            const reasons = compiled
+                .filter((rule) => rule.regex.test(texts[rule.target]))
+                .map(({ category, source, rule }) => ({ category, source, rule }));
+
+            // Chỉ gọi bộ phân loại (tốn phí / chậm) khi luật cục bộ không chặn
+            if (reasons.length === 0 && classifier) {
+                try {
+                    const result = await classifier.classify(prompt, { normalized });
+                    if (result.flagged) {
+                        const categories = result.categories?.length ? result.categories : ['flagged'];
+                        reasons.push(...categories.map((category) => ({ category, source: 'classifier', rule: classifier.name })));
+                    }
+                } catch (err) {
+                    console.error(`❌ [Moderation] Classifier "${classifier.name}" error:`, err.message);
+                    if (failClosed) {
+                        const error = new Error('Prompt moderation is temporarily unavailable. Please try again later.');
+                        error.status = 503;
+                        throw error;
+                    }
+                }
+            }
+
+            return { allowed: reasons.length === 0, normalized, reasons };
+        }
+    };
+};
@@ -0,0 +1,44 @@
+// File: server/moderation/normalize.js
+// Chuẩn hoá prompt trước khi so khớp luật kiểm duyệt: chữ thường, bỏ dấu tiếng Việt,
+// giải leetspeak ("s3x" -> "sex"), bỏ ký tự lạ và gộp chữ bị tách rời ("n.u.d.e" -> "nude").
+
+const LEET = {
+    '0': 'o',
+    '1': 'i',
+    '3': 'e',
+    '4': 'a',
+    '5': 's',
+    '7': 't',
+    '8': 'b',
+    '@': 'a',
+    '$': 's',
+    '!': 'i',
+    '|': 'i',
+    '+': 't'
+};
+const LEET_CHARS = /[0-9@$!|+]/g;
+
+// "khỏa thân" -> "khoa than", "Đồi trụy" -> "doi truy"
+export const stripDiacritics = (text) => text
+    .replace(/[đĐ]/g, 'd')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+// Chỉ giải leetspeak trong token có từ 2 chữ cái trở lên, để "4k" hay "1920x1080" giữ nguyên
+const decodeLeet = (token) => ((token.match(/[a-z]/g) || []).length >= 2 ? token.replace(LEET_CHARS, (ch) => LEET[ch]) : token);
+
+/**
+ * Trả về chuỗi đã chuẩn hoá, các từ cách nhau đúng một dấu cách.
+ * `collapseRepeats: false` giữ nguyên ký tự lặp, dùng cho từ khoá mà bản gộp quá ngắn ("xxx" -> "x").
+ */
+export const normalizeText = (text, { collapseRepeats = true } = {}) => {
+    const tokens = stripDiacritics(String(text).toLowerCase())
+        .split(/\s+/)
+        .map(decodeLeet)
+        .join(' ')
+        .replace(/[^a-z0-9]+/g, ' ');
+
+    return (collapseRepeats ? tokens.replace(/(.)\1{2,}/g, '$1') : tokens) // "nuuuude" -> "nude"
+        .replace(/\b(?:[a-z] ){2,}[a-z]\b/g, (run) => run.replace(/ /g, '')) // "n u d e" -> "nude"
+        .trim();
+};
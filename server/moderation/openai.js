@@ -0,0 +1,29 @@
+// File: server/moderation/openai.js
+// Bộ phân loại dùng Moderation API của OpenAI (MODERATION_CLASSIFIER=openai).
+
+import OpenAI from 'openai';
+
+export const createOpenAIClassifier = () => {
+    if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY is required when MODERATION_CLASSIFIER=openai');
+    }
+
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const model = process.env.OPENAI_MODERATION_MODEL || 'omni-moderation-latest';
+
+    return {
+        name: 'openai',
+        async classify(prompt) {
+            const response = await client.moderations.create({ model, input: prompt });
+            const result = response.results?.[0];
+            if (!result) throw new Error('OpenAI moderation error: no result returned');
+
+            return {
+                flagged: result.flagged,
+                categories: Object.entries(result.categories || {})
+                    .filter(([, flagged]) => flagged)
+                    .map(([category]) => category)
+            };
+        }
+    };
+};
@@ -0,0 +1,151 @@
+// File: server/openapi.js
+// Sinh tài liệu OpenAPI 3 từ các route đã đăng ký trên app Express và spec của validateRequest (server/validation.js),
+// cùng trang tài liệu tương tác (Swagger UI tải từ CDN).
+//
+// Middleware xác thực được nhận diện qua thuộc tính `auth` gắn trên hàm:
+// { required: true | false, roles?: [...] } (xem protect, optionalAuth, requireRole trong server.js).
+
+import { VALIDATION_ERROR_CODE } from './validation.js';
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        code: { type: 'string' },
+        details: {}
+    },
+    required: ['error']
+};
+
+const VALIDATION_ERROR_SCHEMA = {
+    type: 'object',
+    properties: {
+        error: { type: 'string', description: 'The first validation error' },
+        code: { type: 'string', enum: [VALIDATION_ERROR_CODE] },
+        details: { type: 'array', items: { type: 'string' }, description: 'Every validation error' }
+    },
+    required: ['error', 'code', 'details']
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+    description,
+    content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+// '/api/images/:imageId' -> '/api/images/{imageId}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// `description` nằm ở parameter, không nằm trong schema của nó
+const parameterSchema = (schema) => {
+    const { description, ...rest } = schema;
+    return rest;
+};
+
+const buildParameters = (location, schema, names = []) => {
+    const properties = schema?.properties || {};
+    const parameters = Object.entries(properties).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || Boolean(schema.required?.includes(name)),
+        ...(property.description ? { description: property.description } : {}),
+        schema: parameterSchema(property)
+    }));
+    // Params của đường dẫn không được khai báo schema vẫn phải có trong tài liệu
+    for (const name of names) {
+        if (!properties[name]) parameters.push({ name, in: location, required: true, schema: { type: 'string' } });
+    }
+    return parameters;
+};
+
+const buildRequestBody = (spec) => {
+    if (!spec.body) return undefined;
+    return {
+        required: Boolean(spec.body.required?.length),
+        content: { [spec.multipart ? 'multipart/form-data' : 'application/json']: { schema: spec.body } }
+    };
+};
+
+/**
+ * Tạo tài liệu OpenAPI từ `app`.
+ * `extendOperation(operation, { method, path })` (tuỳ chọn) được gọi cho mỗi operation để bổ sung thông tin riêng
+ * của server (ví dụ security của API key); `path` là đường dẫn Express gốc.
+ */
+export const buildOpenApiDocument = (app, { info, securitySchemes = {}, extendOperation } = {}) => {
+    const paths = {};
+
+    for (const layer of app._router?.stack || []) {
+        const { route } = layer;
+        if (!route || typeof route.path !== 'string' || !route.path.startsWith('/api/')) continue;
+
+        const handlers = route.stack.map((item) => item.handle);
+        const spec = handlers.find((handler) => handler.apiSpec)?.apiSpec || {};
+        const auth = handlers.find((handler) => handler.auth)?.auth;
+        const pathNames = [...route.path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+        const openApiPath = toOpenApiPath(route.path);
+
+        for (const method of HTTP_METHODS.filter((name) => route.methods[name])) {
+            const responses = {};
+            for (const [status, description] of Object.entries(spec.responses || { 200: 'OK' })) {
+                responses[status] = { description };
+            }
+            if (spec.params || spec.query || spec.body) responses[400] = errorResponse('Invalid request', 'ValidationError');
+            if (auth?.required) responses[401] = errorResponse('Not authenticated');
+            if (auth?.roles) responses[403] = errorResponse(`Requires role: ${auth.roles.join(' or ')}`);
+
+            const operation = {
+                ...(spec.summary ? { summary: spec.summary } : {}),
+                ...(spec.description ? { description: spec.description } : {}),
+                ...(spec.tags ? { tags: spec.tags } : {}),
+                parameters: [
+                    ...buildParameters('path', spec.params, pathNames),
+                    ...buildParameters('query', spec.query)
+                ],
+                ...(buildRequestBody(spec) ? { requestBody: buildRequestBody(spec) } : {}),
+                responses
+            };
+            // Không đăng nhập: security rỗng; optionalAuth: {} nghĩa là token không bắt buộc
+            operation.security = auth ? [...(auth.required ? [] : [{}]), { bearerAuth: [] }] : [];
+            extendOperation?.(operation, { method: method.toUpperCase(), path: route.path });
+
+            paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                ...securitySchemes
+            },
+            schemas: { Error: ERROR_SCHEMA, ValidationError: VALIDATION_ERROR_SCHEMA }
+        }
+    };
+};
+
+// Swagger UI lấy từ CDN: ghim đúng phiên bản và kiểm tra Subresource Integrity, đổi phiên bản thì tính lại hash
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5.33.0';
+const SWAGGER_UI_CSS_INTEGRITY = 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW';
+const SWAGGER_UI_JS_INTEGRITY = 'sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf';
+
+// Trang Swagger UI đọc tài liệu từ `specUrl`
+export const apiDocsPage = ({ title, specUrl }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css" integrity="${SWAGGER_UI_CSS_INTEGRITY}" crossorigin="anonymous">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_JS_INTEGRITY}" crossorigin="anonymous"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', persistAuthorization: true });
+    </script>
+</body>
+</html>
+`;
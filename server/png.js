@@ -0,0 +1,210 @@
+// File: server/png.js
+// Bộ mã hoá / giải mã PNG tối giản (RGBA 8-bit) dùng cho provider mock, không cần thư viện ảnh ngoài.
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+};
+
+/**
+ * Mã hoá buffer điểm ảnh RGBA (width * height * 4 byte) thành file PNG.
+ */
+export const encodePng = (width, height, rgba) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 6;  // color type: RGBA
+    header[10] = 0; // compression
+    header[11] = 0; // filter
+    header[12] = 0; // interlace
+
+    // Mỗi dòng bắt đầu bằng 1 byte filter (0 = None)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+};
+
+// Số kênh màu theo color type của PNG
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+};
+
+/**
+ * Giải mã PNG 8-bit không interlace thành { width, height, rgba }.
+ * Đủ cho ảnh do provider trả về và ảnh người dùng upload ở định dạng PNG thông dụng.
+ */
+export const decodePng = (buffer) => {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG image');
+    }
+
+    let offset = 8;
+    let width, height, bitDepth, colorType, interlace;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (bitDepth !== 8 || interlace !== 0 || !CHANNELS[colorType]) {
+        throw new Error(`Unsupported PNG format (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+    }
+
+    const channels = CHANNELS[colorType];
+    const stride = width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const pixels = Buffer.alloc(stride * height);
+
+    // Bỏ filter từng dòng
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+        const prev = out - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? pixels[out + x - channels] : 0;
+            const up = y > 0 ? pixels[prev + x] : 0;
+            const upLeft = y > 0 && x >= channels ? pixels[prev + x - channels] : 0;
+            let value = line[x];
+
+            if (filter === 1) value += left;
+            else if (filter === 2) value += up;
+            else if (filter === 3) value += (left + up) >> 1;
+            else if (filter === 4) value += paeth(left, up, upLeft);
+
+            pixels[out + x] = value & 0xff;
+        }
+    }
+
+    // Chuyển về RGBA
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const src = i * channels;
+        const dst = i * 4;
+        if (colorType === 6) {
+            pixels.copy(rgba, dst, src, src + 4);
+        } else if (colorType === 2) {
+            rgba[dst] = pixels[src];
+            rgba[dst + 1] = pixels[src + 1];
+            rgba[dst + 2] = pixels[src + 2];
+            rgba[dst + 3] = 255;
+        } else if (colorType === 3) {
+            const index = pixels[src];
+            rgba[dst] = palette[index * 3];
+            rgba[dst + 1] = palette[index * 3 + 1];
+            rgba[dst + 2] = palette[index * 3 + 2];
+            rgba[dst + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else {
+            // Grayscale (0) hoặc grayscale + alpha (4)
+            rgba[dst] = rgba[dst + 1] = rgba[dst + 2] = pixels[src];
+            rgba[dst + 3] = colorType === 4 ? pixels[src + 1] : 255;
+        }
+    }
+
+    return { width, height, rgba };
+};
+
+// Đọc kích thước từ header IHDR mà không giải mã cả ảnh; trả về null nếu không phải PNG
+export const readPngSize = (buffer) => {
+    if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+/**
+ * Đổi kích thước buffer RGBA bằng nội suy song tuyến (bilinear).
+ */
+export const resizeRgba = ({ width, height, rgba }, newWidth, newHeight) => {
+    const out = Buffer.alloc(newWidth * newHeight * 4);
+    const scaleX = width / newWidth;
+    const scaleY = height / newHeight;
+
+    for (let y = 0; y < newHeight; y++) {
+        const srcY = Math.min(Math.max((y + 0.5) * scaleY - 0.5, 0), height - 1);
+        const y0 = Math.floor(srcY);
+        const y1 = Math.min(y0 + 1, height - 1);
+        const fy = srcY - y0;
+
+        for (let x = 0; x < newWidth; x++) {
+            const srcX = Math.min(Math.max((x + 0.5) * scaleX - 0.5, 0), width - 1);
+            const x0 = Math.floor(srcX);
+            const x1 = Math.min(x0 + 1, width - 1);
+            const fx = srcX - x0;
+
+            for (let c = 0; c < 4; c++) {
+                const top = rgba[(y0 * width + x0) * 4 + c] * (1 - fx) + rgba[(y0 * width + x1) * 4 + c] * fx;
+                const bottom = rgba[(y1 * width + x0) * 4 + c] * (1 - fx) + rgba[(y1 * width + x1) * 4 + c] * fx;
+                out[(y * newWidth + x) * 4 + c] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+    }
+
+    return { width: newWidth, height: newHeight, rgba: out };
+};
@@ -0,0 +1,93 @@
+// File: server/providers/colab.js
+// Provider gọi đến notebook Stable Diffusion chạy trên Colab (qua tunnel ngrok).
+
+// Colab trả về ảnh dưới dạng blob
+const readImage = async (response) => {
+    const imageBlob = await response.blob();
+    return {
+        buffer: Buffer.from(await imageBlob.arrayBuffer()),
+        contentType: imageBlob.type || 'image/png'
+    };
+};
+
+export const createColabProvider = () => {
+    const baseUrl = process.env.VITE_AI_GENERATOR_API_URL || 'https://e9ddc7ce508d.ngrok-free.app';
+
+    return {
+        name: 'colab',
+        async generate({ prompt, negativePrompt, width, height, seed, steps, guidanceScale, sampler, signal }) {
+            const response = await fetch(`${baseUrl}/generate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'ngrok-skip-browser-warning': 'true' // Bỏ qua warning của ngrok
+                },
+                body: JSON.stringify({
+                    prompt,
+                    negative_prompt: negativePrompt,
+                    width,
+                    height,
+                    seed,
+                    num_inference_steps: steps,
+                    guidance_scale: guidanceScale,
+                    sampler
+                }),
+                signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Colab API error: ${response.status}`);
+            }
+
+            return readImage(response);
+        },
+
+        // Notebook cần expose thêm route /edit (img2img, và inpainting khi có mask)
+        async edit({ image, mask, prompt, negativePrompt, seed, steps, guidanceScale, sampler, strength, signal }) {
+            const response = await fetch(`${baseUrl}/edit`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'ngrok-skip-browser-warning': 'true'
+                },
+                body: JSON.stringify({
+                    prompt,
+                    negative_prompt: negativePrompt,
+                    init_image: image.toString('base64'),
+                    mask_image: mask ? mask.toString('base64') : null,
+                    strength,
+                    seed,
+                    num_inference_steps: steps,
+                    guidance_scale: guidanceScale,
+                    sampler
+                }),
+                signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Colab API error: ${response.status}`);
+            }
+
+            return readImage(response);
+        },
+
+        // Notebook cần expose route /upscale (ví dụ Real-ESRGAN)
+        async upscale({ image, scale, signal }) {
+            const response = await fetch(`${baseUrl}/upscale`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'ngrok-skip-browser-warning': 'true'
+                },
+                body: JSON.stringify({ image: image.toString('base64'), scale }),
+                signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Colab API error: ${response.status}`);
+            }
+
+            return readImage(response);
+        }
+    };
+};
@@ -0,0 +1,45 @@
+// File: server/providers/index.js
+// Chọn provider sinh ảnh theo biến môi trường PROVIDER (hoặc MOCK_MODE=1).
+//
+// Mỗi provider có dạng:
+//   { name, generate(params) => Promise<{ buffer, contentType }>,
+//           edit({ ...params, image, mask, strength }) => Promise<{ buffer, contentType }>,
+//           upscale({ image, scale, signal }) => Promise<{ buffer, contentType }>,
+//           variation({ ...params, image, strength }) => Promise<{ buffer, contentType }> }
+// với params = { prompt, negativePrompt, width, height, seed, steps, guidanceScale, sampler, signal }
+// (xem server/generationParams.js). `signal` là AbortSignal để huỷ request khi job bị cancel.
+// Với edit, `image` và `mask` là Buffer; mask có vùng trắng là vùng được vẽ lại.
+
+import { createColabProvider } from './colab.js';
+import { createStabilityProvider } from './stability.js';
+import { createOpenAIProvider } from './openai.js';
+import { createReplicateProvider } from './replicate.js';
+import { createMockProvider } from './mock.js';
+
+const PROVIDERS = {
+    colab: createColabProvider,
+    stability: createStabilityProvider,
+    openai: createOpenAIProvider,
+    replicate: createReplicateProvider,
+    mock: createMockProvider
+};
+
+// Provider không có API biến thể riêng thì tạo biến thể bằng img2img với strength thấp
+const withDefaults = (provider) => ({
+    variation: (params) => provider.edit({ ...params, mask: null }),
+    ...provider
+});
+
+export const createImageProvider = () => {
+    if (process.env.MOCK_MODE === '1') {
+        return withDefaults(createMockProvider());
+    }
+
+    const name = (process.env.PROVIDER || 'colab').toLowerCase();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        console.warn(`⚠️ Unknown PROVIDER "${name}", falling back to colab`);
+        return withDefaults(createColabProvider());
+    }
+    return withDefaults(factory());
+};
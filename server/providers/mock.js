@@ -0,0 +1,117 @@
+// File: server/providers/mock.js
+// Provider giả lập cho MOCK_MODE=1: sinh ảnh PNG placeholder xác định theo prompt và seed,
+// giúp phát triển và chạy CI mà không cần GPU / tunnel Colab.
+
+import crypto from 'crypto';
+import { encodePng, decodePng, resizeRgba } from '../png.js';
+
+const DEFAULT_SIZE = 512;
+
+// Cùng prompt + tham số luôn cho cùng màu sắc và bố cục
+const seedBytes = (text) => crypto.createHash('sha256').update(text).digest();
+
+const renderPixels = (key, width, height) => {
+    const bytes = seedBytes(key);
+    const from = [bytes[0], bytes[1], bytes[2]];
+    const to = [bytes[3], bytes[4], bytes[5]];
+    const circles = [0, 1, 2].map((i) => ({
+        x: (bytes[6 + i * 4] / 255) * width,
+        y: (bytes[7 + i * 4] / 255) * height,
+        r: (0.1 + (bytes[8 + i * 4] / 255) * 0.25) * Math.min(width, height),
+        color: [bytes[9 + i * 4], bytes[20 + i], bytes[25 + i]]
+    }));
+
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const t = (x / width + y / height) / 2;
+            let r = from[0] + (to[0] - from[0]) * t;
+            let g = from[1] + (to[1] - from[1]) * t;
+            let b = from[2] + (to[2] - from[2]) * t;
+
+            for (const circle of circles) {
+                const dx = x - circle.x;
+                const dy = y - circle.y;
+                if (dx * dx + dy * dy <= circle.r * circle.r) {
+                    r = (r + circle.color[0]) / 2;
+                    g = (g + circle.color[1]) / 2;
+                    b = (b + circle.color[2]) / 2;
+                }
+            }
+
+            const offset = (y * width + x) * 4;
+            rgba[offset] = Math.round(r);
+            rgba[offset + 1] = Math.round(g);
+            rgba[offset + 2] = Math.round(b);
+            rgba[offset + 3] = 255;
+        }
+    }
+    return rgba;
+};
+
+const renderPlaceholder = (key, width, height) => encodePng(width, height, renderPixels(key, width, height));
+
+// Độ sáng của điểm ảnh trong mask (0..1), vùng trắng là vùng được vẽ lại
+const maskWeight = (mask, offset) =>
+    ((mask[offset] + mask[offset + 1] + mask[offset + 2]) / (3 * 255)) * (mask[offset + 3] / 255);
+
+/**
+ * Img2img / inpainting giả lập: trộn ảnh gốc với placeholder theo `strength`,
+ * chỉ trong vùng mask nếu có.
+ */
+const renderEdit = ({ image, mask, key, strength }) => {
+    let source;
+    try {
+        source = decodePng(image);
+    } catch (err) {
+        throw new Error(`Mock provider only supports PNG source images: ${err.message}`);
+    }
+
+    const { width, height } = source;
+    const overlay = renderPixels(key, width, height);
+    let maskPixels = null;
+    if (mask) {
+        const decodedMask = decodePng(mask);
+        maskPixels = (decodedMask.width === width && decodedMask.height === height
+            ? decodedMask
+            : resizeRgba(decodedMask, width, height)).rgba;
+    }
+
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let offset = 0; offset < rgba.length; offset += 4) {
+        const weight = strength * (maskPixels ? maskWeight(maskPixels, offset) : 1);
+        for (let c = 0; c < 3; c++) {
+            rgba[offset + c] = Math.round(source.rgba[offset + c] * (1 - weight) + overlay[offset + c] * weight);
+        }
+        rgba[offset + 3] = source.rgba[offset + 3];
+    }
+    return encodePng(width, height, rgba);
+};
+
+export const createMockProvider = () => ({
+    name: 'mock',
+    async generate({ prompt, negativePrompt = '', width = DEFAULT_SIZE, height = DEFAULT_SIZE, seed = 0, signal }) {
+        signal?.throwIfAborted();
+        return {
+            buffer: renderPlaceholder(`${prompt}|${negativePrompt}|${seed}`, width, height),
+            contentType: 'image/png'
+        };
+    },
+    async edit({ image, mask, prompt, negativePrompt = '', seed = 0, strength = 0.75, signal }) {
+        signal?.throwIfAborted();
+        return {
+            buffer: renderEdit({ image, mask, key: `${prompt}|${negativePrompt}|${seed}`, strength }),
+            contentType: 'image/png'
+        };
+    },
+    // Phóng to thật bằng nội suy bilinear để có thể kiểm thử offline
+    async upscale({ image, scale, signal }) {
+        signal?.throwIfAborted();
+        const source = decodePng(image);
+        const resized = resizeRgba(source, source.width * scale, source.height * scale);
+        return {
+            buffer: encodePng(resized.width, resized.height, resized.rgba),
+            contentType: 'image/png'
+        };
+    }
+});
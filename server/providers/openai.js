@@ -0,0 +1,90 @@
+// File: server/providers/openai.js
+// Provider dùng Images API của OpenAI (DALL·E).
+// DALL·E không hỗ trợ negative prompt, seed, steps hay sampler nên các tham số này bị bỏ qua.
+
+import OpenAI, { toFile } from 'openai';
+import { decodePng, encodePng } from '../png.js';
+
+// DALL·E 3 chỉ nhận 3 kích thước cố định, chọn theo hướng ảnh
+const toOpenAISize = (width, height) => {
+    if (width > height) return '1792x1024';
+    if (height > width) return '1024x1792';
+    return '1024x1024';
+};
+
+// OpenAI vẽ lại vùng trong suốt của mask, còn quy ước của server là vùng trắng:
+// chuyển độ sáng của mask thành kênh alpha đảo ngược
+const toOpenAIMask = (mask) => {
+    const { width, height, rgba } = decodePng(mask);
+    for (let offset = 0; offset < rgba.length; offset += 4) {
+        const luminance = (rgba[offset] + rgba[offset + 1] + rgba[offset + 2]) / 3;
+        rgba[offset + 3] = 255 - Math.round(luminance);
+    }
+    return encodePng(width, height, rgba);
+};
+
+const readResult = (result) => {
+    const image = result.data?.[0];
+    if (!image?.b64_json) {
+        throw new Error('OpenAI API error: no image returned');
+    }
+
+    return {
+        buffer: Buffer.from(image.b64_json, 'base64'),
+        contentType: 'image/png'
+    };
+};
+
+export const createOpenAIProvider = () => {
+    if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY is required when PROVIDER=openai');
+    }
+
+    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const model = process.env.OPENAI_IMAGE_MODEL || 'dall-e-3';
+
+    return {
+        name: 'openai',
+        async generate({ prompt, width, height, signal }) {
+            const result = await client.images.generate({
+                model,
+                prompt,
+                n: 1,
+                size: toOpenAISize(width, height),
+                response_format: 'b64_json'
+            }, { signal });
+
+            return readResult(result);
+        },
+
+        // Chỉ DALL·E 2 hỗ trợ chỉnh sửa ảnh; không có tham số strength
+        async edit({ image, mask, prompt, signal }) {
+            const result = await client.images.edit({
+                model: 'dall-e-2',
+                image: await toFile(image, 'image.png', { type: 'image/png' }),
+                mask: mask ? await toFile(toOpenAIMask(mask), 'mask.png', { type: 'image/png' }) : undefined,
+                prompt,
+                n: 1,
+                response_format: 'b64_json'
+            }, { signal });
+
+            return readResult(result);
+        },
+
+        // OpenAI không có API upscale
+        async upscale() {
+            throw new Error('OpenAI provider does not support upscaling');
+        },
+
+        async variation({ image, signal }) {
+            const result = await client.images.createVariation({
+                model: 'dall-e-2',
+                image: await toFile(image, 'image.png', { type: 'image/png' }),
+                n: 1,
+                response_format: 'b64_json'
+            }, { signal });
+
+            return readResult(result);
+        }
+    };
+};
@@ -0,0 +1,89 @@
+// File: server/providers/replicate.js
+// Provider chạy model Stable Diffusion trên Replicate.
+
+import Replicate from 'replicate';
+
+// Output của Replicate có thể là FileOutput, URL hoặc mảng các giá trị đó
+const readOutput = async (output) => {
+    const first = Array.isArray(output) ? output[0] : output;
+    if (!first) {
+        throw new Error('Replicate API error: no image returned');
+    }
+
+    if (typeof first.blob === 'function') {
+        const blob = await first.blob();
+        return { buffer: Buffer.from(await blob.arrayBuffer()), contentType: blob.type || 'image/png' };
+    }
+
+    const response = await fetch(String(first));
+    if (!response.ok) {
+        throw new Error(`Replicate download error: ${response.status}`);
+    }
+    return {
+        buffer: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('content-type') || 'image/png'
+    };
+};
+
+const toDataUri = (buffer) => `data:image/png;base64,${buffer.toString('base64')}`;
+
+// Tên sampler nội bộ -> scheduler của các model Stable Diffusion trên Replicate
+const SCHEDULERS = {
+    'euler': 'K_EULER',
+    'euler_a': 'K_EULER_ANCESTRAL',
+    'dpm++_2m': 'DPMSolverMultistep',
+    'dpm++_2m_karras': 'KarrasDPM',
+    'ddim': 'DDIM',
+    'pndm': 'PNDM',
+    'lms': 'K_EULER'
+};
+
+export const createReplicateProvider = () => {
+    if (!process.env.REPLICATE_API_TOKEN) {
+        throw new Error('REPLICATE_API_TOKEN is required when PROVIDER=replicate');
+    }
+
+    const client = new Replicate({ auth: process.env.REPLICATE_API_TOKEN });
+    const model = process.env.REPLICATE_MODEL || 'stability-ai/sdxl';
+    const editModel = process.env.REPLICATE_EDIT_MODEL || model;
+    const upscaleModel = process.env.REPLICATE_UPSCALE_MODEL || 'nightmareai/real-esrgan';
+
+    return {
+        name: 'replicate',
+        async generate({ prompt, negativePrompt, width, height, seed, steps, guidanceScale, sampler, signal }) {
+            const input = {
+                prompt,
+                negative_prompt: negativePrompt,
+                width,
+                height,
+                seed,
+                num_inference_steps: steps,
+                guidance_scale: guidanceScale,
+                scheduler: SCHEDULERS[sampler]
+            };
+            const output = await client.run(model, { input, signal });
+            return readOutput(output);
+        },
+
+        async edit({ image, mask, prompt, negativePrompt, seed, steps, guidanceScale, sampler, strength, signal }) {
+            const input = {
+                prompt,
+                negative_prompt: negativePrompt,
+                image: toDataUri(image),
+                mask: mask ? toDataUri(mask) : undefined,
+                prompt_strength: strength,
+                seed,
+                num_inference_steps: steps,
+                guidance_scale: guidanceScale,
+                scheduler: SCHEDULERS[sampler]
+            };
+            const output = await client.run(editModel, { input, signal });
+            return readOutput(output);
+        },
+
+        async upscale({ image, scale, signal }) {
+            const output = await client.run(upscaleModel, { input: { image: toDataUri(image), scale }, signal });
+            return readOutput(output);
+        }
+    };
+};
@@ -0,0 +1,144 @@
+// File: server/providers/stability.js
+// Provider dùng REST API v1 của Stability AI (text-to-image).
+
+import { readPngSize } from '../png.js';
+
+const STABILITY_API_URL = 'https://api.stability.ai/v1/generation';
+const UPSCALE_ENGINE = 'esrgan-v1-x2plus';
+
+// Tên sampler nội bộ -> tên sampler của Stability
+const SAMPLER_NAMES = {
+    'euler': 'K_EULER',
+    'euler_a': 'K_EULER_ANCESTRAL',
+    'dpm++_2m': 'K_DPMPP_2M',
+    'dpm++_2m_karras': 'K_DPMPP_2M',
+    'ddim': 'DDIM',
+    'pndm': 'K_HEUN',
+    'lms': 'K_LMS'
+};
+
+export const createStabilityProvider = () => {
+    const apiKey = process.env.STABILITY_API_KEY;
+    const model = process.env.STABILITY_MODEL || 'stable-diffusion-xl-1024-v1-0';
+
+    if (!apiKey) {
+        throw new Error('STABILITY_API_KEY is required when PROVIDER=stability');
+    }
+
+    return {
+        name: 'stability',
+        async generate({ prompt, negativePrompt, width, height, seed, steps, guidanceScale, sampler, signal }) {
+            const textPrompts = [{ text: prompt, weight: 1 }];
+            if (negativePrompt) {
+                textPrompts.push({ text: negativePrompt, weight: -1 });
+            }
+
+            const response = await fetch(`${STABILITY_API_URL}/${model}/text-to-image`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'image/png',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body: JSON.stringify({
+                    text_prompts: textPrompts,
+                    width,
+                    height,
+                    seed,
+                    steps,
+                    cfg_scale: guidanceScale,
+                    sampler: SAMPLER_NAMES[sampler],
+                    samples: 1
+                }),
+                signal
+            });
+
+            if (!response.ok) {
+                const details = await response.text().catch(() => '');
+                throw new Error(`Stability API error: ${response.status} ${details}`.trim());
+            }
+
+            return {
+                buffer: Buffer.from(await response.arrayBuffer()),
+                contentType: 'image/png'
+            };
+        },
+
+        // Img2img dùng /image-to-image; khi có mask dùng /image-to-image/masking (vùng trắng được vẽ lại)
+        async edit({ image, mask, prompt, negativePrompt, seed, steps, guidanceScale, sampler, strength, signal }) {
+            const form = new FormData();
+            form.append('init_image', new Blob([image]), 'init.png');
+            form.append('text_prompts[0][text]', prompt);
+            form.append('text_prompts[0][weight]', '1');
+            if (negativePrompt) {
+                form.append('text_prompts[1][text]', negativePrompt);
+                form.append('text_prompts[1][weight]', '-1');
+            }
+            form.append('seed', String(seed));
+            form.append('steps', String(steps));
+            form.append('cfg_scale', String(guidanceScale));
+            form.append('sampler', SAMPLER_NAMES[sampler]);
+            form.append('samples', '1');
+
+            let endpoint = 'image-to-image';
+            if (mask) {
+                endpoint = 'image-to-image/masking';
+                form.append('mask_source', 'MASK_IMAGE_WHITE');
+                form.append('mask_image', new Blob([mask]), 'mask.png');
+            } else {
+                // image_strength của Stability là mức giữ lại ảnh gốc, ngược với strength
+                form.append('init_image_mode', 'IMAGE_STRENGTH');
+                form.append('image_strength', String(1 - strength));
+            }
+
+            const response = await fetch(`${STABILITY_API_URL}/${model}/${endpoint}`, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'image/png',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body: form,
+                signal
+            });
+
+            if (!response.ok) {
+                const details = await response.text().catch(() => '');
+                throw new Error(`Stability API error: ${response.status} ${details}`.trim());
+            }
+
+            return {
+                buffer: Buffer.from(await response.arrayBuffer()),
+                contentType: 'image/png'
+            };
+        },
+
+        async upscale({ image, scale, signal }) {
+            const form = new FormData();
+            form.append('image', new Blob([image]), 'image.png');
+            const size = readPngSize(image);
+            if (size) {
+                form.append('width', String(size.width * scale));
+            }
+
+            const response = await fetch(`${STABILITY_API_URL}/${UPSCALE_ENGINE}/image-to-image/upscale`, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'image/png',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body: form,
+                signal
+            });
+
+            if (!response.ok) {
+                const details = await response.text().catch(() => '');
+                throw new Error(`Stability API error: ${response.status} ${details}`.trim());
+            }
+
+            return {
+                buffer: Buffer.from(await response.arrayBuffer()),
+                contentType: 'image/png'
+            };
+        }
+    };
+};
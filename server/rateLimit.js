@@ -0,0 +1,47 @@
+// File: server/rateLimit.js
+// Rate limiter cửa sổ trượt (sliding window) lưu trong bộ nhớ, theo từng key (thường là userId).
+// Mỗi instance chỉ nên dùng một độ dài cửa sổ: key cũ được dọn theo windowMs của lần gọi hiện tại.
+
+export const createSlidingWindowLimiter = () => {
+    const hits = new Map(); // key -> danh sách timestamp của các request trong cửa sổ
+
+    const prune = (now, windowMs) => {
+        for (const [key, timestamps] of hits) {
+            if (timestamps.every((t) => t <= now - windowMs)) hits.delete(key);
+        }
+    };
+
+    const recentHits = (key, now, windowMs) => {
+        if (hits.size > 10000) prune(now, windowMs);
+        const recent = (hits.get(key) || []).filter((t) => t > now - windowMs);
+        hits.set(key, recent);
+        return recent;
+    };
+
+    return {
+        /**
+         * Kiểm tra key còn lượt hay không mà không ghi nhận request.
+         * Trả về { allowed, remaining, retryAfterMs }.
+         */
+        check(key, { limit, windowMs }) {
+            const now = Date.now();
+            const recent = recentHits(key, now, windowMs);
+            if (recent.length >= limit) {
+                return { allowed: false, remaining: 0, retryAfterMs: recent[0] + windowMs - now };
+            }
+            return { allowed: true, remaining: limit - recent.length, retryAfterMs: 0 };
+        },
+
+        /**
+         * Ghi nhận một request. Trả về { allowed, remaining, retryAfterMs };
+         * request bị từ chối không được tính vào cửa sổ.
+         */
+        hit(key, { limit, windowMs }) {
+            const result = this.check(key, { limit, windowMs });
+            if (!result.allowed) return result;
+
+            hits.get(key).push(Date.now());
+            return { ...result, remaining: result.remaining - 1 };
+        }
+    };
+};
@@ -0,0 +1,10 @@
+// File: server/roles.js
+// Vai trò người dùng. Thứ tự tăng dần theo quyền: user < moderator < admin.
+
+export const ROLES = ['user', 'moderator', 'admin'];
+export const DEFAULT_ROLE = 'user';
+
+export const isValidRole = (role) => ROLES.includes(role);
+
+// Vai trò có bị giảm quyền không (dùng để thu hồi phiên khi hạ quyền)
+export const isDemotion = (fromRole, toRole) => ROLES.indexOf(toRole) < ROLES.indexOf(fromRole);
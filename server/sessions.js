@@ -0,0 +1,200 @@
+// File: server/sessions.js
+// Phiên đăng nhập phía server: access token JWT ngắn hạn + refresh token xoay vòng (lưu dạng hash).
+//
+// Mỗi lần đăng nhập tạo một session (bảng `user_sessions`) — cũng là "họ" (family) của các refresh token.
+// Refresh token chỉ dùng được một lần; nếu một token đã xoay vòng bị dùng lại thì cả họ bị thu hồi.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { DEFAULT_ROLE } from './roles.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const SESSION_CACHE_TTL_MS = 30 * 1000;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionError = (message, code) => {
+    const error = new Error(message);
+    error.status = 401;
+    error.code = code;
+    return error;
+};
+
+export const createSessionService = ({ supabase }) => {
+    // sessionId -> { active, userId, checkedAt }: tránh truy vấn DB ở mọi request
+    const cache = new Map();
+
+    const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const signAccessToken = (user, sessionId) => jwt.sign(
+        { userId: user.id, email: user.email, role: user.role || DEFAULT_ROLE, sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const issueRefreshToken = async (userId, sessionId) => {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const { error } = await supabase
+            .from('refresh_tokens')
+            .insert({
+                session_id: sessionId,
+                user_id: userId,
+                token_hash: hashToken(refreshToken),
+                expires_at: refreshExpiry()
+            });
+        if (error) throw error;
+        return refreshToken;
+    };
+
+    const tokenPair = async (user, sessionId) => ({
+        token: signAccessToken(user, sessionId),
+        refreshToken: await issueRefreshToken(user.id, sessionId),
+        expiresIn: ACCESS_TOKEN_TTL,
+        sessionId
+    });
+
+    const revokeSession = async (sessionId, reason) => {
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from('user_sessions')
+            .update({ revoked_at: now, revoked_reason: reason })
+            .eq('id', sessionId)
+            .is('revoked_at', null);
+        if (error) throw error;
+
+        await supabase
+            .from('refresh_tokens')
+            .update({ revoked_at: now })
+            .eq('session_id', sessionId)
+            .is('revoked_at', null);
+
+        cache.delete(sessionId);
+    };
+
+    return {
+        // Tạo session mới khi đăng nhập
+        async createSession(user, { userAgent = null, ip = null } = {}) {
+            const { data: session, error } = await supabase
+                .from('user_sessions')
+                .insert({
+                    user_id: user.id,
+                    user_agent: userAgent?.substring(0, 300) || null,
+                    ip,
+                    last_used_at: new Date().toISOString()
+                })
+                .select('id')
+                .single();
+            if (error) throw error;
+
+            return tokenPair(user, session.id);
+        },
+
+        // Đổi refresh token lấy cặp token mới; phát hiện token bị dùng lại
+        async rotate(refreshToken, loadUser) {
+            const { data: stored, error } = await supabase
+                .from('refresh_tokens')
+                .select('id, session_id, user_id, expires_at, used_at, revoked_at')
+                .eq('token_hash', hashToken(refreshToken))
+                .maybeSingle();
+            if (error) throw error;
+            if (!stored) throw sessionError('Invalid refresh token.', 'INVALID_REFRESH_TOKEN');
+
+            if (stored.used_at) {
+                // Token cũ bị dùng lại: có thể đã bị đánh cắp, thu hồi cả họ token
+                console.warn(`⚠️ Refresh token reuse detected for session ${stored.session_id}, revoking family`);
+                await revokeSession(stored.session_id, 'refresh_token_reuse');
+                throw sessionError('Refresh token has already been used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+            }
+            if (stored.revoked_at) throw sessionError('Session has been revoked. Please log in again.', 'SESSION_REVOKED');
+            if (new Date(stored.expires_at) < new Date()) throw sessionError('Refresh token has expired.', 'REFRESH_TOKEN_EXPIRED');
+
+            // Đánh dấu đã dùng; điều kiện used_at IS NULL chặn hai request xoay vòng cùng lúc
+            const { data: marked, error: markError } = await supabase
+                .from('refresh_tokens')
+                .update({ used_at: new Date().toISOString() })
+                .eq('id', stored.id)
+                .is('used_at', null)
+                .select('id');
+            if (markError) throw markError;
+            if (!marked?.length) {
+                await revokeSession(stored.session_id, 'refresh_token_reuse');
+                throw sessionError('Refresh token has already been used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+            }
+
+            const user = await loadUser(stored.user_id);
+            if (!user) {
+                await revokeSession(stored.session_id, 'user_missing');
+                throw sessionError('User no longer exists.', 'USER_NOT_FOUND');
+            }
+
+            await supabase
+                .from('user_sessions')
+                .update({ last_used_at: new Date().toISOString() })
+                .eq('id', stored.session_id);
+
+            return tokenPair(user, stored.session_id);
+        },
+
+        revokeSession,
+
+        // Tìm session từ refresh token (dùng khi logout mà access token đã hết hạn)
+        async findSessionIdByRefreshToken(refreshToken) {
+            const { data, error } = await supabase
+                .from('refresh_tokens')
+                .select('session_id')
+                .eq('token_hash', hashToken(refreshToken))
+                .maybeSingle();
+            if (error) throw error;
+            return data?.session_id || null;
+        },
+
+        // Thu hồi mọi session của user ("đăng xuất khỏi tất cả thiết bị")
+        async revokeAllForUser(userId, reason) {
+            const { data: sessions, error } = await supabase
+                .from('user_sessions')
+                .select('id')
+                .eq('user_id', userId)
+                .is('revoked_at', null);
+            if (error) throw error;
+
+            for (const session of sessions || []) {
+                await revokeSession(session.id, reason);
+            }
+            for (const [sessionId, entry] of cache) {
+                if (entry.userId === userId) cache.delete(sessionId);
+            }
+            return sessions?.length || 0;
+        },
+
+        async listActiveSessions(userId) {
+            const { data, error } = await supabase
+                .from('user_sessions')
+                .select('id, user_agent, ip, created_at, last_used_at')
+                .eq('user_id', userId)
+                .is('revoked_at', null)
+                .order('last_used_at', { ascending: false });
+            if (error) throw error;
+            return data || [];
+        },
+
+        // Kiểm tra session của access token còn hiệu lực (có cache ngắn hạn)
+        async isSessionActive(sessionId) {
+            if (!sessionId) return false;
+
+            const cached = cache.get(sessionId);
+            if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_TTL_MS) return cached.active;
+
+            const { data, error } = await supabase
+                .from('user_sessions')
+                .select('user_id, revoked_at')
+                .eq('id', sessionId)
+                .maybeSingle();
+            if (error) throw error;
+
+            const active = Boolean(data && !data.revoked_at);
+            cache.set(sessionId, { active, userId: data?.user_id, checkedAt: Date.now() });
+            return active;
+        }
+    };
+};
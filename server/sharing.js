@@ -0,0 +1,45 @@
+// File: server/sharing.js
+// Chia sẻ ảnh: chế độ hiển thị từng ảnh và dữ liệu công khai trả về cho gallery / trang chia sẻ / hồ sơ công khai.
+//
+// - private: chỉ chủ ảnh thấy (mặc định)
+// - unlisted: ai có liên kết chia sẻ (share token) đều xem được, không xuất hiện trong gallery
+// - public: xuất hiện trong gallery và hồ sơ công khai, liên kết chia sẻ vẫn dùng được
+
+import crypto from 'crypto';
+
+export const VISIBILITIES = ['private', 'unlisted', 'public'];
+export const GALLERY_SORTS = { newest: 'published_at', most_liked: 'like_count' };
+
+// Cột ảnh được phép lộ ra ngoài; KHÔNG gồm file_path, user_id nội bộ hay thông tin kiểm duyệt
+export const PUBLIC_IMAGE_COLUMNS = 'id, user_id, image_url, prompt, negative_prompt, width, height, seed, steps, guidance_scale, sampler, visibility, like_count, published_at, created_at';
+export const PUBLIC_PROFILE_COLUMNS = 'id, full_name, avatar_url, bio, created_at';
+
+export const newShareToken = () => crypto.randomBytes(16).toString('base64url');
+
+export const shareUrl = (token) => `${process.env.APP_URL || 'http://localhost:5173'}/share/${token}`;
+
+export const toPublicProfile = (user) => user && ({
+    id: user.id,
+    fullName: user.full_name,
+    avatarUrl: user.avatar_url,
+    bio: user.bio,
+    memberSince: user.created_at
+});
+
+export const toPublicImage = (image, { owner = null, likedByMe = false } = {}) => ({
+    id: image.id,
+    imageUrl: image.image_url,
+    prompt: image.prompt,
+    negativePrompt: image.negative_prompt || null,
+    width: image.width,
+    height: image.height,
+    seed: image.seed,
+    steps: image.steps,
+    guidanceScale: image.guidance_scale,
+    sampler: image.sampler,
+    likeCount: image.like_count || 0,
+    likedByMe,
+    publishedAt: image.published_at,
+    createdAt: image.created_at,
+    owner: owner ? { id: owner.id, fullName: owner.fullName, avatarUrl: owner.avatarUrl } : null
+});
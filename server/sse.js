@@ -0,0 +1,38 @@
+// File: server/sse.js
+// Tiện ích Server-Sent Events: mở stream, gửi event và giữ kết nối bằng heartbeat.
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// `retryMs` (tuỳ chọn): thời gian EventSource chờ trước khi tự kết nối lại
+export const openEventStream = (req, res, { retryMs } = {}) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Tắt buffer của nginx để event đến ngay
+    });
+    res.write(retryMs ? `retry: ${retryMs}\n\n` : '\n');
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    const closeHandlers = [];
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        closeHandlers.forEach((handler) => handler());
+    });
+
+    return {
+        send(event, data, id) {
+            if (id !== undefined) res.write(`id: ${id}\n`);
+            res.write(`event: ${event}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        },
+        onClose(handler) {
+            closeHandlers.push(handler);
+        },
+        close() {
+            clearInterval(heartbeat);
+            res.end();
+        }
+    };
+};
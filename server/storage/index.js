@@ -0,0 +1,62 @@
+// File: server/storage/index.js
+// Chọn nơi lưu file (ảnh sinh ra, ảnh upload tạm, avatar) theo biến môi trường STORAGE_DRIVER:
+//   supabase - Supabase Storage (mặc định)
+//   local    - ổ đĩa trong LOCAL_STORAGE_DIR, phục vụ qua route `/storage` của server
+//
+// Mỗi driver có dạng:
+//   { name, put(bucket, path, data, { contentType, upsert }), get(bucket, path) => Promise<Buffer>,
+//     remove(bucket, paths), url(bucket, path) => string, signedUrl(bucket, path, expiresInSeconds) => Promise<string>,
+//     list(bucket) => Promise<string[]> (đệ quy, dùng cho lệnh migrate), handler? (router Express của driver local) }
+// Mọi thao tác lỗi đều throw.
+//
+// SIGNED_IMAGE_URLS=1 coi bucket `images` là riêng tư: URL ảnh trả về cho client được ký và hết hạn
+// sau SIGNED_URL_TTL_SECONDS thay vì public URL cố định (xem STORAGE_SETUP.md).
+
+import { createSupabaseStorage } from './supabase.js';
+import { createLocalStorage } from './local.js';
+
+export const STORAGE_DRIVERS = ['supabase', 'local'];
+export const SIGNED_URL_TTL_SECONDS = Math.max(parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 3600, 60);
+
+const PRIVATE_BUCKETS = process.env.SIGNED_IMAGE_URLS === '1' ? ['images'] : [];
+
+/**
+ * Đường dẫn file trong bucket từ URL đã lưu (public URL / signed URL của Supabase hoặc URL của driver local).
+ * Trả về null nếu URL không thuộc bucket.
+ */
+export const storagePathFromUrl = (bucket, url) => {
+    const marker = `/${bucket}/`;
+    const pathname = url?.split('?')[0];
+    const index = pathname?.indexOf(marker) ?? -1;
+    return index === -1 ? null : decodeURIComponent(pathname.substring(index + marker.length));
+};
+
+const DRIVERS = {
+    supabase: ({ supabase }) => createSupabaseStorage({ supabase }),
+    local: () => createLocalStorage({
+        root: process.env.LOCAL_STORAGE_DIR || 'storage',
+        publicUrl: process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 8787}`,
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+        privateBuckets: PRIVATE_BUCKETS
+    })
+};
+
+// URL trả cho client: bucket riêng tư thì ký URL mới từ đường dẫn trong URL đã lưu
+const withUrlResolver = (driver) => ({
+    ...driver,
+    isPrivate: (bucket) => PRIVATE_BUCKETS.includes(bucket),
+    async resolveUrl(bucket, storedUrl) {
+        if (!storedUrl || !PRIVATE_BUCKETS.includes(bucket)) return storedUrl;
+        const filePath = storagePathFromUrl(bucket, storedUrl);
+        return filePath ? driver.signedUrl(bucket, filePath, SIGNED_URL_TTL_SECONDS) : storedUrl;
+    }
+});
+
+export const createStorage = ({ supabase, driver = process.env.STORAGE_DRIVER || 'supabase' }) => {
+    const name = driver.toLowerCase();
+    const factory = DRIVERS[name];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+    }
+    return withUrlResolver(factory({ supabase }));
+};
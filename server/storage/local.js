@@ -0,0 +1,112 @@
+// File: server/storage/local.js
+// Driver lưu file trên ổ đĩa (LOCAL_STORAGE_DIR/<bucket>/<path>) để phát triển offline.
+// File được phục vụ qua route Express `/storage/<bucket>/<path>`; bucket riêng tư chỉ mở được
+// bằng URL ký HMAC còn hạn (`?expires=<unix giây>&signature=...`).
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import express from 'express';
+
+const BUCKET_PATTERN = /^[a-z0-9_-]+$/;
+
+const encodePath = (filePath) => filePath.split('/').map(encodeURIComponent).join('/');
+
+export const createLocalStorage = ({ root, publicUrl, signingSecret, privateBuckets = [] }) => {
+    const rootDir = path.resolve(root);
+    const baseUrl = publicUrl.replace(/\/+$/, '');
+
+    const bucketDir = (bucket) => {
+        if (!BUCKET_PATTERN.test(bucket)) throw new Error(`Invalid bucket name: ${bucket}`);
+        return path.join(rootDir, bucket);
+    };
+
+    // Đường dẫn tuyệt đối của file, chặn path traversal ra ngoài thư mục bucket
+    const resolvePath = (bucket, filePath) => {
+        const dir = bucketDir(bucket);
+        const fullPath = path.resolve(dir, filePath);
+        if (!fullPath.startsWith(dir + path.sep)) throw new Error(`Invalid file path: ${filePath}`);
+        return fullPath;
+    };
+
+    const fileUrl = (bucket, filePath) => `${baseUrl}/storage/${bucket}/${encodePath(filePath)}`;
+
+    const sign = (bucket, filePath, expires) => {
+        if (!signingSecret) throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required for signed URLs');
+        return crypto.createHmac('sha256', signingSecret).update(`${bucket}/${filePath}:${expires}`).digest('base64url');
+    };
+
+    const isValidSignature = (bucket, filePath, { expires, signature }) => {
+        const expiresAt = Number(expires);
+        if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== 'string') return false;
+        const expected = Buffer.from(sign(bucket, filePath, expiresAt));
+        const actual = Buffer.from(signature);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    };
+
+    const listFolder = async (dir, prefix, paths) => {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT') return paths;
+            throw err;
+        }
+        for (const entry of entries) {
+            const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) await listFolder(path.join(dir, entry.name), entryPath, paths);
+            else if (entry.isFile()) paths.push(entryPath);
+        }
+        return paths;
+    };
+
+    // Route phục vụ file: kiểm tra chữ ký với bucket riêng tư rồi giao cho express.static
+    const handler = express.Router();
+    handler.use('/:bucket', (req, res, next) => {
+        const { bucket } = req.params;
+        if (!BUCKET_PATTERN.test(bucket)) return res.status(404).end();
+        if (privateBuckets.includes(bucket)) {
+            let filePath;
+            try {
+                filePath = decodeURIComponent(req.path).replace(/^\/+/, '');
+            } catch {
+                return res.status(400).end();
+            }
+            if (!isValidSignature(bucket, filePath, req.query)) {
+                return res.status(403).json({ error: 'Invalid or expired signature' });
+            }
+            res.set('Cache-Control', 'private, no-store');
+        }
+        next();
+    });
+    handler.use(express.static(rootDir, { index: false, dotfiles: 'deny', fallthrough: false }));
+
+    return {
+        name: 'local',
+        handler,
+        async put(bucket, filePath, data, { upsert = false } = {}) {
+            const fullPath = resolvePath(bucket, filePath);
+            await fs.mkdir(path.dirname(fullPath), { recursive: true });
+            // flag 'wx' báo lỗi nếu file đã tồn tại, giống upload không upsert của Supabase
+            await fs.writeFile(fullPath, data, { flag: upsert ? 'w' : 'wx' });
+        },
+        get: (bucket, filePath) => fs.readFile(resolvePath(bucket, filePath)),
+        async remove(bucket, filePaths) {
+            await Promise.all(filePaths.map(async (filePath) => {
+                try {
+                    await fs.unlink(resolvePath(bucket, filePath));
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                }
+            }));
+        },
+        url: fileUrl,
+        async signedUrl(bucket, filePath, expiresInSeconds) {
+            resolvePath(bucket, filePath);
+            const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+            const query = new URLSearchParams({ expires: String(expires), signature: sign(bucket, filePath, expires) });
+            return `${fileUrl(bucket, filePath)}?${query}`;
+        },
+        list: (bucket) => listFolder(bucketDir(bucket), '', [])
+    };
+};
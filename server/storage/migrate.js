@@ -0,0 +1,128 @@
+// File: server/storage/migrate.js
+// Lệnh copy file giữa hai storage driver rồi cập nhật URL đã lưu trong database:
+//   npm run storage:migrate -- --from supabase --to local [--dry-run]
+//
+// Copy toàn bộ bucket `images` và `avatars` (ghi đè file trùng tên), sau đó đổi `images.image_url`
+// (tính lại từ `file_path`) và `users.avatar_url` sang URL của driver đích.
+// File ở driver nguồn được giữ nguyên; `--dry-run` chỉ liệt kê những gì sẽ thay đổi.
+
+import 'dotenv/config';
+import path from 'path';
+import { createClient } from '@supabase/supabase-js';
+import { createStorage, storagePathFromUrl, STORAGE_DRIVERS } from './index.js';
+
+const BUCKETS = ['images', 'avatars'];
+const DB_BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+const readArgs = (argv) => {
+    const args = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    if (!STORAGE_DRIVERS.includes(args.from) || !STORAGE_DRIVERS.includes(args.to)) {
+        throw new Error(`--from and --to must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+    }
+    if (args.from === args.to) throw new Error('--from and --to must be different drivers');
+    return args;
+};
+
+const copyBucket = async (source, target, bucket, dryRun) => {
+    const filePaths = await source.list(bucket);
+    console.log(`📦 [${bucket}] ${filePaths.length} file(s) to copy`);
+
+    if (dryRun) return { total: filePaths.length, failed: 0 };
+
+    let failed = 0;
+    for (const [index, filePath] of filePaths.entries()) {
+        try {
+            const data = await source.get(bucket, filePath);
+            const contentType = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+            await target.put(bucket, filePath, data, { contentType, upsert: true });
+        } catch (err) {
+            failed++;
+            console.error(`❌ [${bucket}] ${filePath}: ${err.message}`);
+        }
+        if ((index + 1) % 100 === 0) console.log(`   ${index + 1}/${filePaths.length}`);
+    }
+    return { total: filePaths.length, failed };
+};
+
+// Đổi URL của từng dòng sang driver đích; `nextUrl(row)` trả về null nếu giữ nguyên
+const rewriteUrls = async (supabase, { table, columns, column, nextUrl, dryRun }) => {
+    let updated = 0;
+    for (let offset = 0; ; offset += DB_BATCH_SIZE) {
+        const { data, error } = await supabase
+            .from(table)
+            .select(columns)
+            .not(column, 'is', null)
+            .order('id', { ascending: true })
+            .range(offset, offset + DB_BATCH_SIZE - 1);
+        if (error) throw error;
+
+        for (const row of data) {
+            const url = nextUrl(row);
+            if (!url || url === row[column]) continue;
+            updated++;
+            if (dryRun) continue;
+            const { error: updateError } = await supabase.from(table).update({ [column]: url }).eq('id', row.id);
+            if (updateError) throw updateError;
+        }
+        if (data.length < DB_BATCH_SIZE) break;
+    }
+    console.log(`🔗 [${table}.${column}] ${updated} URL(s) ${dryRun ? 'would be updated' : 'updated'}`);
+    return updated;
+};
+
+const main = async () => {
+    const { from, to, dryRun } = readArgs(process.argv.slice(2));
+    const supabase = createClient(process.env.VITE_SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+    const source = createStorage({ supabase, driver: from });
+    const target = createStorage({ supabase, driver: to });
+
+    console.log(`🚚 Migrating storage ${from} -> ${to}${dryRun ? ' (dry run)' : ''}`);
+
+    let failed = 0;
+    for (const bucket of BUCKETS) {
+        failed += (await copyBucket(source, target, bucket, dryRun)).failed;
+    }
+    if (failed > 0) {
+        // Không đổi URL khi còn file chưa copy được, tránh trỏ tới file không tồn tại
+        throw new Error(`${failed} file(s) failed to copy; URLs were not updated. Fix the errors and run again.`);
+    }
+
+    await rewriteUrls(supabase, {
+        table: 'images',
+        columns: 'id, file_path, image_url',
+        column: 'image_url',
+        nextUrl: (image) => (image.file_path ? target.url('images', image.file_path) : null),
+        dryRun
+    });
+    await rewriteUrls(supabase, {
+        table: 'users',
+        columns: 'id, avatar_url',
+        column: 'avatar_url',
+        nextUrl: (user) => {
+            const avatarPath = storagePathFromUrl('avatars', user.avatar_url);
+            return avatarPath ? target.url('avatars', avatarPath) : null;
+        },
+        dryRun
+    });
+
+    console.log(`✅ Storage migration finished. Set STORAGE_DRIVER=${to} and restart the server.`);
+};
+
+main().catch((err) => {
+    console.error('❌ Storage migration failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,48 @@
+// File: server/storage/supabase.js
+// Driver lưu file trên Supabase Storage (mặc định). Bucket `images` và `avatars` phải tồn tại sẵn.
+
+const LIST_PAGE_SIZE = 1000;
+
+export const createSupabaseStorage = ({ supabase }) => {
+    const bucketOf = (bucket) => supabase.storage.from(bucket);
+
+    // Liệt kê đệ quy; thư mục do Supabase trả về có id = null
+    const listFolder = async (bucket, prefix, paths) => {
+        for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+            const { data, error } = await bucketOf(bucket).list(prefix, { limit: LIST_PAGE_SIZE, offset });
+            if (error) throw error;
+            for (const entry of data) {
+                const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+                if (entry.id === null) await listFolder(bucket, entryPath, paths);
+                else paths.push(entryPath);
+            }
+            if (data.length < LIST_PAGE_SIZE) return paths;
+        }
+    };
+
+    return {
+        name: 'supabase',
+        async put(bucket, filePath, data, { contentType, upsert = false } = {}) {
+            const { error } = await bucketOf(bucket).upload(filePath, data, { contentType, upsert });
+            if (error) throw error;
+        },
+        async get(bucket, filePath) {
+            const { data, error } = await bucketOf(bucket).download(filePath);
+            if (error) throw error;
+            return Buffer.from(await data.arrayBuffer());
+        },
+        async remove(bucket, filePaths) {
+            const { error } = await bucketOf(bucket).remove(filePaths);
+            if (error) throw error;
+        },
+        url(bucket, filePath) {
+            return bucketOf(bucket).getPublicUrl(filePath).data.publicUrl;
+        },
+        async signedUrl(bucket, filePath, expiresInSeconds) {
+            const { data, error } = await bucketOf(bucket).createSignedUrl(filePath, expiresInSeconds);
+            if (error) throw error;
+            return data.signedUrl;
+        },
+        list: (bucket) => listFolder(bucket, '', [])
+    };
+};
@@ -0,0 +1,106 @@
+// File: server/suspensions.js
+// Đình chỉ / cấm tài khoản. Mỗi lần đình chỉ là một dòng trong bảng `user_suspensions`
+// (lý do, người thực hiện, thời hạn) để user và admin xem lại được lịch sử.
+//
+// Đình chỉ có `expires_at` tự hết hiệu lực khi quá hạn; không có `expires_at` là cấm vĩnh viễn (ban)
+// cho đến khi admin gỡ.
+
+const SUSPENSION_CACHE_TTL_MS = 30 * 1000;
+
+export const suspendedError = (suspension) => {
+    const error = new Error(suspension.expires_at ? 'Account is suspended.' : 'Account is banned.');
+    error.status = 403;
+    error.code = 'ACCOUNT_SUSPENDED';
+    error.suspension = suspension;
+    return error;
+};
+
+// Thông tin đình chỉ trả về cho client
+export const describeSuspension = (suspension) => ({
+    id: suspension.id,
+    reason: suspension.reason,
+    permanent: !suspension.expires_at,
+    suspendedAt: suspension.created_at,
+    expiresAt: suspension.expires_at,
+    liftedAt: suspension.lifted_at || null,
+    liftReason: suspension.lift_reason || null
+});
+
+export const createSuspensionService = ({ supabase }) => {
+    // userId -> { suspension, checkedAt }: tránh truy vấn DB ở mọi request
+    const cache = new Map();
+
+    const getActiveSuspension = async (userId) => {
+        const cached = cache.get(userId);
+        if (cached && Date.now() - cached.checkedAt < SUSPENSION_CACHE_TTL_MS) {
+            const { suspension } = cached;
+            if (!suspension?.expires_at || new Date(suspension.expires_at) > new Date()) return suspension;
+        }
+
+        const { data, error } = await supabase
+            .from('user_suspensions')
+            .select('*')
+            .eq('user_id', userId)
+            .is('lifted_at', null)
+            .order('created_at', { ascending: false });
+        if (error) throw error;
+
+        // Ưu tiên lệnh cấm vĩnh viễn, sau đó là lệnh hết hạn muộn nhất
+        const endsAt = (row) => (row.expires_at ? new Date(row.expires_at).getTime() : Infinity);
+        const active = (data || []).filter((row) => endsAt(row) > Date.now());
+        const suspension = active.reduce((latest, row) => (!latest || endsAt(row) > endsAt(latest) ? row : latest), null);
+        cache.set(userId, { suspension, checkedAt: Date.now() });
+        return suspension;
+    };
+
+    return {
+        getActiveSuspension,
+
+        // Ném lỗi ACCOUNT_SUSPENDED nếu tài khoản đang bị đình chỉ
+        async assertNotSuspended(userId) {
+            const suspension = await getActiveSuspension(userId);
+            if (suspension) throw suspendedError(suspension);
+        },
+
+        async suspend(userId, { reason, expiresAt = null, suspendedBy }) {
+            const { data, error } = await supabase
+                .from('user_suspensions')
+                .insert({
+                    user_id: userId,
+                    reason,
+                    expires_at: expiresAt,
+                    suspended_by: suspendedBy
+                })
+                .select()
+                .single();
+            if (error) throw error;
+
+            cache.delete(userId);
+            return data;
+        },
+
+        // Gỡ mọi lệnh đình chỉ còn hiệu lực, trả về số lệnh đã gỡ
+        async lift(userId, { liftedBy, reason = null }) {
+            const { data, error } = await supabase
+                .from('user_suspensions')
+                .update({ lifted_at: new Date().toISOString(), lifted_by: liftedBy, lift_reason: reason })
+                .eq('user_id', userId)
+                .is('lifted_at', null)
+                .select('id');
+            if (error) throw error;
+
+            cache.delete(userId);
+            return data?.length || 0;
+        },
+
+        async listForUser(userId) {
+            const { data, error } = await supabase
+                .from('user_suspensions')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+            if (error) throw error;
+            return data || [];
+        }
+    };
+};
@@ -0,0 +1,167 @@
+// File: server/trash.js
+// Thùng rác ảnh: xoá ảnh chỉ đặt `images.deleted_at`, user có thể khôi phục trong thời gian lưu giữ.
+// Hết hạn (TRASH_RETENTION_DAYS) thì job nền xoá hẳn file trong storage và dòng `images`.
+//
+// Ảnh trong thùng rác bị loại khỏi mọi truy vấn phía user (`.is('deleted_at', null)`).
+
+export const TRASH_RETENTION_DAYS = Math.max(parseInt(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+export const TRASH_PURGE_INTERVAL_MINUTES = Math.max(parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60, 1);
+
+const PURGE_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const createTrashService = ({ supabase, storage, retentionDays = TRASH_RETENTION_DAYS }) => {
+    const purgeAt = (image) => new Date(new Date(image.deleted_at).getTime() + retentionDays * DAY_MS).toISOString();
+
+    // Xoá hẳn: file trong storage rồi tới dòng `images`; trả về các ảnh đã xoá
+    const purge = async (images) => {
+        if (images.length === 0) return [];
+
+        const filePaths = images.map((image) => image.file_path).filter(Boolean);
+        if (filePaths.length > 0) {
+            try {
+                await storage.remove('images', filePaths);
+            } catch (storageError) {
+                // Tiếp tục xoá record dù có lỗi storage (giống luồng xoá cũ)
+                console.error('❌ [Trash] Storage delete error:', storageError.message);
+            }
+        }
+
+        const { data, error } = await supabase
+            .from('images')
+            .delete()
+            .in('id', images.map((image) => image.id))
+            .not('deleted_at', 'is', null)
+            .select('id');
+        if (error) throw error;
+
+        const purgedIds = new Set((data || []).map((row) => row.id));
+        return images.filter((image) => purgedIds.has(image.id));
+    };
+
+    const listExpired = async () => {
+        const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+        const { data, error } = await supabase
+            .from('images')
+            .select('id, user_id, file_path, image_url, prompt, deleted_at')
+            .not('deleted_at', 'is', null)
+            .lt('deleted_at', cutoff)
+            .order('deleted_at', { ascending: true })
+            .limit(PURGE_BATCH_SIZE);
+        if (error) throw error;
+        return data || [];
+    };
+
+    const purgeExpired = async () => {
+        const purged = [];
+        for (;;) {
+            const batch = await purge(await listExpired());
+            purged.push(...batch);
+            if (batch.length < PURGE_BATCH_SIZE) return purged;
+        }
+    };
+
+    return {
+        retentionDays,
+        purgeAt,
+        purge,
+        purgeExpired,
+
+        async moveToTrash(image) {
+            const { data, error } = await supabase
+                .from('images')
+                .update({ deleted_at: new Date().toISOString() })
+                .eq('id', image.id)
+                .is('deleted_at', null)
+                .select()
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        async restore(image) {
+            const { data, error } = await supabase
+                .from('images')
+                .update({ deleted_at: null })
+                .eq('id', image.id)
+                .select()
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        // Ảnh trong thùng rác của user, ngược lại null
+        async findTrashed(userId, imageId) {
+            const { data, error } = await supabase
+                .from('images')
+                .select('*')
+                .eq('id', imageId)
+                .eq('user_id', userId)
+                .not('deleted_at', 'is', null)
+                .maybeSingle();
+            if (error) throw error;
+            return data;
+        },
+
+        async list(userId, { offset = 0, limit = 20 } = {}) {
+            const { data, error, count } = await supabase
+                .from('images')
+                .select('*', { count: 'exact' })
+                .eq('user_id', userId)
+                .not('deleted_at', 'is', null)
+                .order('deleted_at', { ascending: false })
+                .range(offset, offset + limit - 1);
+            if (error) throw error;
+            return {
+                images: (data || []).map((image) => ({ ...image, purge_at: purgeAt(image) })),
+                total: count || 0
+            };
+        },
+
+        // Dọn sạch thùng rác của user; trả về các ảnh đã xoá hẳn
+        async empty(userId) {
+            const purged = [];
+            for (;;) {
+                const { data, error } = await supabase
+                    .from('images')
+                    .select('id, user_id, file_path, image_url, prompt, deleted_at')
+                    .eq('user_id', userId)
+                    .not('deleted_at', 'is', null)
+                    .limit(PURGE_BATCH_SIZE);
+                if (error) throw error;
+
+                const batch = await purge(data || []);
+                purged.push(...batch);
+                if (batch.length < PURGE_BATCH_SIZE) return purged;
+            }
+        },
+
+        /**
+         * Chạy purgeExpired ngay và sau đó mỗi `intervalMinutes` phút.
+         * `onPurged(images)` được gọi với các ảnh vừa bị xoá hẳn. Trả về hàm dừng lịch.
+         */
+        schedulePurge({ intervalMinutes = TRASH_PURGE_INTERVAL_MINUTES, onPurged } = {}) {
+            let running = false;
+            const tick = async () => {
+                if (running) return;
+                running = true;
+                try {
+                    const purged = await purgeExpired();
+                    if (purged.length > 0) {
+                        console.log(`🗑️ [Trash] Purged ${purged.length} expired image(s)`);
+                        await onPurged?.(purged);
+                    }
+                } catch (err) {
+                    console.error('❌ [Trash] Purge error:', err.message);
+                } finally {
+                    running = false;
+                }
+            };
+
+            tick();
+            const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+            timer.unref();
+            return () => clearInterval(timer);
+        }
+    };
+};
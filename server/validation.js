@@ -0,0 +1,225 @@
+// File: server/validation.js
+// Khai báo và kiểm tra params / query / body của route bằng JSON Schema (tập con dùng trong OpenAPI 3.0).
+//
+// - `validateRequest(spec)` là middleware: request sai trả về 400 { error, code: 'INVALID_REQUEST', details }
+//   với `error` là lỗi đầu tiên và `details` là mọi lỗi; request hợp lệ được thay bằng giá trị đã chuẩn hoá
+//   (ép kiểu từ chuỗi, gán `default`)
+// - Cùng `spec` đó được server/openapi.js đọc lại để sinh tài liệu, nên schema chỉ được khai báo một lần
+
+export const VALIDATION_ERROR_CODE = 'INVALID_REQUEST';
+
+// Chuỗi phải có ít nhất một ký tự khác khoảng trắng
+const NON_BLANK_PATTERN = '\\S';
+
+const FORMATS = {
+    uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    // Chấp nhận mọi chuỗi Date hiểu được (ngày, ngày giờ ISO...) như các route vẫn làm trước đây
+    'date-time': (value) => !Number.isNaN(new Date(value).getTime()),
+    binary: () => true
+};
+
+const FORMAT_NAMES = {
+    uuid: 'a valid UUID',
+    email: 'a valid email address',
+    date: 'a date (YYYY-MM-DD)',
+    'date-time': 'a valid date'
+};
+
+// --- KHAI BÁO SCHEMA ---
+
+export const string = (options = {}) => ({ type: 'string', ...options });
+export const integer = (options = {}) => ({ type: 'integer', ...options });
+export const number = (options = {}) => ({ type: 'number', ...options });
+export const boolean = (options = {}) => ({ type: 'boolean', ...options });
+export const array = (items, options = {}) => ({ type: 'array', items, ...options });
+export const uuid = (options = {}) => string({ format: 'uuid', ...options });
+export const oneOf = (values, options = {}) => ({ type: typeof values[0] === 'number' ? 'integer' : 'string', enum: values, ...options });
+export const nonBlank = (maxLength, options = {}) => string({ minLength: 1, maxLength, pattern: NON_BLANK_PATTERN, ...options });
+
+// File trong multipart/form-data (multer xử lý, không kiểm tra ở đây)
+export const binary = (options = {}) => string({ format: 'binary', ...options });
+
+export const object = (properties, required = [], options = {}) => ({
+    type: 'object',
+    properties,
+    ...(required.length > 0 ? { required } : {}),
+    ...options
+});
+
+// Tham số phân trang dùng chung: page, limit (1..maxLimit)
+export const pagination = (defaultLimit = 20, maxLimit = 100) => ({
+    page: integer({ minimum: 1, default: 1 }),
+    limit: integer({ minimum: 1, maximum: maxLimit, default: defaultLimit })
+});
+
+// --- KIỂM TRA ---
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+const matchesType = (type, value) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer') || (type === 'object' && isPlainObject(value));
+};
+
+// Query string, params và multipart chỉ có chuỗi: ép về kiểu khai báo trước khi kiểm tra
+const coerce = (schema, value) => {
+    if (typeof value !== 'string') {
+        return schema.type === 'array' && value !== undefined && !Array.isArray(value) ? [value] : value;
+    }
+    switch (schema.type) {
+        case 'integer':
+            return /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+        case 'number':
+            return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+        case 'boolean':
+            if (value === 'true' || value === '1') return true;
+            if (value === 'false' || value === '0') return false;
+            return value;
+        case 'array':
+            // ?action=a,b và ?action=a&action=b đều được
+            return value.split(',').map((item) => item.trim()).filter(Boolean);
+        default:
+            return value;
+    }
+};
+
+const describeEnum = (values) => values.map(String).join(', ');
+
+const check = (schema, input, path, errors, options) => {
+    let value = options.coerce ? coerce(schema, input) : input;
+
+    if (value === null) {
+        if (!schema.nullable) errors.push(`${path} must not be null`);
+        return value;
+    }
+    if (!matchesType(schema.type, value)) {
+        errors.push(`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`);
+        return value;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${describeEnum(schema.enum)}`);
+        return value;
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`);
+            } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters`);
+            } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(schema.pattern === NON_BLANK_PATTERN ? `${path} must not be blank` : `${path} has an invalid format`);
+            } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+                errors.push(`${path} must be ${FORMAT_NAMES[schema.format]}`);
+            }
+            break;
+
+        case 'integer':
+        case 'number':
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} must be at least ${schema.minimum}`);
+            } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+            } else if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} must be at most ${schema.maximum}`);
+            }
+            break;
+
+        case 'array':
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(schema.minItems === 1 ? `${path} must not be empty` : `${path} must have at least ${schema.minItems} items`);
+            } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must have at most ${schema.maxItems} items`);
+            } else if (schema.items) {
+                value = value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors, options));
+            }
+            break;
+
+        case 'object':
+            value = checkObject(schema, value, path, errors, options);
+            break;
+    }
+
+    return value;
+};
+
+const checkObject = (schema, input, path, errors, options) => {
+    const value = { ...input };
+    const prefix = path ? `${path}.` : '';
+
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        // File do multer đặt vào req.file / req.files
+        if (property.format === 'binary') continue;
+
+        let field = value[name];
+        // Ô trống trong form / query (`?page=`) coi như không gửi
+        if (options.coerce && field === '' && property.type !== 'string') field = undefined;
+
+        if (field === undefined) {
+            if (property.default !== undefined) value[name] = property.default;
+            else if (schema.required?.includes(name)) errors.push(`${prefix}${name} is required`);
+            continue;
+        }
+        value[name] = check(property, field, `${prefix}${name}`, errors, options);
+    }
+
+    if (schema.additionalProperties === false) {
+        for (const name of Object.keys(value)) {
+            if (!schema.properties?.[name]) errors.push(`${prefix}${name} is not allowed`);
+        }
+    }
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+        errors.push(`${path || 'object'} must have at most ${schema.maxProperties} properties`);
+    }
+
+    return value;
+};
+
+/**
+ * Kiểm tra `value` theo schema object; trả về { errors, value } với value đã chuẩn hoá.
+ * `coerce: true` cho dữ liệu dạng chuỗi (query, params, multipart).
+ */
+export const validate = (schema, value, { coerce: coerceStrings = false } = {}) => {
+    const errors = [];
+    const result = check(schema, value ?? {}, '', errors, { coerce: coerceStrings });
+    return { errors, value: result };
+};
+
+// Lỗi 400 cùng dạng với validateRequest, cho các ràng buộc route tự kiểm tra thêm (liên quan nhiều trường...)
+export const sendValidationErrors = (res, errors) => (
+    res.status(400).json({ error: errors[0], code: VALIDATION_ERROR_CODE, details: errors })
+);
+
+/**
+ * Middleware kiểm tra request theo spec:
+ * { summary, description, tags, params, query, body, multipart, check, responses }.
+ * `multipart: true` khi body là multipart/form-data (đặt middleware sau multer).
+ * `check(req)` (tuỳ chọn) kiểm tra ràng buộc giữa nhiều trường mà schema không diễn tả được;
+ * chỉ chạy khi schema hợp lệ, trả về mảng lỗi.
+ */
+export const validateRequest = (spec) => {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        for (const location of ['params', 'query', 'body']) {
+            if (!spec[location]) continue;
+            const result = validate(spec[location], req[location], { coerce: location !== 'body' || spec.multipart === true });
+            errors.push(...result.errors);
+            if (result.errors.length === 0) req[location] = result.value;
+        }
+        if (errors.length === 0 && spec.check) errors.push(...spec.check(req));
+
+        if (errors.length > 0) return sendValidationErrors(res, errors);
+        next();
+    };
+    middleware.apiSpec = spec;
+    return middleware;
+};
@@ -0,0 +1,461 @@
+// File: server/webhooks.js
+// Webhook gửi ra ngoài: mỗi hoạt động được `logActivity` ghi lại được chuyển thành một event (image.generated, ...)
+// và gửi POST tới các webhook đã đăng ký loại event đó.
+//
+// - scope "user": chỉ nhận event của chính user sở hữu webhook
+// - scope "admin": nhận event của mọi user (do admin tạo, dùng chung cho các admin)
+//
+// Mỗi lần gửi là một dòng `webhook_deliveries`. Gửi lỗi (không phải 2xx / timeout) được thử lại với backoff luỹ thừa
+// (WEBHOOK_RETRY_BASE_SECONDS * 2^(lần thử - 1)) cho tới WEBHOOK_MAX_ATTEMPTS lần; lịch thử lại nằm trong database
+// nên không mất khi server khởi động lại.
+//
+// Chữ ký: header X-Dreamina-Signature = "sha256=" + HMAC-SHA256(secret, `${X-Dreamina-Timestamp}.${body}`) dạng hex.
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// action trong `activities` -> loại event của webhook
+export const WEBHOOK_EVENTS = {
+    generate: 'image.generated',
+    edit: 'image.edited',
+    upscale: 'image.upscaled',
+    variation: 'image.variation_created',
+    delete: 'image.deleted',
+    restore: 'image.restored',
+    purge: 'image.purged',
+    download: 'image.downloaded',
+    visibility_change: 'image.visibility_changed',
+    image_hidden: 'moderation.image_hidden',
+    image_restored: 'moderation.image_restored',
+    image_removed: 'moderation.image_removed',
+    blocked_prompt: 'moderation.prompt_blocked',
+    register: 'user.registered',
+    email_verified: 'user.email_verified',
+    password_reset: 'user.password_reset',
+    account_suspended: 'user.suspended',
+    account_unbanned: 'user.unbanned',
+    role_change: 'user.role_changed',
+    plan_change: 'user.plan_changed',
+    credits_grant: 'credits.changed',
+    credits_debit: 'credits.changed',
+    credits_refund: 'credits.changed'
+};
+
+export const WEBHOOK_EVENT_TYPES = [...new Set(Object.values(WEBHOOK_EVENTS))].sort();
+export const WEBHOOK_SCOPES = ['user', 'admin'];
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+export const MAX_WEBHOOKS_PER_USER = 10;
+export const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+
+const MAX_ATTEMPTS = Math.max(parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6, 1);
+const RETRY_BASE_SECONDS = Math.max(parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30, 1);
+const TIMEOUT_MS = Math.max(parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000, 1000);
+const SWEEP_INTERVAL_MS = 15000;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+const WEBHOOK_COLUMNS = 'id, user_id, scope, url, description, events, active, created_at, updated_at, last_delivery_at, last_delivery_status';
+const DELIVERY_COLUMNS = 'id, webhook_id, event_id, event_type, status, attempts, next_attempt_at, last_status_code, last_error, response_body, replay_of, created_at, delivered_at';
+
+export const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+export const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Dải địa chỉ webhook của user không được gửi tới (SSRF): nội bộ, loopback, link-local, CGNAT, multicast / dành riêng
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+export const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 4) return PRIVATE_ADDRESSES.check(address, 'ipv4');
+    if (family !== 6) return true;
+    // IPv4 nhúng trong IPv6 (::ffff:a.b.c.d) được kiểm tra như IPv4
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    return mapped ? PRIVATE_ADDRESSES.check(mapped[1], 'ipv4') : PRIVATE_ADDRESSES.check(address, 'ipv6');
+};
+
+// Kiểm tra sớm khi đăng ký (hostname là IP / localhost); tên miền được kiểm tra lại khi gửi, sau khi phân giải DNS
+const isPrivateHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return true;
+    return net.isIP(host) !== 0 && isPrivateAddress(host);
+};
+
+/**
+ * `lookup` cho http(s).request: phân giải mọi địa chỉ của hostname, từ chối nếu có địa chỉ nội bộ,
+ * và socket kết nối đúng tới địa chỉ vừa kiểm tra (không phân giải lần hai).
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            const error = new Error(`${hostname} resolves to a private or local address (${blocked.address})`);
+            error.code = 'WEBHOOK_PRIVATE_ADDRESS';
+            return callback(error);
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * POST body tới url, không theo redirect; chỉ đọc tối đa MAX_RESPONSE_BODY_LENGTH ký tự của response.
+ * Trả về { status, ok, body }. `allowPrivate` bỏ qua kiểm tra địa chỉ (webhook admin / WEBHOOK_ALLOW_PRIVATE_URLS=1).
+ */
+export const postWebhook = (url, { headers, body, timeoutMs, allowPrivate = false }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    // Node không gọi `lookup` khi hostname là IP nên kiểm tra trực tiếp
+    const literal = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(literal) && isPrivateAddress(literal)) {
+        const error = new Error(`${literal} is a private or local address`);
+        error.code = 'WEBHOOK_PRIVATE_ADDRESS';
+        return reject(error);
+    }
+    const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        signal: AbortSignal.timeout(timeoutMs),
+        ...(!allowPrivate && { lookup: publicOnlyLookup })
+    }, (response) => {
+        let text = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+            text += chunk;
+            if (text.length >= MAX_RESPONSE_BODY_LENGTH) response.destroy();
+        });
+        const finish = () => resolve({
+            status: response.statusCode,
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            body: text.substring(0, MAX_RESPONSE_BODY_LENGTH)
+        });
+        response.on('end', finish);
+        response.on('close', finish);
+    });
+    request.on('error', (err) => {
+        if (err.name === 'AbortError') {
+            const timeout = new Error(`Timed out after ${timeoutMs}ms`);
+            timeout.name = 'TimeoutError';
+            return reject(timeout);
+        }
+        reject(err);
+    });
+    request.end(body);
+});
+
+// Trả về thông báo lỗi hoặc null nếu URL hợp lệ
+export const validateWebhookUrl = (value, { allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === '1' } = {}) => {
+    if (typeof value !== 'string' || value.length > 2000) return 'url must be a string of at most 2000 characters';
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'url must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'url must use http or https';
+    if (url.username || url.password) return 'url must not contain credentials';
+    if (!allowPrivate && isPrivateHost(url.hostname)) return 'url must not point to a private or local address';
+    return null;
+};
+
+// Webhook trả về cho client: không bao giờ kèm secret (chỉ trả một lần khi tạo / đổi secret)
+export const toPublicWebhook = ({ secret, ...webhook }) => webhook;
+
+const retryDelayMs = (attempts) => RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+export const createWebhookService = ({
+    supabase,
+    send = postWebhook,
+    allowPrivateUrls = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === '1',
+    maxAttempts = MAX_ATTEMPTS,
+    timeoutMs = TIMEOUT_MS
+}) => {
+    const inFlight = new Set();
+
+    const scoped = (query, scope, userId) => (scope === 'admin'
+        ? query.eq('scope', 'admin')
+        : query.eq('scope', 'user').eq('user_id', userId));
+
+    // Gửi một lần và cập nhật trạng thái delivery (thành công / lên lịch thử lại / thất bại hẳn)
+    const attempt = async (delivery, webhook) => {
+        if (inFlight.has(delivery.id)) return delivery;
+        inFlight.add(delivery.id);
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        let statusCode = null;
+        let responseBody = null;
+        let errorMessage = null;
+
+        try {
+            const response = await send(webhook.url, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Dreamina-Webhooks/1.0',
+                    'X-Dreamina-Event': delivery.event_type,
+                    'X-Dreamina-Delivery': delivery.id,
+                    'X-Dreamina-Timestamp': String(timestamp),
+                    'X-Dreamina-Signature': signPayload(webhook.secret, timestamp, body)
+                },
+                body,
+                timeoutMs,
+                allowPrivate: allowPrivateUrls || webhook.scope === 'admin'
+            });
+            statusCode = response.status;
+            responseBody = response.body;
+            if (!response.ok) errorMessage = `HTTP ${response.status}`;
+        } catch (err) {
+            errorMessage = err.message;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const succeeded = !errorMessage;
+        const status = succeeded ? 'succeeded' : attempts >= maxAttempts ? 'failed' : 'pending';
+        const now = new Date().toISOString();
+
+        try {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .update({
+                    status,
+                    attempts,
+                    last_status_code: statusCode,
+                    last_error: errorMessage,
+                    response_body: responseBody,
+                    next_attempt_at: status === 'pending' ? new Date(Date.now() + retryDelayMs(attempts)).toISOString() : null,
+                    delivered_at: succeeded ? now : null
+                })
+                .eq('id', delivery.id)
+                .select(DELIVERY_COLUMNS)
+                .single();
+            if (error) throw error;
+
+            await supabase
+                .from('webhooks')
+                .update({ last_delivery_at: now, last_delivery_status: statusCode ?? 0 })
+                .eq('id', webhook.id);
+
+            if (status === 'failed') console.error(`❌ [Webhook ${webhook.id}] Delivery ${delivery.id} failed after ${attempts} attempt(s): ${errorMessage}`);
+            return data;
+        } finally {
+            inFlight.delete(delivery.id);
+        }
+    };
+
+    // Tạo delivery rồi gửi ngay; next_attempt_at giữ chỗ để job thử lại không gửi trùng khi lần đầu còn đang chạy
+    const enqueue = async (webhook, { eventId, eventType, payload, replayOf = null }) => {
+        const { data: delivery, error } = await supabase
+            .from('webhook_deliveries')
+            .insert({
+                webhook_id: webhook.id,
+                event_id: eventId,
+                event_type: eventType,
+                payload,
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: new Date(Date.now() + timeoutMs + retryDelayMs(1)).toISOString(),
+                replay_of: replayOf
+            })
+            .select(`${DELIVERY_COLUMNS}, payload`)
+            .single();
+        if (error) throw error;
+        return attempt(delivery, webhook);
+    };
+
+    // Gửi lại các delivery đến hạn thử lại
+    const processDue = async () => {
+        const { data: due, error } = await supabase
+            .from('webhook_deliveries')
+            .select(`${DELIVERY_COLUMNS}, payload`)
+            .eq('status', 'pending')
+            .lte('next_attempt_at', new Date().toISOString())
+            .order('next_attempt_at', { ascending: true })
+            .limit(50);
+        if (error) throw error;
+        if (!due?.length) return 0;
+
+        const { data: webhooks, error: webhooksError } = await supabase
+            .from('webhooks')
+            .select('*')
+            .in('id', [...new Set(due.map((delivery) => delivery.webhook_id))]);
+        if (webhooksError) throw webhooksError;
+        const byId = new Map((webhooks || []).map((webhook) => [webhook.id, webhook]));
+
+        for (const delivery of due) {
+            const webhook = byId.get(delivery.webhook_id);
+            if (!webhook?.active) {
+                // Webhook đã tắt: dừng thử lại
+                await supabase
+                    .from('webhook_deliveries')
+                    .update({ status: 'failed', next_attempt_at: null, last_error: 'Webhook disabled' })
+                    .eq('id', delivery.id);
+                continue;
+            }
+            await attempt(delivery, webhook);
+        }
+        return due.length;
+    };
+
+    return {
+        async list(scope, userId) {
+            const { data, error } = await scoped(supabase.from('webhooks').select(WEBHOOK_COLUMNS), scope, userId)
+                .order('created_at', { ascending: false });
+            if (error) throw error;
+            return data || [];
+        },
+
+        async count(scope, userId) {
+            const { count, error } = await scoped(
+                supabase.from('webhooks').select('id', { count: 'exact', head: true }),
+                scope,
+                userId
+            );
+            if (error) throw error;
+            return count || 0;
+        },
+
+        // Webhook (kèm secret) nếu thuộc phạm vi của user, ngược lại null
+        async get(scope, userId, webhookId) {
+            const { data, error } = await scoped(supabase.from('webhooks').select('*').eq('id', webhookId), scope, userId)
+                .maybeSingle();
+            if (error) throw error;
+            return data;
+        },
+
+        async create(scope, userId, { url, events, description = null }) {
+            const { data, error } = await supabase
+                .from('webhooks')
+                .insert({ user_id: userId, scope, url, events, description, secret: newWebhookSecret(), active: true })
+                .select('*')
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        async update(webhookId, fields) {
+            const { data, error } = await supabase
+                .from('webhooks')
+                .update({ ...fields, updated_at: new Date().toISOString() })
+                .eq('id', webhookId)
+                .select('*')
+                .single();
+            if (error) throw error;
+            return data;
+        },
+
+        async remove(webhookId) {
+            const { error } = await supabase.from('webhooks').delete().eq('id', webhookId);
+            if (error) throw error;
+        },
+
+        // Gọi sau khi hoạt động đã được ghi; lỗi chỉ được log, không ảnh hưởng request gốc
+        async dispatch(activity) {
+            const eventType = WEBHOOK_EVENTS[activity.action];
+            if (!eventType) return;
+
+            try {
+                const { data: webhooks, error } = await supabase
+                    .from('webhooks')
+                    .select('*')
+                    .eq('active', true)
+                    .contains('events', [eventType])
+                    .or(`scope.eq.admin,user_id.eq.${activity.user_id}`);
+                if (error) throw error;
+
+                const payload = {
+                    id: activity.id,
+                    type: eventType,
+                    createdAt: activity.timestamp,
+                    data: {
+                        userId: activity.user_id,
+                        action: activity.action,
+                        imageId: activity.image_id,
+                        apiKeyId: activity.api_key_id || null,
+                        ...activity.additional_data
+                    }
+                };
+                await Promise.all((webhooks || [])
+                    .filter((webhook) => webhook.scope === 'admin' || webhook.user_id === activity.user_id)
+                    .map((webhook) => enqueue(webhook, { eventId: activity.id, eventType, payload })));
+            } catch (err) {
+                console.error(`❌ [Webhooks] Dispatch ${eventType} error:`, err.message);
+            }
+        },
+
+        // Gửi thử event webhook.ping (không phụ thuộc danh sách event đã đăng ký)
+        async ping(webhook) {
+            const eventId = crypto.randomUUID();
+            return enqueue(webhook, {
+                eventId,
+                eventType: 'webhook.ping',
+                payload: { id: eventId, type: 'webhook.ping', createdAt: new Date().toISOString(), data: { webhookId: webhook.id } }
+            });
+        },
+
+        async listDeliveries(webhookId, { status, offset = 0, limit = 20 } = {}) {
+            let query = supabase
+                .from('webhook_deliveries')
+                .select(DELIVERY_COLUMNS, { count: 'exact' })
+                .eq('webhook_id', webhookId)
+                .order('created_at', { ascending: false });
+            if (status) query = query.eq('status', status);
+
+            const { data, error, count } = await query.range(offset, offset + limit - 1);
+            if (error) throw error;
+            return { deliveries: data || [], total: count || 0 };
+        },
+
+        async getDelivery(webhookId, deliveryId) {
+            const { data, error } = await supabase
+                .from('webhook_deliveries')
+                .select(`${DELIVERY_COLUMNS}, payload`)
+                .eq('id', deliveryId)
+                .eq('webhook_id', webhookId)
+                .maybeSingle();
+            if (error) throw error;
+            return data;
+        },
+
+        // Gửi lại đúng payload cũ thành một delivery mới (event id giữ nguyên để receiver tự bỏ trùng)
+        replay(webhook, delivery) {
+            return enqueue(webhook, {
+                eventId: delivery.event_id,
+                eventType: delivery.event_type,
+                payload: delivery.payload,
+                replayOf: delivery.id
+            });
+        },
+
+        processDue,
+
+        // Kiểm tra delivery đến hạn thử lại mỗi SWEEP_INTERVAL_MS; trả về hàm dừng lịch
+        scheduleRetries() {
+            let running = false;
+            const timer = setInterval(async () => {
+                if (running) return;
+                running = true;
+                try {
+                    await processDue();
+                } catch (err) {
+                    console.error('❌ [Webhooks] Retry error:', err.message);
+                } finally {
+                    running = false;
+                }
+            }, SWEEP_INTERVAL_MS);
+            timer.unref();
+            return () => clearInterval(timer);
+        }
+    };
+};
@@ -0,0 +1,97 @@
+// File: server/zip.js
+// Ghi file ZIP dạng stream ra một Writable (vd. `res`), không cần thư viện ngoài.
+// Chỉ dùng phương thức "stored" (không nén) vì PNG / JPEG vốn đã nén; không hỗ trợ ZIP64 (< 4 GB, < 65535 file).
+
+import { once } from 'events';
+import { crc32 } from './png.js';
+
+const FLAG_UTF8_NAMES = 0x0800;
+
+const abortedError = () => {
+    const error = new Error('ZIP output closed');
+    error.code = 'ZIP_ABORTED';
+    return error;
+};
+
+// Ngày giờ theo định dạng MS-DOS (độ chính xác 2 giây, từ năm 1980)
+const dosDateTime = (date) => {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+};
+
+/**
+ * Tạo bộ ghi ZIP.
+ * `addFile(name, data, modifiedAt)` ghi ngay một file (Buffer) ra output; `finish()` ghi central directory.
+ * Nếu output bị đóng giữa chừng (client huỷ tải), các lần ghi tiếp theo ném lỗi code ZIP_ABORTED.
+ */
+export const createZipWriter = (output) => {
+    const entries = [];
+    let offset = 0;
+
+    const write = async (buffer) => {
+        if (output.destroyed) throw abortedError();
+        offset += buffer.length;
+        if (!output.write(buffer)) {
+            await Promise.race([once(output, 'drain'), once(output, 'close')]);
+        }
+    };
+
+    return {
+        async addFile(name, data, modifiedAt = new Date()) {
+            const fileName = Buffer.from(name, 'utf8');
+            const { time, date } = dosDateTime(modifiedAt);
+            const entry = { fileName, time, date, crc: crc32(data), size: data.length, offset };
+
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(FLAG_UTF8_NAMES, 6);
+            header.writeUInt16LE(0, 8);
+            header.writeUInt16LE(time, 10);
+            header.writeUInt16LE(date, 12);
+            header.writeUInt32LE(entry.crc, 14);
+            header.writeUInt32LE(entry.size, 18);
+            header.writeUInt32LE(entry.size, 22);
+            header.writeUInt16LE(fileName.length, 26);
+            header.writeUInt16LE(0, 28);
+
+            await write(Buffer.concat([header, fileName]));
+            await write(data);
+            entries.push(entry);
+        },
+
+        async finish() {
+            const directoryOffset = offset;
+            const records = entries.map((entry) => {
+                const record = Buffer.alloc(46);
+                record.writeUInt32LE(0x02014b50, 0);
+                record.writeUInt16LE(20, 4);
+                record.writeUInt16LE(20, 6);
+                record.writeUInt16LE(FLAG_UTF8_NAMES, 8);
+                record.writeUInt16LE(0, 10);
+                record.writeUInt16LE(entry.time, 12);
+                record.writeUInt16LE(entry.date, 14);
+                record.writeUInt32LE(entry.crc, 16);
+                record.writeUInt32LE(entry.size, 20);
+                record.writeUInt32LE(entry.size, 24);
+                record.writeUInt16LE(entry.fileName.length, 28);
+                record.writeUInt32LE(entry.offset, 42);
+                return Buffer.concat([record, entry.fileName]);
+            });
+            const directory = Buffer.concat(records);
+
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(entries.length, 8);
+            end.writeUInt16LE(entries.length, 10);
+            end.writeUInt32LE(directory.length, 12);
+            end.writeUInt32LE(directoryOffset, 16);
+
+            await write(Buffer.concat([directory, end]));
+            output.end();
+        }
+    };
+};
@@ -0,0 +1,44 @@
+// File: test/creations.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCursor, decodeCursor, normalizeTag } from '../server/creations.js';
+
+const ID = '0b6f2f6e-7d1a-4c43-9d5e-3f2a1b0c9d8e';
+const rawCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+test('cursor theo thời gian giữ nguyên độ chính xác micro giây', () => {
+    const image = { id: ID, created_at: '2024-05-17T13:45:31.123456+00:00', like_count: 3 };
+    for (const sort of ['newest', 'oldest']) {
+        assert.deepEqual(decodeCursor(encodeCursor(image, sort), sort), { v: image.created_at, id: ID });
+    }
+    const utc = { id: ID, created_at: '2024-05-17T13:45:31Z' };
+    assert.deepEqual(decodeCursor(encodeCursor(utc, 'newest'), 'newest'), { v: utc.created_at, id: ID });
+});
+
+test('cursor theo lượt thích', () => {
+    const image = { id: ID, created_at: '2024-05-17T13:45:31.123456+00:00', like_count: 7 };
+    assert.deepEqual(decodeCursor(encodeCursor(image, 'most_liked'), 'most_liked'), { v: 7, id: ID });
+});
+
+test('cursor sai bị từ chối với status 400', () => {
+    const invalid = [
+        ['not base64 json', 'newest'],
+        [rawCursor({ v: '2024-05-17T13:45:31Z', id: 'x' }), 'newest'],
+        [rawCursor({ v: 'Fri, 17 May 2024 13:45:31 GMT', id: ID }), 'newest'],
+        [rawCursor({ v: '2024-13-45T13:45:31Z', id: ID }), 'newest'],
+        [rawCursor({ v: "2024-05-17T13:45:31Z),id.gt.(0", id: ID }), 'oldest'],
+        [rawCursor({ v: 1715953531000, id: ID }), 'newest'],
+        [rawCursor({ v: '7', id: ID }), 'most_liked'],
+        [rawCursor(null), 'newest']
+    ];
+    for (const [cursor, sort] of invalid) {
+        assert.throws(() => decodeCursor(cursor, sort), { message: 'Invalid cursor', status: 400 }, cursor);
+    }
+});
+
+test('normalizeTag', () => {
+    assert.equal(normalizeTag('  Sunset   Beach '), 'sunset beach');
+    assert.equal(normalizeTag('   '), null);
+    assert.equal(normalizeTag('x'.repeat(41)), null);
+    assert.equal(normalizeTag(5), null);
+});
@@ -0,0 +1,33 @@
+// File: test/csv.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvCell, csvLine } from '../server/csv.js';
+
+test('ô bắt đầu bằng ký tự công thức được thêm dấu nháy đơn', () => {
+    assert.equal(csvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.equal(csvCell('+1+1'), "'+1+1");
+    assert.equal(csvCell('-2'), "'-2");
+    assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(csvCell('\tcmd'), "'\tcmd");
+    assert.equal(csvCell('\r=1'), '"\'\r=1"');
+});
+
+test('ô thường chỉ bọc ngoặc kép khi cần', () => {
+    assert.equal(csvCell('a cat'), 'a cat');
+    assert.equal(csvCell('a, b'), '"a, b"');
+    assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(csvCell('line\nbreak'), '"line\nbreak"');
+    assert.equal(csvCell('1=1'), '1=1');
+});
+
+test('giá trị không phải chuỗi', () => {
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(undefined), '');
+    assert.equal(csvCell(42), '42');
+    assert.equal(csvCell(-1), "'-1");
+    assert.equal(csvCell({ page: 'x' }), '"{""page"":""x""}"');
+});
+
+test('csvLine nối ô bằng dấu phẩy và kết thúc bằng CRLF', () => {
+    assert.equal(csvLine(['id', null, '=1', 'a,b']), 'id,,\'=1,"a,b"\r\n');
+});
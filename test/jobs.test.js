@@ -0,0 +1,99 @@
+// File: test/jobs.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { createJobQueue } from '../server/jobs.js';
+
+// Bảng generation_jobs trong bộ nhớ, chỉ đủ các truy vấn hàng đợi dùng
+const createJobTable = (rows = []) => {
+    const query = (filter = () => true) => {
+        const filters = [filter];
+        const matches = () => rows.filter((row) => filters.every((f) => f(row)));
+        const builder = {
+            eq: (column, value) => { filters.push((row) => row[column] === value); return builder; },
+            in: (column, values) => { filters.push((row) => values.includes(row[column])); return builder; },
+            order: () => builder,
+            limit: () => builder,
+            select: () => builder,
+            maybeSingle: async () => ({ data: matches()[0] ? { ...matches()[0] } : null, error: null }),
+            single: async () => ({ data: { ...matches()[0] }, error: null }),
+            then: (resolve) => resolve({ data: matches().map((row) => ({ ...row })), error: null })
+        };
+        return builder;
+    };
+    return {
+        rows,
+        from: () => ({
+            select: () => query(),
+            insert: (row) => {
+                const inserted = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+                rows.push(inserted);
+                return query((r) => r === inserted);
+            },
+            update: (patch) => {
+                const builder = query();
+                const eq = builder.eq;
+                builder.eq = (column, value) => {
+                    rows.filter((row) => row[column] === value).forEach((row) => Object.assign(row, patch));
+                    return eq(column, value);
+                };
+                return builder;
+            }
+        })
+    };
+};
+
+const waitFor = async (predicate) => {
+    for (let i = 0; i < 100 && !predicate(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.ok(predicate());
+};
+
+test('recover: chạy lại job queued / running, job uploading thành failed và giữ ảnh đã lưu', async () => {
+    const table = createJobTable([
+        { id: 'a', type: 'generate', status: 'queued', params: {}, created_at: '1' },
+        { id: 'b', type: 'generate', status: 'running', params: {}, created_at: '2' },
+        { id: 'c', type: 'generate', status: 'uploading', params: {}, result: { images: [{ imageId: 'saved' }] }, created_at: '3' },
+        { id: 'd', type: 'generate', status: 'done', params: {}, created_at: '4' }
+    ]);
+    const ran = [];
+    const settled = [];
+    const queue = createJobQueue({
+        supabase: table,
+        handlers: { generate: async (job) => { ran.push(job.id); return { images: [] }; } },
+        onSettled: async (job) => settled.push([job.id, job.status, job.result?.images?.length ?? 0])
+    });
+
+    assert.deepEqual(await queue.recover(), { requeued: 2, failed: 1 });
+    await waitFor(() => settled.length === 3);
+
+    assert.deepEqual(ran.sort(), ['a', 'b']);
+    assert.deepEqual(settled.find(([id]) => id === 'c'), ['c', 'failed', 1]);
+    assert.deepEqual(table.rows.map((row) => row.status), ['done', 'done', 'failed', 'done']);
+});
+
+test('saveProgress ghi ảnh đã lưu vào job trước khi job kết thúc', async () => {
+    const table = createJobTable();
+    let release;
+    const queue = createJobQueue({
+        supabase: table,
+        handlers: {
+            generate: async (job, { setStatus, saveProgress }) => {
+                await setStatus('uploading');
+                await saveProgress({ images: [{ imageId: 'first' }] });
+                await new Promise((resolve) => { release = resolve; });
+                return { images: [{ imageId: 'first' }, { imageId: 'second' }] };
+            }
+        }
+    });
+
+    const job = await queue.create('user', 'generate', {});
+    await waitFor(() => release);
+    const uploading = await queue.get(job.id);
+    assert.equal(uploading.status, 'uploading');
+    assert.deepEqual(uploading.result, { images: [{ imageId: 'first' }] });
+    await assert.rejects(queue.cancel(await queue.get(job.id)), { code: 'JOB_NOT_CANCELLABLE' });
+
+    release();
+    await waitFor(() => table.rows[0].status === 'done');
+    assert.equal(table.rows[0].result.images.length, 2);
+});
@@ -0,0 +1,36 @@
+// File: test/moderation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPromptModerator } from '../server/moderation/index.js';
+import { DEFAULT_RULES } from '../server/moderation/defaultRules.js';
+
+const moderator = createPromptModerator({ rules: DEFAULT_RULES, classifier: null });
+
+test('chữ "x" đứng riêng không bị coi là từ khoá "xxx"', async () => {
+    for (const prompt of ['X-Men fighting in a city', 'a 3 x 3 grid of icons', 'wallpaper 1920 x 1080']) {
+        const result = await moderator.check(prompt);
+        assert.equal(result.allowed, true, prompt);
+    }
+});
+
+test('từ khoá blocklist vẫn chặn được khi bị lặp, tách hoặc viết leetspeak', async () => {
+    for (const prompt of ['xxx video', 'XXX', 'x x x', 'nuuuude beach', 'n.u.d.e', 'n4k3d woman']) {
+        const result = await moderator.check(prompt);
+        assert.equal(result.allowed, false, prompt);
+        assert.equal(result.reasons[0].category, 'sexual');
+    }
+});
+
+test('từ khoá quá ngắn sau khi chuẩn hoá bị bỏ qua', async () => {
+    const custom = createPromptModerator({ rules: { blocklist: [{ category: 'custom', terms: ['x', '!!', 'zzz'] }] }, classifier: null });
+    assert.equal((await custom.check('x marks the spot')).allowed, true);
+    assert.equal((await custom.check('zzz')).allowed, false);
+});
+
+test('lỗi bộ phân loại: bỏ qua hoặc báo 503 khi failClosed', async () => {
+    const classifier = { name: 'broken', classify: async () => { throw new Error('down'); } };
+    const lenient = createPromptModerator({ rules: { blocklist: [] }, classifier });
+    assert.equal((await lenient.check('a cat')).allowed, true);
+    const strict = createPromptModerator({ rules: { blocklist: [] }, classifier, failClosed: true });
+    await assert.rejects(strict.check('a cat'), { status: 503 });
+});
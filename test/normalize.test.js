@@ -0,0 +1,39 @@
+// File: test/normalize.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeText, stripDiacritics } from '../server/moderation/normalize.js';
+
+test('bỏ dấu tiếng Việt', () => {
+    assert.equal(stripDiacritics('khỏa thân'), 'khoa than');
+    assert.equal(stripDiacritics('Đồi trụy'), 'doi truy');
+});
+
+test('giải leetspeak trong từ có chữ cái', () => {
+    assert.equal(normalizeText('S3X'), 'sex');
+    assert.equal(normalizeText('n4k3d p0rn'), 'naked porn');
+    assert.equal(normalizeText('$ex @ss'), 'sex ass');
+    assert.equal(normalizeText('k!ll'), 'kill');
+});
+
+test('giữ nguyên số và token có ít chữ cái', () => {
+    assert.equal(normalizeText('4k wallpaper 1920x1080'), '4k wallpaper 1920x1080');
+    assert.equal(normalizeText('a 3 b'), 'a 3 b');
+});
+
+test('gộp chữ bị tách và ký tự lặp', () => {
+    assert.equal(normalizeText('n.u.d.e'), 'nude');
+    assert.equal(normalizeText('n u d e beach'), 'nude beach');
+    assert.equal(normalizeText('nuuuude...'), 'nude');
+});
+
+test('chữ thường, bỏ ký tự lạ và khoảng trắng thừa', () => {
+    assert.equal(normalizeText('  A  Cute\tCAT?  '), 'a cute cat');
+    assert.equal(normalizeText('Khỏa THÂN'), 'khoa than');
+});
+
+test('collapseRepeats: false giữ nguyên ký tự lặp', () => {
+    assert.equal(normalizeText('XXX'), 'x');
+    assert.equal(normalizeText('XXX', { collapseRepeats: false }), 'xxx');
+    assert.equal(normalizeText('x x x', { collapseRepeats: false }), 'xxx');
+    assert.equal(normalizeText('X-Men in a 3 x 3 grid', { collapseRepeats: false }), 'x men in a 3 x 3 grid');
+});
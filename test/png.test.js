@@ -0,0 +1,90 @@
+// File: test/png.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { crc32, encodePng, decodePng, readPngSize, resizeRgba } from '../server/png.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Ghép chunk PNG thủ công để thử các định dạng encodePng không tạo ra
+const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([Buffer.from(type, 'ascii'), data])));
+    return Buffer.concat([length, Buffer.from(type, 'ascii'), data, crc]);
+};
+
+const ihdr = (width, height, colorType) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+    return header;
+};
+
+test('crc32 khớp giá trị kiểm tra chuẩn', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('encodePng / decodePng giữ nguyên điểm ảnh', () => {
+    const rgba = Buffer.from([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110, 120]);
+    const png = encodePng(3, 2, rgba);
+    assert.ok(png.subarray(0, 8).equals(SIGNATURE));
+    assert.deepEqual(readPngSize(png), { width: 3, height: 2 });
+    const decoded = decodePng(png);
+    assert.equal(decoded.width, 3);
+    assert.equal(decoded.height, 2);
+    assert.ok(decoded.rgba.equals(rgba));
+});
+
+test('decodePng bỏ filter Sub / Up / Paeth và đổi RGB sang RGBA', () => {
+    // 2x2 RGB: dòng 1 filter Sub, dòng 2 filter Up
+    const raw = Buffer.from([
+        1, 10, 20, 30, 5, 5, 5,
+        2, 1, 1, 1, 2, 2, 2
+    ]);
+    const png = Buffer.concat([SIGNATURE, chunk('IHDR', ihdr(2, 2, 2)), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))]);
+    const { rgba } = decodePng(png);
+    assert.deepEqual([...rgba], [10, 20, 30, 255, 15, 25, 35, 255, 11, 21, 31, 255, 17, 27, 37, 255]);
+
+    // 2x1 grayscale, filter Paeth: pixel 2 dự đoán từ pixel bên trái
+    const paeth = Buffer.from([4, 100, 20]);
+    const gray = Buffer.concat([SIGNATURE, chunk('IHDR', ihdr(2, 1, 0)), chunk('IDAT', zlib.deflateSync(paeth)), chunk('IEND', Buffer.alloc(0))]);
+    assert.deepEqual([...decodePng(gray).rgba], [100, 100, 100, 255, 120, 120, 120, 255]);
+});
+
+test('decodePng đọc ảnh palette với tRNS', () => {
+    const palette = Buffer.from([255, 0, 0, 0, 0, 255]);
+    const raw = Buffer.from([0, 1, 0]);
+    const png = Buffer.concat([
+        SIGNATURE,
+        chunk('IHDR', ihdr(2, 1, 3)),
+        chunk('PLTE', palette),
+        chunk('tRNS', Buffer.from([0])),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+    assert.deepEqual([...decodePng(png).rgba], [0, 0, 255, 255, 255, 0, 0, 0]);
+});
+
+test('decodePng từ chối dữ liệu không phải PNG hoặc định dạng không hỗ trợ', () => {
+    assert.throws(() => decodePng(Buffer.from('GIF89a....')), /Not a PNG image/);
+    const sixteenBit = ihdr(1, 1, 6);
+    sixteenBit[8] = 16;
+    const png = Buffer.concat([SIGNATURE, chunk('IHDR', sixteenBit), chunk('IEND', Buffer.alloc(0))]);
+    assert.throws(() => decodePng(png), /Unsupported PNG format/);
+    assert.equal(readPngSize(Buffer.from('not a png at all, just text')), null);
+});
+
+test('resizeRgba giữ màu đồng nhất và đúng kích thước mới', () => {
+    const rgba = Buffer.alloc(2 * 2 * 4);
+    for (let i = 0; i < 4; i++) rgba.set([40, 80, 120, 255], i * 4);
+    const resized = resizeRgba({ width: 2, height: 2, rgba }, 4, 3);
+    assert.equal(resized.width, 4);
+    assert.equal(resized.height, 3);
+    assert.equal(resized.rgba.length, 4 * 3 * 4);
+    for (let i = 0; i < 12; i++) assert.deepEqual([...resized.rgba.subarray(i * 4, i * 4 + 4)], [40, 80, 120, 255]);
+});
@@ -0,0 +1,33 @@
+// File: test/rateLimit.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSlidingWindowLimiter } from '../server/rateLimit.js';
+
+const OPTIONS = { limit: 2, windowMs: 60 * 1000 };
+
+test('hit ghi nhận request cho tới khi hết lượt', () => {
+    const limiter = createSlidingWindowLimiter();
+    assert.deepEqual(limiter.hit('a', OPTIONS), { allowed: true, remaining: 1, retryAfterMs: 0 });
+    assert.deepEqual(limiter.hit('a', OPTIONS), { allowed: true, remaining: 0, retryAfterMs: 0 });
+    const blocked = limiter.hit('a', OPTIONS);
+    assert.equal(blocked.allowed, false);
+    assert.ok(blocked.retryAfterMs > 0 && blocked.retryAfterMs <= OPTIONS.windowMs);
+    assert.equal(limiter.hit('b', OPTIONS).allowed, true);
+});
+
+test('check không tiêu lượt', () => {
+    const limiter = createSlidingWindowLimiter();
+    for (let i = 0; i < 5; i++) assert.deepEqual(limiter.check('a', OPTIONS), { allowed: true, remaining: 2, retryAfterMs: 0 });
+    limiter.hit('a', OPTIONS);
+    assert.equal(limiter.check('a', OPTIONS).remaining, 1);
+});
+
+test('request hết hạn cửa sổ không còn được tính', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const limiter = createSlidingWindowLimiter();
+    limiter.hit('a', OPTIONS);
+    limiter.hit('a', OPTIONS);
+    assert.equal(limiter.check('a', OPTIONS).allowed, false);
+    t.mock.timers.tick(OPTIONS.windowMs);
+    assert.equal(limiter.hit('a', OPTIONS).allowed, true);
+});
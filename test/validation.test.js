@@ -0,0 +1,73 @@
+// File: test/validation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, validateRequest, object, string, integer, number, boolean, array, uuid, oneOf, nonBlank, pagination } from '../server/validation.js';
+
+const QUERY = object({
+    ...pagination(20, 50),
+    favorite: boolean(),
+    scale: number({ minimum: 1 }),
+    action: array(oneOf(['view', 'generate']), { maxItems: 2 })
+}, [], { additionalProperties: false });
+
+test('coerce: chuỗi query được ép về kiểu khai báo và gán default', () => {
+    const { errors, value } = validate(QUERY, { page: '3', favorite: 'true', scale: '1.5', action: 'view, generate' }, { coerce: true });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { page: 3, limit: 20, favorite: true, scale: 1.5, action: ['view', 'generate'] });
+});
+
+test('coerce: ô trống coi như không gửi, giá trị sai kiểu vẫn báo lỗi', () => {
+    const { errors, value } = validate(QUERY, { page: '', limit: '1.5', favorite: 'yes' }, { coerce: true });
+    assert.equal(value.page, 1);
+    assert.deepEqual(errors, ['limit must be an integer', 'favorite must be a boolean']);
+});
+
+test('không coerce với body JSON: "3" không phải integer', () => {
+    const { errors } = validate(QUERY, { page: '3' });
+    assert.deepEqual(errors, ['page must be an integer']);
+});
+
+test('khoảng giá trị và enum trong mảng', () => {
+    const { errors } = validate(QUERY, { page: 0, limit: 51, action: ['view', 'delete'] });
+    assert.deepEqual(errors, ['page must be at least 1', 'limit must be at most 50', 'action[1] must be one of: view, generate']);
+});
+
+test('additionalProperties: false từ chối trường lạ', () => {
+    const { errors } = validate(QUERY, { page: 1, sort: 'newest' });
+    assert.deepEqual(errors, ['sort is not allowed']);
+});
+
+test('không khai báo additionalProperties thì giữ nguyên trường lạ', () => {
+    const { errors, value } = validate(object({ name: string() }), { name: 'a', extra: 1 });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { name: 'a', extra: 1 });
+});
+
+test('required, null, nonBlank và format', () => {
+    const schema = object({ id: uuid(), title: nonBlank(5), count: integer({ nullable: true }), note: string() }, ['id', 'title']);
+    assert.deepEqual(validate(schema, {}).errors, ['id is required', 'title is required']);
+    assert.deepEqual(
+        validate(schema, { id: 'abc', title: '   ', count: null, note: null }).errors,
+        ['id must be a valid UUID', 'title must not be blank', 'note must not be null']
+    );
+    assert.deepEqual(validate(schema, { id: 'ABCDEF01-2345-4678-9abc-def012345678', title: 'toolong' }).errors, ['title must be at most 5 characters']);
+});
+
+test('validateRequest: check chạy sau schema và chặn request trước middleware tiếp theo', () => {
+    const middleware = validateRequest({
+        body: object({ width: integer(), height: integer() }, ['width', 'height']),
+        check: (req) => (req.body.width === req.body.height ? [] : ['width must equal height'])
+    });
+    const run = (body) => {
+        const req = { body };
+        const res = { status(code) { this.code = code; return this; }, json(payload) { this.payload = payload; return this; } };
+        let passed = false;
+        middleware(req, res, () => { passed = true; });
+        return { passed, code: res.code, payload: res.payload };
+    };
+
+    assert.deepEqual(run({ width: 1, height: 1 }), { passed: true, code: undefined, payload: undefined });
+    assert.deepEqual(run({ width: 1, height: 2 }).payload.details, ['width must equal height']);
+    // Lỗi schema thì không gọi check
+    assert.deepEqual(run({ width: 'a', height: 2 }).payload.details, ['width must be an integer']);
+});
@@ -0,0 +1,71 @@
+// File: test/zip.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { createZipWriter } from '../server/zip.js';
+import { crc32 } from '../server/png.js';
+
+const writeZip = async (files) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', (chunk) => chunks.push(chunk));
+    const zip = createZipWriter(output);
+    for (const { name, data, modifiedAt } of files) await zip.addFile(name, data, modifiedAt);
+    await zip.finish();
+    return Buffer.concat(chunks);
+};
+
+test('ZIP có local header, central directory và end record khớp nhau', async () => {
+    const files = [
+        { name: 'a.png', data: Buffer.from('first file'), modifiedAt: new Date(2024, 4, 17, 13, 45, 31) },
+        { name: 'thư mục/ảnh.png', data: Buffer.from('second') }
+    ];
+    const zip = await writeZip(files);
+
+    const end = zip.length - 22;
+    assert.equal(zip.readUInt32LE(end), 0x06054b50);
+    assert.equal(zip.readUInt16LE(end + 8), 2);
+    assert.equal(zip.readUInt16LE(end + 10), 2);
+    const directorySize = zip.readUInt32LE(end + 12);
+    let record = zip.readUInt32LE(end + 16);
+    assert.equal(record + directorySize, end);
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        assert.equal(zip.readUInt32LE(record), 0x02014b50);
+        assert.equal(zip.readUInt16LE(record + 8) & 0x0800, 0x0800, 'cờ tên file UTF-8');
+        assert.equal(zip.readUInt16LE(record + 10), 0, 'phương thức stored');
+        assert.equal(zip.readUInt32LE(record + 16), crc32(file.data));
+        assert.equal(zip.readUInt32LE(record + 20), file.data.length);
+        assert.equal(zip.readUInt32LE(record + 24), file.data.length);
+        assert.ok(zip.subarray(record + 46, record + 46 + name.length).equals(name));
+
+        const local = zip.readUInt32LE(record + 42);
+        assert.equal(zip.readUInt32LE(local), 0x04034b50);
+        assert.equal(zip.readUInt32LE(local + 14), crc32(file.data));
+        assert.equal(zip.readUInt16LE(local + 26), name.length);
+        const dataStart = local + 30 + name.length;
+        assert.ok(zip.subarray(dataStart, dataStart + file.data.length).equals(file.data));
+
+        record += 46 + name.length;
+    }
+});
+
+test('ngày giờ ghi theo định dạng MS-DOS', async () => {
+    const zip = await writeZip([{ name: 'a.txt', data: Buffer.from('x'), modifiedAt: new Date(2024, 4, 17, 13, 45, 31) }]);
+    assert.equal(zip.readUInt16LE(10), (13 << 11) | (45 << 5) | 15);
+    assert.equal(zip.readUInt16LE(12), ((2024 - 1980) << 9) | (5 << 5) | 17);
+});
+
+test('ZIP rỗng chỉ có end record', async () => {
+    const zip = await writeZip([]);
+    assert.equal(zip.length, 22);
+    assert.equal(zip.readUInt32LE(0), 0x06054b50);
+});
+
+test('ghi sau khi output bị đóng ném lỗi ZIP_ABORTED', async () => {
+    const output = new PassThrough();
+    const zip = createZipWriter(output);
+    output.destroy();
+    await assert.rejects(zip.addFile('a.txt', Buffer.from('x')), { code: 'ZIP_ABORTED' });
+});